@@ -0,0 +1,129 @@
+/**
+ * Creates the error a render rejects with when its `options.signal` is aborted.
+ *
+ * This is the same `DOMException` named `"AbortError"` that `fetch` rejects with, so callers can handle both with a
+ * single `error.name === "AbortError"` check.
+ *
+ * @returns {DOMException} A new AbortError.
+ */
+function createAbortError() {
+  return new DOMException("The render was aborted.", "AbortError");
+}
+
+/**
+ * Creates the error a render or a fetch rejects with when it takes longer than its timeout.
+ *
+ * @param {string} message - A description of what timed out.
+ * @returns {DOMException} A new `DOMException` named `"TimeoutError"`, like the one `AbortSignal.timeout` produces.
+ */
+function createTimeoutError(message) {
+  return new DOMException(message, "TimeoutError");
+}
+
+/**
+ * Tells whether an error was caused by an aborted signal.
+ *
+ * @param {*} error - The error to check.
+ * @returns {boolean} True if the error is an AbortError.
+ */
+function isAbortError(error) {
+  return error != null && error.name === "AbortError";
+}
+
+/**
+ * Throws an AbortError if the signal has been aborted.
+ *
+ * Render steps call this between units of work (cloning a child, drawing a tile, encoding a page) so an aborted render
+ * stops at the next step instead of running to completion.
+ *
+ * @param {AbortSignal} [signal] - The signal of the render, if any.
+ * @throws {DOMException} If the signal has been aborted.
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+}
+
+/**
+ * Settles with a promise, or rejects with an AbortError as soon as the signal is aborted, whichever comes first.
+ *
+ * The work behind the promise is not cancelled, only no longer waited for. This is for waiting on shared work, such as
+ * a fetch started by another render, that must not be cancelled on behalf of a single caller.
+ *
+ * @param {Promise<*>} promise - The promise to wait for.
+ * @param {AbortSignal} [signal] - The signal of the render, if any.
+ * @returns {Promise<*>} A promise that settles like `promise`, unless the signal is aborted first.
+ */
+function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise
+      .finally(() => signal.removeEventListener("abort", onAbort))
+      .then(resolve, reject);
+  });
+}
+
+/**
+ * Runs asynchronous work with a time limit.
+ *
+ * The work receives a signal that is aborted when the given signal is aborted or when the time limit is reached, so it
+ * stops fetching and drawing. In the latter case the returned promise rejects with a TimeoutError carrying `message`
+ * right away, even if the work itself never settles. Without a timeout the work runs with the given signal unchanged.
+ *
+ * @async
+ * @param {AbortSignal} [signal] - The signal of the caller, if any.
+ * @param {number} [timeout] - The time limit in milliseconds.
+ * @param {string} message - The message of the TimeoutError.
+ * @param {function(AbortSignal): Promise<*>} run - The work to run.
+ * @returns {Promise<*>} A promise that settles like the work, unless the time limit is reached first.
+ */
+function withTimeout(signal, timeout, message, run) {
+  if (!timeout) {
+    return run(signal);
+  }
+
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal) {
+    signal.addEventListener("abort", abort, { once: true });
+    if (signal.aborted) {
+      abort();
+    }
+  }
+
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(createTimeoutError(message));
+      abort();
+    }, timeout);
+  });
+
+  return Promise.race([
+    Promise.resolve().then(() => run(controller.signal)),
+    expired,
+  ]).finally(() => {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", abort);
+  });
+}
+
+module.exports = {
+  createAbortError,
+  createTimeoutError,
+  isAbortError,
+  throwIfAborted,
+  abortable,
+  withTimeout,
+};
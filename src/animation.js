@@ -0,0 +1,111 @@
+const { delay } = require("./util");
+
+/**
+ * Computes the timestamps at which frames are captured and how long each frame is displayed.
+ *
+ * Explicit `timestamps` (in milliseconds from the start of the capture) take precedence. Otherwise frames are sampled
+ * every `1000 / fps` milliseconds for `duration` milliseconds. Each frame is shown until the next one; the last frame is
+ * shown for one frame interval.
+ *
+ * @param {Object} options - The animation options.
+ * @param {number[]} [options.timestamps] - Explicit capture times in milliseconds.
+ * @param {number} [options.fps=10] - The number of frames per second.
+ * @param {number} [options.duration=1000] - The length of the capture in milliseconds.
+ * @returns {Array<{time: number, delay: number}>} The capture time and display time of every frame.
+ * @throws {RangeError} If no frame would be captured.
+ */
+function getFrameTimings(options) {
+  const interval = 1000 / (options.fps || 10);
+  let times = options.timestamps;
+
+  if (!times) {
+    const duration = options.duration != null ? options.duration : 1000;
+    const count = Math.max(1, Math.floor(duration / interval));
+    times = Array.from({ length: count }, (_, index) => index * interval);
+  }
+
+  if (times.length === 0) {
+    throw new RangeError("An animation needs at least one frame");
+  }
+
+  const sorted = times.slice().sort((a, b) => a - b);
+  return sorted.map((time, index) => ({
+    time,
+    delay: index < sorted.length - 1 ? sorted[index + 1] - time : interval,
+  }));
+}
+
+/**
+ * Returns the Web Animations (CSS animations, CSS transitions and `element.animate()`) running on a node and its
+ * descendants.
+ *
+ * @param {Element} node - The node whose animations to collect.
+ * @returns {Animation[]} The animations, or an empty array if the Web Animations API is not available.
+ */
+function getAnimations(node) {
+  return typeof node.getAnimations === "function"
+    ? node.getAnimations({ subtree: true })
+    : [];
+}
+
+/**
+ * Captures a node at a series of points in time by calling a render function once per frame.
+ *
+ * When the node has Web Animations, capturing is deterministic: every animation is paused and seeked to each frame's
+ * timestamp before the frame is rendered, so the result does not depend on how long a render takes. Afterwards every
+ * animation is put back to the time and play state it had before the capture. Animations that are not visible to the
+ * Web Animations API (for example JavaScript-driven ones) are captured in real time instead, by waiting for each
+ * frame's timestamp to pass; frames are then only as accurate as the render speed allows.
+ *
+ * @async
+ * @param {Element} node - The node to capture.
+ * @param {Array<{time: number, delay: number}>} timings - The frames to capture, from `getFrameTimings`.
+ * @param {function(number): Promise<*>} renderFrame - Renders the node for the frame at the given index.
+ * @returns {Promise<Array<*>>} A promise that resolves to the render results, in frame order.
+ */
+async function captureFrames(node, timings, renderFrame) {
+  const animations = getAnimations(node);
+  const results = [];
+
+  if (animations.length === 0) {
+    const start = Date.now();
+    for (let i = 0; i < timings.length; i++) {
+      const wait = timings[i].time - (Date.now() - start);
+      if (wait > 0) {
+        await delay(wait)();
+      }
+      results.push(await renderFrame(i));
+    }
+    return results;
+  }
+
+  const states = animations.map((animation) => ({
+    animation,
+    currentTime: animation.currentTime || 0,
+    playing: animation.playState === "running",
+  }));
+
+  try {
+    states.forEach(({ animation }) => animation.pause());
+    for (let i = 0; i < timings.length; i++) {
+      states.forEach(({ animation, currentTime }) => {
+        animation.currentTime = currentTime + timings[i].time;
+      });
+      results.push(await renderFrame(i));
+    }
+  } finally {
+    states.forEach(({ animation, currentTime, playing }) => {
+      animation.currentTime = currentTime;
+      if (playing) {
+        animation.play();
+      }
+    });
+  }
+
+  return results;
+}
+
+module.exports = {
+  getFrameTimings,
+  captureFrames,
+};
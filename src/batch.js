@@ -0,0 +1,95 @@
+const { getFrameDocuments } = require("./util");
+
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Runs an asynchronous task for every item with bounded concurrency and yields the outcomes in input order.
+ *
+ * At most `concurrency` tasks are in flight at any time. Outcomes are yielded strictly in the order of the items, as
+ * soon as the task for the next item in line has settled; a new task is started every time one is yielded. A failing
+ * task does not stop the others: its outcome carries the `error` instead of a `result`.
+ *
+ * @async
+ * @generator
+ * @param {Array<*>} items - The items to process.
+ * @param {function(*, number): Promise<*>} task - The task to run for an item, receiving the item and its index.
+ * @param {number} [concurrency=4] - The maximum number of tasks running at the same time.
+ * @yields {{index: number, item: *, result?: *, error?: *}} The outcome of each task, in input order.
+ */
+async function* runInOrder(items, task, concurrency = DEFAULT_CONCURRENCY) {
+  const limit = Math.max(1, concurrency);
+  const running = [];
+  let next = 0;
+
+  const start = () => {
+    const index = next;
+    const item = items[index];
+    next += 1;
+    running.push(
+      Promise.resolve()
+        .then(() => task(item, index))
+        .then(
+          (result) => ({ index, item, result }),
+          (error) => ({ index, item, error })
+        )
+    );
+  };
+
+  while (next < items.length && running.length < limit) {
+    start();
+  }
+
+  while (running.length > 0) {
+    const outcome = await running.shift();
+    if (next < items.length) {
+      start();
+    }
+    yield outcome;
+  }
+}
+
+/**
+ * Creates a memoized getter for the web font CSS of a document.
+ *
+ * Computing the font embed CSS means reading and fetching every stylesheet of the document, which is the same for all
+ * nodes of a batch. The returned function computes it once per document, shares the pending promise between concurrent
+ * callers, and returns the caller's own `fontEmbedCSS` (or an empty string with `skipFonts`) without computing anything.
+ * A rejected computation is forgotten, so the next node of the document retries it.
+ *
+ * @param {function(Node, Object): Promise<string>} getWebFontCSS - Computes the font embed CSS for a node.
+ * @param {Object} options - The batch options.
+ * @returns {function(Node): Promise<string>} Resolves the font embed CSS to use for a node.
+ */
+function createFontCSSCache(getWebFontCSS, options) {
+  const byDocument = new Map();
+
+  return (node) => {
+    if (options.fontEmbedCSS != null) {
+      return Promise.resolve(options.fontEmbedCSS);
+    }
+    if (options.skipFonts) {
+      return Promise.resolve("");
+    }
+
+    // Same-origin iframes add their own fonts, so nodes containing them are not shared.
+    if (getFrameDocuments(node).length) {
+      return getWebFontCSS(node, options);
+    }
+
+    const key = node.ownerDocument;
+    if (!byDocument.has(key)) {
+      const pending = getWebFontCSS(node, options).catch((error) => {
+        // A failure (an aborted fetch, a network error) must not fail the later nodes of the batch too.
+        byDocument.delete(key);
+        throw error;
+      });
+      byDocument.set(key, pending);
+    }
+    return byDocument.get(key);
+  };
+}
+
+module.exports = {
+  runInOrder,
+  createFontCSSCache,
+};
@@ -1,7 +1,19 @@
 const { clonePseudoElements } = require("./clone-pseudos");
-const { createImage, toArray, isInstanceOfElement } = require("./util");
+const {
+  createImage,
+  toArray,
+  isInstanceOfElement,
+  getFrameDocument,
+} = require("./util");
 const { getMimeType } = require("./mimes");
 const { resourceToDataURL } = require("./dataurl");
+const { applyHook } = require("./plugins");
+const { getLogger } = require("./logger");
+const { count } = require("./report");
+const { throwIfAborted } = require("./abort");
+const progress = require("./progress");
+const { getEnvironment, getNodeWindow } = require("./environment");
+const { requestFrameRender } = require("./iframe-bridge");
 
 /**
  * Asynchronously clones a canvas element and returns either a cloned canvas element or an Image element.
@@ -17,16 +29,17 @@ const { resourceToDataURL } = require("./dataurl");
  *
  * @async
  * @param {HTMLCanvasElement} canvas - The canvas element to be cloned.
+ * @param {Object} [options] - The render options, whose `signal` can abort creating the image.
  * @returns {Promise<HTMLCanvasElement|HTMLImageElement>} A promise that resolves to a cloned canvas element without drawable content
  *                                                        if the original canvas is empty, or to an Image element with the drawable
  *                                                        content of the original canvas if it is not empty.
  */
-async function cloneCanvasElement(canvas) {
+async function cloneCanvasElement(canvas, options) {
   const dataURL = canvas.toDataURL();
   if (dataURL === "data:,") {
     return canvas.cloneNode(false);
   }
-  return createImage(dataURL);
+  return createImage(dataURL, options?.signal);
 }
 
 /**
@@ -54,51 +67,64 @@ async function cloneCanvasElement(canvas) {
  */
 async function cloneVideoElement(video, options) {
   if (video.currentSrc) {
-    const canvas = document.createElement("canvas");
+    const canvas = video.ownerDocument.createElement("canvas");
     const ctx = canvas.getContext("2d");
     canvas.width = video.clientWidth;
     canvas.height = video.clientHeight;
     if (ctx) ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
     const dataURL = canvas.toDataURL();
-    return createImage(dataURL);
+    return createImage(dataURL, options?.signal);
   }
 
   const poster = video.poster;
   const contentType = getMimeType(poster);
   const dataURL = await resourceToDataURL(poster, contentType, options);
-  return createImage(dataURL);
+  return createImage(dataURL, options?.signal);
 }
 
 /**
- * Asynchronously clones an iframe element by attempting to clone its internal document's body.
+ * Asynchronously clones an iframe element into a box that shows the iframe's document.
  *
- * This function tries to clone the content of the provided iframe's document body. It does this by accessing the iframe's `contentDocument.body`
- * and using an external function `cloneNode` that should be designed to clone a DOM node. The `cloneNode` function is assumed to take three parameters:
- * the node to clone, an options object (left empty in this call), and a boolean indicating whether the clone should be deep or shallow. In this case,
- * a deep clone is attempted to ensure all child nodes and content within the iframe's body are cloned.
+ * For a same-origin iframe, the clone is a `div` standing for the iframe's viewport: it receives the iframe's computed
+ * styles in `decorate`, and the iframe's document body is cloned into it as its child (see `getChildNodes`), with the
+ * same options as the rest of the node, so filters, plugins and progress reporting apply inside the iframe too.
+ * `decorateFrameViewport` then clips it to the viewport size, scrolls it like the iframe and paints the frame's
+ * background.
  *
- * If accessing the iframe's content or cloning is not successful (which can happen due to same-origin policy restrictions or other errors),
- * the catch block logs an error message, and the function falls back to returning a shallow clone of the iframe element itself. A shallow clone means
- * that the returned iframe will not include any of the original iframe's child nodes or content.
- *
- * Note: This function may not successfully clone the iframe's content if the iframe is from a different origin, due to browser security policies.
- * In such cases, or when an error occurs during the cloning process, a shallow clone of the iframe element is returned.
+ * The content of a cross-origin iframe cannot be read, due to browser security policies. With `options.iframeBridge`,
+ * such an iframe is asked to render itself instead, through the postMessage protocol of `requestFrameRender`, which the
+ * document inside answers when it runs `listenForRenderRequests`; the rendered image then takes the iframe's place.
+ * Otherwise, or when the bridge fails, a shallow clone of the iframe element is returned, logging a warning through
+ * `options.logger`.
  *
  * @async
  * @param {HTMLIFrameElement} iframe - The iframe element to clone.
- * @returns {Promise<Node>} A promise that resolves to a cloned node, which can be the deep clone of the iframe's document body if accessible and
- *                          successful, or a shallow clone of the iframe element itself in case of failure or cross-origin restrictions.
+ * @param {Object} options - The render options.
+ * @returns {Promise<Node>} A promise that resolves to the viewport box of a same-origin iframe, an image rendered by a
+ *                          cross-origin iframe through the bridge, or a shallow clone of the iframe element itself.
  */
-async function cloneIFrameElement(iframe) {
-  try {
-    if (iframe?.contentDocument?.body) {
-      return await cloneNode(iframe.contentDocument.body, {}, true);
+async function cloneIFrameElement(iframe, options) {
+  if (getFrameDocument(iframe)) {
+    return iframe.ownerDocument.createElement("div");
+  }
+
+  if (options?.iframeBridge) {
+    try {
+      const dataURL = await requestFrameRender(iframe, options);
+      if (dataURL) {
+        return await createImage(dataURL, options.signal);
+      }
+    } catch (error) {
+      throwIfAborted(options.signal);
+      getLogger(options).warn(
+        `Failed to capture a cross-origin iframe: ${error.message}`
+      );
     }
-  } catch {
-    // Failed to clone iframe
-    console.error("Failed to clone iframe.");
   }
 
+  getLogger(options).warn(
+    "Could not read the content of an iframe, which is left empty."
+  );
   return iframe.cloneNode(false);
 }
 
@@ -118,8 +144,8 @@ async function cloneIFrameElement(iframe) {
  * of specific element types. These functions should be defined elsewhere and are designed to handle the complexities associated with
  * cloning their respective element types.
  *
- * Note: The function can accept additional options that are passed to the `cloneVideoElement` function for video elements. These options
- * are not used for other element types.
+ * Note: The function can accept additional options that are passed to the `cloneVideoElement` function for video elements, and
+ * used for logging by `cloneIFrameElement`. These options are not used for other element types.
  *
  * @async
  * @param {Node} node - The DOM node to be cloned.
@@ -128,16 +154,16 @@ async function cloneIFrameElement(iframe) {
  *                          and the cloning strategy applied.
  */
 async function cloneSingleNode(node, options) {
-  if (isInstanceOfElement(node, HTMLCanvasElement)) {
-    return cloneCanvasElement(node);
+  if (isInstanceOfElement(node, "HTMLCanvasElement")) {
+    return cloneCanvasElement(node, options);
   }
 
-  if (isInstanceOfElement(node, HTMLVideoElement)) {
+  if (isInstanceOfElement(node, "HTMLVideoElement")) {
     return cloneVideoElement(node, options);
   }
 
-  if (isInstanceOfElement(node, HTMLIFrameElement)) {
-    return cloneIFrameElement(node);
+  if (isInstanceOfElement(node, "HTMLIFrameElement")) {
+    return cloneIFrameElement(node, options);
   }
 
   return node.cloneNode(false);
@@ -159,12 +185,55 @@ async function cloneSingleNode(node, options) {
 const isSlotElement = (node) =>
   node.tagName != null && node.tagName.toUpperCase() === "SLOT";
 
+/**
+ * Returns the child nodes that are cloned along with a node.
+ *
+ * For slot elements these are the assigned nodes, for same-origin iframes the iframe's document body, and for
+ * elements with a shadow root the children of the shadow root. Video elements have no cloned children.
+ *
+ * @param {Node} nativeNode - The original DOM node.
+ * @returns {Node[]} The child nodes to clone.
+ */
+function getChildNodes(nativeNode) {
+  if (isInstanceOfElement(nativeNode, "HTMLVideoElement")) {
+    return [];
+  }
+
+  if (isSlotElement(nativeNode) && nativeNode.assignedNodes) {
+    return toArray(nativeNode.assignedNodes());
+  }
+
+  if (isInstanceOfElement(nativeNode, "HTMLIFrameElement")) {
+    const frameDocument = getFrameDocument(nativeNode);
+    return frameDocument ? [frameDocument.body] : [];
+  }
+
+  return toArray(
+    nativeNode.shadowRoot
+      ? nativeNode.shadowRoot.childNodes
+      : nativeNode.childNodes
+  );
+}
+
+/**
+ * Counts a node and all the descendants that are cloned along with it, for progress reporting.
+ *
+ * @param {Node} node - The original DOM node.
+ * @returns {number} The number of nodes in the subtree.
+ */
+function countNodes(node) {
+  return getChildNodes(node).reduce(
+    (total, child) => total + countNodes(child),
+    1
+  );
+}
+
 /**
  * Asynchronously clones the children of a native DOM node into a cloned DOM node.
  *
  * This function is designed to handle the cloning of child nodes for a variety of element types, including handling special cases like
- * slot elements and iframes. For slot elements, it clones the assigned nodes (i.e., the nodes distributed to the slot). For iframes, it
- * clones the child nodes of the iframe's document body. For elements with a shadow root, it clones the child nodes of the shadow root;
+ * slot elements and iframes. For slot elements, it clones the assigned nodes (i.e., the nodes distributed to the slot). For same-origin
+ * iframes, it clones the iframe's document body. For elements with a shadow root, it clones the child nodes of the shadow root;
  * otherwise, it clones the direct child nodes of the element.
  *
  * If the native node is a video element or has no children, the function immediately returns the cloned node without attempting to clone
@@ -185,27 +254,8 @@ const isSlotElement = (node) =>
  * @returns {Promise<Node>} A promise that resolves to the cloned node with its child nodes (if any) cloned and appended.
  */
 async function cloneChildren(nativeNode, clonedNode, options) {
-  let children = [];
-
-  if (isSlotElement(nativeNode) && nativeNode.assignedNodes) {
-    children = toArray(nativeNode.assignedNodes());
-  } else if (
-    isInstanceOfElement(nativeNode, HTMLIFrameElement) &&
-    nativeNode.contentDocument?.body
-  ) {
-    children = toArray(nativeNode.contentDocument.body.childNodes);
-  } else {
-    children = toArray(
-      nativeNode.shadowRoot
-        ? nativeNode.shadowRoot.childNodes
-        : nativeNode.childNodes
-    );
-  }
-
-  if (
-    children.length === 0 ||
-    isInstanceOfElement(nativeNode, HTMLVideoElement)
-  ) {
+  const children = getChildNodes(nativeNode);
+  if (children.length === 0) {
     return clonedNode;
   }
 
@@ -227,7 +277,7 @@ async function cloneChildren(nativeNode, clonedNode, options) {
 /**
  * Copies the computed CSS styles from a native DOM node to a cloned DOM node, with special adjustments.
  *
- * This function first retrieves the computed style of the `nativeNode` using `window.getComputedStyle` and then
+ * This function first retrieves the computed style of the `nativeNode` using the `getComputedStyle` of its window and then
  * attempts to directly copy these styles to the `clonedNode`. If the computed style's `cssText` property is usable,
  * it assigns this directly to the `clonedNode`'s style `cssText` property. Additionally, it ensures the `transformOrigin`
  * property is also copied. If the `cssText` property is not usable, it iterates over each computed style property
@@ -249,14 +299,17 @@ async function cloneChildren(nativeNode, clonedNode, options) {
  *
  * @param {Element} nativeNode - The original DOM node from which styles are to be copied.
  * @param {Element} clonedNode - The cloned DOM node to which styles are to be applied.
+ * @param {Object} options - The render options, providing the window when the node has none.
  */
-function cloneCSSStyle(nativeNode, clonedNode) {
+function cloneCSSStyle(nativeNode, clonedNode, options) {
   const targetStyle = clonedNode.style;
   if (!targetStyle) {
     return;
   }
 
-  const sourceStyle = window.getComputedStyle(nativeNode);
+  const sourceStyle = getNodeWindow(nativeNode, options).getComputedStyle(
+    nativeNode
+  );
   if (sourceStyle.cssText) {
     targetStyle.cssText = sourceStyle.cssText;
     targetStyle.transformOrigin = sourceStyle.transformOrigin;
@@ -270,7 +323,7 @@ function cloneCSSStyle(nativeNode, clonedNode) {
       }
 
       if (
-        isInstanceOfElement(nativeNode, HTMLIFrameElement) &&
+        isInstanceOfElement(nativeNode, "HTMLIFrameElement") &&
         name === "display" &&
         value === "inline"
       ) {
@@ -309,11 +362,11 @@ function cloneCSSStyle(nativeNode, clonedNode) {
  * @param {Node} clonedNode - The cloned DOM node where the value will be set.
  */
 function cloneInputValue(nativeNode, clonedNode) {
-  if (isInstanceOfElement(nativeNode, HTMLTextAreaElement)) {
+  if (isInstanceOfElement(nativeNode, "HTMLTextAreaElement")) {
     clonedNode.innerHTML = nativeNode.value;
   }
 
-  if (isInstanceOfElement(nativeNode, HTMLInputElement)) {
+  if (isInstanceOfElement(nativeNode, "HTMLInputElement")) {
     clonedNode.setAttribute("value", nativeNode.value);
   }
 }
@@ -337,7 +390,7 @@ function cloneInputValue(nativeNode, clonedNode) {
  * @param {Node} clonedNode - The cloned DOM node of the `<select>` element where the selected value will be replicated.
  */
 function cloneSelectValue(nativeNode, clonedNode) {
-  if (isInstanceOfElement(nativeNode, HTMLSelectElement)) {
+  if (isInstanceOfElement(nativeNode, "HTMLSelectElement")) {
     const clonedSelect = clonedNode;
     const selectedOption = Array.from(clonedSelect.children).find(
       (child) => nativeNode.value === child.getAttribute("value")
@@ -349,6 +402,150 @@ function cloneSelectValue(nativeNode, clonedNode) {
   }
 }
 
+/**
+ * Tells whether a computed style paints no background.
+ *
+ * @param {CSSStyleDeclaration} style - The computed style.
+ * @returns {boolean} True if the background color is transparent and there is no background image.
+ */
+function hasNoBackground(style) {
+  const color = style.getPropertyValue("background-color");
+  return (
+    (color === "transparent" || color === "rgba(0, 0, 0, 0)") &&
+    style.getPropertyValue("background-image") === "none"
+  );
+}
+
+/**
+ * Makes the clone of a same-origin iframe look like the iframe's viewport.
+ *
+ * The clone, which already has the iframe's size and borders, clips its content to that size. The cloned body inside it
+ * is moved by the iframe's scroll position, so the visible part of the document is the one shown. The background of the
+ * frame's canvas, which the browser takes from the root element or else from the body, is painted on the clone, since
+ * it covers the whole viewport and not only the body's box.
+ *
+ * @param {HTMLIFrameElement} iframe - The original iframe.
+ * @param {Element} clonedNode - The clone of the iframe, with its computed styles already copied.
+ */
+function decorateFrameViewport(iframe, clonedNode) {
+  const frameDocument = getFrameDocument(iframe);
+  const frameWindow = frameDocument.defaultView;
+  const targetStyle = clonedNode.style;
+  targetStyle.setProperty("overflow", "hidden");
+
+  const clonedBody = clonedNode.firstElementChild;
+  const rootStyle = frameWindow.getComputedStyle(frameDocument.documentElement);
+  const fromBody = hasNoBackground(rootStyle);
+  const canvasStyle = fromBody
+    ? frameWindow.getComputedStyle(frameDocument.body)
+    : rootStyle;
+  if (!hasNoBackground(canvasStyle)) {
+    ["background-color", "background-image"].forEach((name) => {
+      targetStyle.setProperty(name, canvasStyle.getPropertyValue(name));
+    });
+    // A background taken over by the canvas is not painted by the body itself.
+    if (fromBody && clonedBody) {
+      clonedBody.style.setProperty("background-color", "transparent");
+      clonedBody.style.setProperty("background-image", "none");
+    }
+  }
+
+  if (clonedBody && (frameWindow.scrollX || frameWindow.scrollY)) {
+    clonedBody.style.setProperty(
+      "translate",
+      `${-frameWindow.scrollX}px ${-frameWindow.scrollY}px`
+    );
+  }
+}
+
+/**
+ * Makes the image URLs of a clone absolute, for nodes from another document such as a same-origin iframe.
+ *
+ * Relative URLs resolve against the document a node belongs to. The clones of an iframe's nodes move into the outer
+ * document, where the same relative URL points elsewhere, so the URL the original resolved to is kept instead. For an
+ * `img`, that is the source the browser picked from `srcset`.
+ *
+ * @param {Element} nativeNode - The original DOM node.
+ * @param {Element} clonedNode - The cloned DOM node.
+ */
+function resolveImageUrls(nativeNode, clonedNode) {
+  if (isInstanceOfElement(nativeNode, "HTMLImageElement")) {
+    const url = nativeNode.currentSrc || nativeNode.src;
+    if (url) {
+      clonedNode.removeAttribute("srcset");
+      clonedNode.setAttribute("src", url);
+    }
+  } else if (
+    isInstanceOfElement(nativeNode, "SVGImageElement") &&
+    nativeNode.href.baseVal
+  ) {
+    clonedNode.href.baseVal = new URL(
+      nativeNode.href.baseVal,
+      nativeNode.baseURI
+    ).href;
+  }
+}
+
+/**
+ * Expands a cloned scroll container so it shows its whole scrollable content instead of the visible part.
+ *
+ * Used when `options.captureMode` is `"full"`. On every axis where the original clips its content (`overflow` other
+ * than `visible`) and the content is larger than the box, the clone gets the height or width of the scrollable content,
+ * no maximum size and visible overflow. The clone is never scrolled, so the content is shown from its start.
+ *
+ * @param {Element} nativeNode - The original DOM node.
+ * @param {Element} clonedNode - The cloned DOM node, with its computed styles already copied.
+ * @param {Object} options - The render options, providing the window when the node has none.
+ */
+function expandScrollContent(nativeNode, clonedNode, options) {
+  const targetStyle = clonedNode.style;
+  if (!targetStyle) {
+    return;
+  }
+
+  const sourceStyle = getNodeWindow(nativeNode, options).getComputedStyle(
+    nativeNode
+  );
+  const borderBox = sourceStyle.getPropertyValue("box-sizing") === "border-box";
+  const length = (name) => parseFloat(sourceStyle.getPropertyValue(name)) || 0;
+
+  const expand = (axis, size, scrollSize, clientSize, start, end) => {
+    if (
+      sourceStyle.getPropertyValue(`overflow-${axis}`) === "visible" ||
+      scrollSize <= clientSize
+    ) {
+      return;
+    }
+
+    // scrollWidth and scrollHeight include the padding but not the borders.
+    const value = borderBox
+      ? scrollSize +
+        length(`border-${start}-width`) +
+        length(`border-${end}-width`)
+      : scrollSize - length(`padding-${start}`) - length(`padding-${end}`);
+    targetStyle.setProperty(size, `${value}px`);
+    targetStyle.setProperty(`max-${size}`, "none");
+    targetStyle.setProperty(`overflow-${axis}`, "visible");
+  };
+
+  expand(
+    "x",
+    "width",
+    nativeNode.scrollWidth,
+    nativeNode.clientWidth,
+    "left",
+    "right"
+  );
+  expand(
+    "y",
+    "height",
+    nativeNode.scrollHeight,
+    nativeNode.clientHeight,
+    "top",
+    "bottom"
+  );
+}
+
 /**
  * Applies various cloning operations to replicate the state and style of a native DOM node onto a cloned DOM node.
  *
@@ -363,6 +560,9 @@ function cloneSelectValue(nativeNode, clonedNode) {
  * - `clonePseudoElements`: to clone the styles of pseudo-elements (:before, :after) from the native node to the cloned node.
  * - `cloneInputValue`: to clone the current value of input or textarea elements from the native node to the cloned node.
  * - `cloneSelectValue`: to clone the selected state of options within a select element from the native node to the cloned node.
+ * - `expandScrollContent`: with `options.captureMode` set to `"full"`, to show the whole content of scroll containers.
+ * - `decorateFrameViewport`: for same-origin iframes, to clip, scroll and paint the clone like the iframe's viewport.
+ * - `resolveImageUrls`: for nodes of another document, such as an iframe's, to keep their image URLs pointing at the same files.
  *
  * After performing these operations, the cloned node, now enhanced to more closely mirror the original node's appearance and state, is returned.
  *
@@ -371,14 +571,27 @@ function cloneSelectValue(nativeNode, clonedNode) {
  *
  * @param {Node} nativeNode - The original DOM node to be cloned.
  * @param {Node} clonedNode - The cloned DOM node to decorate.
+ * @param {Object} options - The render options.
  * @returns {Node} The decorated cloned node, enhanced to replicate the native node's state and style.
  */
-function decorate(nativeNode, clonedNode) {
-  if (isInstanceOfElement(clonedNode, Element)) {
-    cloneCSSStyle(nativeNode, clonedNode);
-    clonePseudoElements(nativeNode, clonedNode);
+function decorate(nativeNode, clonedNode, options) {
+  if (isInstanceOfElement(clonedNode, "Element")) {
+    cloneCSSStyle(nativeNode, clonedNode, options);
+    clonePseudoElements(nativeNode, clonedNode, options);
     cloneInputValue(nativeNode, clonedNode);
     cloneSelectValue(nativeNode, clonedNode);
+    if (options.captureMode === "full") {
+      expandScrollContent(nativeNode, clonedNode, options);
+    }
+    if (
+      isInstanceOfElement(nativeNode, "HTMLIFrameElement") &&
+      getFrameDocument(nativeNode)
+    ) {
+      decorateFrameViewport(nativeNode, clonedNode);
+    }
+    if (nativeNode.ownerDocument !== getEnvironment(options).document) {
+      resolveImageUrls(nativeNode, clonedNode);
+    }
   }
 
   return clonedNode;
@@ -390,7 +603,8 @@ function decorate(nativeNode, clonedNode) {
  * This function addresses the issue where SVG `<use>` elements within a cloned DOM tree reference symbols that might not exist within
  * the cloned context. It does this by querying all `<use>` elements within the cloned element and checking if their referenced symbols
  * exist. If a symbol is referenced but not present in the clone, this function attempts to find and clone the original symbol definition
- * from the document and then inject it into a hidden SVG element within the clone.
+ * from the clone's own document, i.e. the document of the original node (which may be an iframe's document), and then inject it into a
+ * hidden SVG element within the clone.
  *
  * The function handles the cloning of symbol definitions only once per unique symbol to avoid duplication. It also ensures that the
  * newly created SVG container for the symbols is hidden and does not affect the layout or display of the document.
@@ -419,8 +633,11 @@ async function ensureSVGSymbols(clone, options) {
     const id = use.getAttribute("xlink:href");
     if (id) {
       const exist = clone.querySelector(id);
-      const definition = document.querySelector(id);
+      const definition = clone.ownerDocument.querySelector(id);
       if (!exist && definition && !processedDefs[id]) {
+        if (options.onProgress) {
+          progress.addNodes(options, countNodes(definition));
+        }
         processedDefs[id] = await cloneNode(definition, options, true);
       }
     }
@@ -429,7 +646,7 @@ async function ensureSVGSymbols(clone, options) {
   const nodes = Object.values(processedDefs);
   if (nodes.length) {
     const ns = "http://www.w3.org/1999/xhtml";
-    const svg = document.createElementNS(ns, "svg");
+    const svg = clone.ownerDocument.createElementNS(ns, "svg");
     svg.setAttribute("xmlns", ns);
     svg.style.position = "absolute";
     svg.style.width = "0";
@@ -437,7 +654,7 @@ async function ensureSVGSymbols(clone, options) {
     svg.style.overflow = "hidden";
     svg.style.display = "none";
 
-    const defs = document.createElementNS(ns, "defs");
+    const defs = clone.ownerDocument.createElementNS(ns, "defs");
     svg.appendChild(defs);
 
     for (let i = 0; i < nodes.length; i++) {
@@ -461,10 +678,14 @@ async function ensureSVGSymbols(clone, options) {
  * 2. Cloning: The node is cloned. This step includes special handling based on the node's type (e.g., canvas, video, iframe).
  * 3. Child Cloning: The children of the node are recursively cloned, applying the same filtering and special handling to each.
  * 4. Decoration: The cloned node is enhanced by copying styles and other attributes from the original node.
- * 5. SVG Symbol Handling: If the cloned node uses SVG symbols, this function ensures those symbols are available in the cloned context.
+ * 5. Plugins: The `onCloneNode` hook of every plugin runs and may adjust or replace the cloned node, or return `null` to drop it.
+ * 6. SVG Symbol Handling: If the cloned node uses SVG symbols, this function ensures those symbols are available in the cloned context.
  *
  * The cloning process is customizable through an options object, which can include a `filter` function to exclude certain nodes from
- * being cloned, among other possible options.
+ * being cloned, among other possible options. When `options.signal` is aborted, the next node to be cloned rejects with an
+ * AbortError, which stops the traversal; the original DOM is never modified, so there is nothing to undo. With
+ * `options.onProgress`, every cloned or filtered node is reported against the total the caller started with
+ * `progress.startNodes`, which grows by the size of any SVG symbol definition copied into the clone.
  *
  * Note: This function is designed to be flexible and extensible, accommodating a variety of cloning scenarios, including deep cloning
  * of complex DOM structures with special considerations for elements that require additional processing to maintain their functionality
@@ -473,21 +694,38 @@ async function ensureSVGSymbols(clone, options) {
  * @async
  * @param {Node} node - The DOM node to clone.
  * @param {Object} options - An options object for configuring the cloning process. May include a `filter` function to exclude certain nodes.
- * @param {boolean} isRoot - Indicates whether the node being cloned is the root of the cloning operation. Used to ensure the root node is always cloned regardless of the filter.
+ * @param {boolean} isRoot - Indicates whether the node being cloned is the root of the cloning operation. Used to ensure the root node, or a copied SVG symbol definition, is always cloned regardless of the filter.
  * @returns {Promise<Node>} A promise that resolves to the cloned node, or `null` if the node was excluded by the filter and is not the root.
  */
 async function cloneNode(node, options, isRoot) {
+  throwIfAborted(options.signal);
+
   if (!isRoot && options.filter && !options.filter(node)) {
+    if (options.onProgress) {
+      progress.advanceNodes(options, countNodes(node));
+    }
     return null;
   }
 
+  count(options, "nodesCloned");
+  progress.advanceNodes(options);
+
   return Promise.resolve(node)
     .then((clonedNode) => cloneSingleNode(clonedNode, options))
     .then((clonedNode) => cloneChildren(node, clonedNode, options))
-    .then((clonedNode) => decorate(node, clonedNode))
-    .then((clonedNode) => ensureSVGSymbols(clonedNode, options));
+    .then((clonedNode) => decorate(node, clonedNode, options))
+    .then(async (clonedNode) => {
+      const hooked = await applyHook("onCloneNode", clonedNode, {
+        node,
+        options,
+      });
+      return hooked == null && isRoot ? clonedNode : hooked;
+    })
+    .then((clonedNode) => clonedNode && ensureSVGSymbols(clonedNode, options));
 }
 
 module.exports = {
   cloneNode,
+  countNodes,
+  getChildNodes,
 };
@@ -1,6 +1,7 @@
 const util = require("./util");
 const uuid = util.uuid;
 const toArray = util.toArray;
+const { getNodeWindow } = require("./environment");
 
 const Pseudo = {
   BEFORE: ":before",
@@ -70,22 +71,23 @@ function formatCSSProperties(style) {
  * @param {string} className - The class name of the element(s) to target.
  * @param {string} pseudo - The pseudo-element to style (e.g., "before", "after").
  * @param {CSSStyleDeclaration} style - The CSS style declaration object from which to generate the style rule.
+ * @param {Document} doc - The document creating the text node.
  * @returns {Text} A text node containing the CSS rule for the specified pseudo-element of the class.
  */
-function getPseudoElementStyle(className, pseudo, style) {
+function getPseudoElementStyle(className, pseudo, style, doc) {
   const selector = `.${className}:${pseudo}`;
   const cssText = style.cssText
     ? formatCSSText(style)
     : formatCSSProperties(style);
 
-  return document.createTextNode(`${selector}{${cssText}}`);
+  return doc.createTextNode(`${selector}{${cssText}}`);
 }
 
 /**
  * Clones the style of a pseudo-element from a native node to a cloned node, applying it via a dynamically created <style> element.
  *
  * This function is designed to clone the styles of pseudo-elements (e.g., ::before, ::after) from a given native DOM node to a cloned
- * node. It first retrieves the computed style of the specified pseudo-element using `window.getComputedStyle`. If the pseudo-element has
+ * node. It first retrieves the computed style of the specified pseudo-element using the `getComputedStyle` of its window. If the pseudo-element has
  * no content or its content is set to 'none', the function does not proceed further, as the pseudo-element is not visually represented.
  *
  * A unique class name is generated (via a `uuid` function not defined here) and added to the cloned node's class list. This ensures that
@@ -99,11 +101,16 @@ function getPseudoElementStyle(className, pseudo, style) {
  * @param {Element} nativeNode - The original DOM element from which the pseudo-element's styles are to be cloned.
  * @param {Element} clonedNode - The cloned DOM element to which the pseudo-element's styles will be applied.
  * @param {string} pseudo - The pseudo-element selector (e.g., "::before" or "::after") indicating which pseudo-element's styles are to be cloned.
+ * @param {Object} options - The render options, providing the window when the node has none.
  */
-function clonePseudoElement(nativeNode, clonedNode, pseudo) {
-  const style = window.getComputedStyle(nativeNode, pseudo);
+function clonePseudoElement(nativeNode, clonedNode, pseudo, options) {
+  const style = getNodeWindow(nativeNode, options).getComputedStyle(
+    nativeNode,
+    pseudo
+  );
   const content = style.getPropertyValue("content");
-  if (content === "" || content === "none") {
+  // "normal" computes to "none" on ::before and ::after, but is reported as is by some windows (e.g. jsdom)
+  if (content === "" || content === "none" || content === "normal") {
     return;
   }
 
@@ -114,8 +121,11 @@ function clonePseudoElement(nativeNode, clonedNode, pseudo) {
     return;
   }
 
-  const styleElement = document.createElement("style");
-  styleElement.appendChild(getPseudoElementStyle(className, pseudo, style));
+  const doc = clonedNode.ownerDocument;
+  const styleElement = doc.createElement("style");
+  styleElement.appendChild(
+    getPseudoElementStyle(className, pseudo, style, doc)
+  );
   clonedNode.appendChild(styleElement);
 }
 
@@ -139,10 +149,11 @@ function clonePseudoElement(nativeNode, clonedNode, pseudo) {
  *
  * @param {Element} nativeNode - The original DOM element from which to clone the pseudo-elements.
  * @param {Element} clonedNode - The cloned DOM element to which the pseudo-elements' styles will be applied.
+ * @param {Object} options - The render options.
  */
-function clonePseudoElements(nativeNode, clonedNode) {
-  clonePseudoElement(nativeNode, clonedNode, Pseudo.BEFORE);
-  clonePseudoElement(nativeNode, clonedNode, Pseudo.AFTER);
+function clonePseudoElements(nativeNode, clonedNode, options) {
+  clonePseudoElement(nativeNode, clonedNode, Pseudo.BEFORE, options);
+  clonePseudoElement(nativeNode, clonedNode, Pseudo.AFTER, options);
 }
 
 module.exports = {
@@ -0,0 +1,262 @@
+// The largest possible YIQ color delta between two pixels, used to scale the threshold.
+const maxColorDelta = 35215;
+
+// Colors of the diff image for mismatched pixels (including pixels outside one of the images) and anti-aliased pixels.
+const diffColor = [255, 0, 0];
+const antialiasedColor = [255, 255, 0];
+
+// How much of the first image shows through, grayed out, behind the highlighted pixels of the diff image.
+const backgroundAlpha = 0.1;
+
+/**
+ * Blends a color channel with white by its alpha, so transparent pixels compare as what they look like on a page.
+ *
+ * @param {number} value - The channel value (0 to 255).
+ * @param {number} alpha - The alpha of the pixel (0 to 1).
+ * @returns {number} The blended channel value.
+ */
+function blend(value, alpha) {
+  return 255 + (value - 255) * alpha;
+}
+
+/**
+ * Returns the YIQ components of a pixel, blended with white.
+ *
+ * @param {Uint8ClampedArray|number[]} data - The RGBA pixel data.
+ * @param {number} offset - The offset of the pixel's red channel.
+ * @returns {{y: number, i: number, q: number}} The luma and the two chroma components.
+ */
+function toYIQ(data, offset) {
+  const alpha = data[offset + 3] / 255;
+  const r = blend(data[offset], alpha);
+  const g = blend(data[offset + 1], alpha);
+  const b = blend(data[offset + 2], alpha);
+
+  return {
+    y: r * 0.29889531 + g * 0.58662247 + b * 0.11448223,
+    i: r * 0.59597799 - g * 0.2741761 - b * 0.32180189,
+    q: r * 0.21147017 - g * 0.52261711 + b * 0.31114694,
+  };
+}
+
+/**
+ * Measures the perceived difference between two pixels, in the YIQ color space.
+ *
+ * @param {Uint8ClampedArray|number[]} dataA - The RGBA pixel data of the first pixel.
+ * @param {number} offsetA - The offset of the first pixel.
+ * @param {Uint8ClampedArray|number[]} dataB - The RGBA pixel data of the second pixel.
+ * @param {number} offsetB - The offset of the second pixel.
+ * @param {boolean} [brightnessOnly=false] - Whether to compare the brightness only, signed: negative when the second
+ *        pixel is brighter.
+ * @returns {number} The squared color distance, from 0 to 35215, or the brightness difference.
+ */
+function colorDelta(dataA, offsetA, dataB, offsetB, brightnessOnly = false) {
+  const a = toYIQ(dataA, offsetA);
+  const b = toYIQ(dataB, offsetB);
+  const y = a.y - b.y;
+  if (brightnessOnly) {
+    return y;
+  }
+
+  const i = a.i - b.i;
+  const q = a.q - b.q;
+  return 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+}
+
+/**
+ * Tells whether a pixel has at least three identical neighbors, i.e. lies inside an area of flat color.
+ *
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - The image.
+ * @param {number} x - The column of the pixel.
+ * @param {number} y - The row of the pixel.
+ * @returns {boolean} True if the pixel has three or more identical neighbors.
+ */
+function hasManySiblings(image, x, y) {
+  const { data, width, height } = image;
+  const offset = (y * width + x) * 4;
+  let siblings = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+
+  for (let ny = Math.max(y - 1, 0); ny <= Math.min(y + 1, height - 1); ny++) {
+    for (let nx = Math.max(x - 1, 0); nx <= Math.min(x + 1, width - 1); nx++) {
+      if (nx === x && ny === y) {
+        continue;
+      }
+
+      const neighbor = (ny * width + nx) * 4;
+      if (
+        data[offset] === data[neighbor] &&
+        data[offset + 1] === data[neighbor + 1] &&
+        data[offset + 2] === data[neighbor + 2] &&
+        data[offset + 3] === data[neighbor + 3]
+      ) {
+        siblings += 1;
+      }
+      if (siblings > 2) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Tells whether a pixel of an image is likely part of an anti-aliased edge.
+ *
+ * An anti-aliased pixel sits between a darker and a brighter neighbor, has at most two neighbors of the same brightness,
+ * and its darkest or brightest neighbor lies in an area of flat color in both images: the smoothed edge of a glyph or a
+ * shape, which rasterizers are free to shade slightly differently.
+ *
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - The image the pixel belongs to.
+ * @param {number} x - The column of the pixel.
+ * @param {number} y - The row of the pixel.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} other - The image it is compared with.
+ * @returns {boolean} True if the pixel looks anti-aliased.
+ */
+function isAntialiased(image, x, y, other) {
+  const { data, width, height } = image;
+  const offset = (y * width + x) * 4;
+  let equal = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+  let min = 0;
+  let max = 0;
+  let minX;
+  let minY;
+  let maxX;
+  let maxY;
+
+  for (let ny = Math.max(y - 1, 0); ny <= Math.min(y + 1, height - 1); ny++) {
+    for (let nx = Math.max(x - 1, 0); nx <= Math.min(x + 1, width - 1); nx++) {
+      if (nx === x && ny === y) {
+        continue;
+      }
+
+      const delta = colorDelta(data, offset, data, (ny * width + nx) * 4, true);
+      if (delta === 0) {
+        equal += 1;
+        if (equal > 2) {
+          return false;
+        }
+      } else if (delta < min) {
+        min = delta;
+        minX = nx;
+        minY = ny;
+      } else if (delta > max) {
+        max = delta;
+        maxX = nx;
+        maxY = ny;
+      }
+    }
+  }
+
+  if (min === 0 || max === 0) {
+    return false;
+  }
+
+  const flat = (nx, ny) =>
+    hasManySiblings(image, nx, ny) &&
+    nx < other.width &&
+    ny < other.height &&
+    hasManySiblings(other, nx, ny);
+  return flat(minX, minY) || flat(maxX, maxY);
+}
+
+/**
+ * Writes one pixel of the diff image.
+ *
+ * @param {Uint8ClampedArray} data - The pixel data of the diff image.
+ * @param {number} offset - The offset of the pixel.
+ * @param {number[]} color - The RGB color.
+ */
+function setPixel(data, offset, color) {
+  data[offset] = color[0];
+  data[offset + 1] = color[1];
+  data[offset + 2] = color[2];
+  data[offset + 3] = 255;
+}
+
+/**
+ * Writes a pixel of the first image, grayed out and faded, into the diff image, as the background of the highlights.
+ *
+ * @param {Uint8ClampedArray} data - The pixel data of the diff image.
+ * @param {number} offset - The offset of the pixel in the diff image.
+ * @param {Uint8ClampedArray} source - The pixel data of the first image.
+ * @param {number} sourceOffset - The offset of the pixel in the first image.
+ */
+function setBackgroundPixel(data, offset, source, sourceOffset) {
+  const alpha = (source[sourceOffset + 3] / 255) * backgroundAlpha;
+  const { y } = toYIQ(source, sourceOffset);
+  const gray = blend(y, alpha);
+  setPixel(data, offset, [gray, gray, gray]);
+}
+
+/**
+ * Compares two images pixel by pixel and highlights the differences.
+ *
+ * Pixels are compared by their perceived color difference, so tiny changes below `threshold` are ignored. With
+ * `antialiasing` (the default), differing pixels that look like part of an anti-aliased edge in either image, such as
+ * the smoothed outline of a glyph, are not counted, which keeps font rasterization noise from failing a comparison.
+ * Images of different sizes are compared over the larger size, and every pixel that exists in only one of them counts
+ * as a mismatch.
+ *
+ * The diff image shows the first image grayed out, with mismatched pixels in red and ignored anti-aliased pixels in
+ * yellow.
+ *
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageA - The first image.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageB - The second image.
+ * @param {Object} [options={}] - The comparison options.
+ * @param {number} [options.threshold=0.1] - The color difference, from 0 to 1, above which two pixels differ.
+ * @param {boolean} [options.antialiasing=true] - Whether to ignore differences caused by anti-aliasing.
+ * @returns {{mismatchedPixels: number, width: number, height: number, diff: {data: Uint8ClampedArray, width: number, height: number}}}
+ *          The number of mismatched pixels, the compared size and the diff image.
+ */
+function diffPixels(imageA, imageB, options = {}) {
+  const threshold = options.threshold != null ? options.threshold : 0.1;
+  const maxDelta = maxColorDelta * threshold * threshold;
+  const antialiasing = options.antialiasing !== false;
+
+  const width = Math.max(imageA.width, imageB.width);
+  const height = Math.max(imageA.height, imageB.height);
+  const diff = new Uint8ClampedArray(width * height * 4);
+  let mismatchedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      const inA = x < imageA.width && y < imageA.height;
+      const inB = x < imageB.width && y < imageB.height;
+      if (!inA || !inB) {
+        mismatchedPixels += 1;
+        setPixel(diff, offset, diffColor);
+        continue;
+      }
+
+      const offsetA = (y * imageA.width + x) * 4;
+      const offsetB = (y * imageB.width + x) * 4;
+      const delta = colorDelta(imageA.data, offsetA, imageB.data, offsetB);
+
+      if (delta <= maxDelta) {
+        setBackgroundPixel(diff, offset, imageA.data, offsetA);
+      } else if (
+        antialiasing &&
+        (isAntialiased(imageA, x, y, imageB) ||
+          isAntialiased(imageB, x, y, imageA))
+      ) {
+        setPixel(diff, offset, antialiasedColor);
+      } else {
+        mismatchedPixels += 1;
+        setPixel(diff, offset, diffColor);
+      }
+    }
+  }
+
+  return {
+    mismatchedPixels,
+    width,
+    height,
+    diff: { data: diff, width, height },
+  };
+}
+
+module.exports = {
+  diffPixels,
+};
@@ -1,3 +1,9 @@
+const { getLogger } = require("./logger");
+const { count } = require("./report");
+const { abortable, isAbortError, withTimeout } = require("./abort");
+const { trackResource } = require("./progress");
+const { getEnvironment } = require("./environment");
+
 /**
  * Extracts and returns the content portion from a data URL.
  *
@@ -55,31 +61,64 @@ function makeDataUrl(content, mimeType) {
  * @param {string} url - The URL of the resource to fetch.
  * @param {Object} init - Fetch initialization parameters (e.g., method, headers).
  * @param {Function} process - A callback function that processes the fetch response and data URL.
+ * @param {Object} [options={}] - The render options, providing the `fetch` and `FileReader` of the environment.
  * @returns {Promise<*>} A promise that resolves with the processed result of the fetch operation.
  * @throws {Error} If the resource is not found or if an error occurs during fetching, reading, or processing.
  */
-async function fetchAsDataURL(url, init, process) {
-  const res = await fetch(url, init);
+async function fetchAsDataURL(url, init, process, options = {}) {
+  const environment = getEnvironment(options);
+  const res = await environment.fetch(url, init);
   if (res.status === 404) {
     throw new Error(`Resource "${res.url}" not found`);
   }
   const blob = await res.blob();
+  const result = await blobToDataURL(blob, environment.window);
+  return process({ res, result });
+}
+
+/**
+ * Encodes bytes as base64 without a FileReader.
+ *
+ * @param {ArrayBuffer} buffer - The bytes to encode.
+ * @returns {string} The base64 encoded bytes.
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const chunkSize = 0x8000;
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Reads a Blob and returns its content encoded as a data URL.
+ *
+ * This function wraps `FileReader.readAsDataURL` in a promise. The resulting data URL is base64 encoded and carries the
+ * Blob's MIME type, which makes it interchangeable with the output of `canvas.toDataURL`. Blobs the window's FileReader
+ * cannot read, such as the responses of Node's `fetch` under jsdom, are encoded from their bytes instead.
+ *
+ * @param {Blob} blob - The Blob to read.
+ * @param {Window} [win=window] - The window providing the FileReader.
+ * @returns {Promise<string>} A promise that resolves with the data URL of the Blob.
+ */
+async function blobToDataURL(blob, win = getEnvironment().window) {
+  if (!win || !win.FileReader || !(blob instanceof win.Blob)) {
+    const content = toBase64(await blob.arrayBuffer());
+    return `data:${blob.type || "application/octet-stream"};base64,${content}`;
+  }
+
   return new Promise((resolve, reject) => {
-    const reader = new FileReader();
+    const reader = new win.FileReader();
     reader.onerror = reject;
-    reader.onloadend = () => {
-      try {
-        resolve(process({ res, result: reader.result }));
-      } catch (error) {
-        reject(error);
-      }
-    };
-
+    reader.onloadend = () => resolve(reader.result);
     reader.readAsDataURL(blob);
   });
 }
 
 const cache = {};
+const pending = {};
 
 /**
  * Generates a cache key based on the URL, content type, and a flag indicating whether query parameters should be included.
@@ -110,19 +149,79 @@ function getCacheKey(url, contentType, includeQueryParams) {
   return contentType ? `[${contentType}]${key}` : key;
 }
 
+/**
+ * Fetches a resource and returns its content encoded as a data URL, or `null` on failure.
+ *
+ * Cache busting can be enabled through options, appending a timestamp query parameter to the resource URL to ensure the latest
+ * version is fetched. The fetched resource is processed to extract its content, optionally adjusting the content type based on
+ * the response header if not specified. A fetch taking longer than `options.resourceTimeout` milliseconds is aborted. Errors during
+ * fetching or processing, including timeouts, are logged as warnings through `options.logger`, and `null` is returned instead, so
+ * the returned promise only rejects, with an AbortError, when `options.signal` is aborted.
+ *
+ * @async
+ * @param {string} resourceUrl - The URL of the resource to fetch.
+ * @param {string} contentType - The MIME type of the resource, used if the response's Content-Type is unavailable or to override it.
+ * @param {Object} options - Configuration options for fetching and processing the resource.
+ * @returns {Promise<string|null>} A promise that resolves with the data URL of the resource, or `null` if it could not be fetched.
+ */
+async function fetchResource(resourceUrl, contentType, options) {
+  if (options.cacheBust) {
+    resourceUrl += (/\?/.test(resourceUrl) ? "&" : "?") + new Date().getTime();
+  }
+
+  let dataURL;
+  try {
+    const content = await withTimeout(
+      options.signal,
+      options.resourceTimeout,
+      `Timed out after ${options.resourceTimeout}ms fetching resource: ${resourceUrl}`,
+      (signal) =>
+        fetchAsDataURL(
+          resourceUrl,
+          { ...options.fetchRequestInit, signal },
+          ({ res, result }) => {
+            if (!contentType) {
+              contentType = res.headers.get("Content-Type") || "";
+            }
+            return getContentFromDataUrl(result);
+          },
+          options
+        )
+    );
+    dataURL = makeDataUrl(content, contentType);
+    count(options, "bytesEmbedded", dataURL.length);
+  } catch (error) {
+    if (options.signal?.aborted && isAbortError(error)) {
+      throw error;
+    }
+
+    dataURL = null;
+
+    let msg = `Failed to fetch resource: ${resourceUrl}`;
+    if (error) {
+      msg = typeof error === "string" ? error : error.message;
+    }
+
+    if (msg) {
+      getLogger(options).warn(msg);
+    }
+  }
+
+  return dataURL;
+}
+
 /**
  * Asynchronously fetches a resource and returns its content encoded as a data URL.
  *
  * This function attempts to fetch the specified resource and encode its content as a data URL. It supports caching of results
  * to avoid redundant network requests. The cache key is generated based on the resource URL, optional content type, and a flag
- * indicating whether to include query parameters. If caching is enabled and the resource has already been fetched, the cached
- * data URL is returned immediately.
+ * indicating whether to include query parameters. If the resource has already been fetched, the cached data URL is returned
+ * immediately; if it is being fetched, the pending request is shared, so concurrent renders (for example in `renderMany`)
+ * fetch every resource only once. A resource that fails to load or times out is not cached: the render gets the
+ * `options.imagePlaceholder` (or an empty string) for it, and the next render tries to fetch it again.
  *
- * Cache busting can be enabled through options, appending a timestamp query parameter to the resource URL to ensure the latest
- * version is fetched. The fetched resource is processed to extract its content, optionally adjusting the content type based on
- * the response header if not specified. If the fetch operation fails, an optional image placeholder can be returned as a fallback.
- *
- * Errors during fetching or processing are logged as warnings. The successful data URL or fallback placeholder is then cached and returned.
+ * An aborted `options.signal` rejects the returned promise with an AbortError and never leaves an entry in the cache. When
+ * the render that started a shared fetch is aborted, the other renders waiting for it start their own fetch instead.
  *
  * @async
  * @param {string} resourceUrl - The URL of the resource to fetch.
@@ -132,6 +231,8 @@ function getCacheKey(url, contentType, includeQueryParams) {
  * @param {boolean} [options.cacheBust=false] - Whether to append a timestamp to the URL to bypass the cache.
  * @param {Object} [options.fetchRequestInit] - Initialization object for the fetch request, such as method and headers.
  * @param {string} [options.imagePlaceholder] - A data URL to return as a fallback if fetching fails.
+ * @param {AbortSignal} [options.signal] - A signal to abort the fetch.
+ * @param {number} [options.resourceTimeout] - The time limit of the fetch in milliseconds, after which the placeholder is used.
  * @returns {Promise<string>} A promise that resolves with the data URL of the fetched resource content or a fallback placeholder.
  */
 async function resourceToDataURL(resourceUrl, contentType, options) {
@@ -142,44 +243,46 @@ async function resourceToDataURL(resourceUrl, contentType, options) {
   );
 
   if (cache[cacheKey] != null) {
+    count(options, "cacheHits");
     return cache[cacheKey];
   }
 
-  if (options.cacheBust) {
-    resourceUrl += (/\?/.test(resourceUrl) ? "&" : "?") + new Date().getTime();
-  }
-
-  let dataURL;
-  try {
-    const content = await fetchAsDataURL(
-      resourceUrl,
-      options.fetchRequestInit,
-      ({ res, result }) => {
-        if (!contentType) {
-          contentType = res.headers.get("Content-Type") || "";
+  if (pending[cacheKey] == null) {
+    count(options, "resourcesFetched");
+    pending[cacheKey] = fetchResource(resourceUrl, contentType, options).then(
+      (dataURL) => {
+        if (dataURL != null) {
+          cache[cacheKey] = dataURL;
         }
-        return getContentFromDataUrl(result);
+        delete pending[cacheKey];
+        return dataURL;
+      },
+      (error) => {
+        delete pending[cacheKey];
+        throw error;
       }
     );
-    dataURL = makeDataUrl(content, contentType);
-  } catch (error) {
-    dataURL = options.imagePlaceholder || "";
-
-    let msg = `Failed to fetch resource: ${resourceUrl}`;
-    if (error) {
-      msg = typeof error === "string" ? error : error.message;
-    }
-
-    if (msg) {
-      console.warn(msg);
-    }
+  } else {
+    count(options, "cacheHits");
   }
 
-  cache[cacheKey] = dataURL;
-  return dataURL;
+  const dataURL = abortable(pending[cacheKey], options.signal).then(
+    (result) => (result != null ? result : options.imagePlaceholder || ""),
+    (error) => {
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      // The render that started the fetch was aborted, fetch it for this one.
+      return resourceToDataURL(resourceUrl, contentType, options);
+    }
+  );
+  return trackResource(options, dataURL);
 }
 
 module.exports = {
   isDataUrl,
+  makeDataUrl,
+  fetchAsDataURL,
+  blobToDataURL,
   resourceToDataURL,
 };
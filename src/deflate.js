@@ -0,0 +1,80 @@
+const MAX_STORED_BLOCK = 65535;
+const ADLER_MOD = 65521;
+
+/**
+ * Computes the Adler-32 checksum of a byte array, as used in the zlib stream trailer.
+ *
+ * @param {Uint8Array} bytes - The bytes to checksum.
+ * @returns {number} The unsigned 32-bit checksum.
+ */
+function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+
+  for (let i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % ADLER_MOD;
+    b = (b + a) % ADLER_MOD;
+  }
+
+  return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Wraps bytes into a valid zlib stream made only of uncompressed ("stored") deflate blocks.
+ *
+ * This is the fallback used when the browser does not provide `CompressionStream`. The output is larger than the input,
+ * but any zlib/deflate decoder (PDF readers, PNG decoders) accepts it, which keeps the pure-JS encoders working everywhere.
+ *
+ * @param {Uint8Array} bytes - The bytes to wrap.
+ * @returns {Uint8Array} A zlib stream containing the bytes.
+ */
+function deflateStored(bytes) {
+  const blockCount = Math.max(1, Math.ceil(bytes.length / MAX_STORED_BLOCK));
+  const output = new Uint8Array(2 + blockCount * 5 + bytes.length + 4);
+  const view = new DataView(output.buffer);
+
+  // zlib header: deflate, 32K window, no preset dictionary, fastest compression
+  output[0] = 0x78;
+  output[1] = 0x01;
+
+  let offset = 2;
+  for (let i = 0; i < blockCount; i++) {
+    const start = i * MAX_STORED_BLOCK;
+    const length = Math.min(MAX_STORED_BLOCK, bytes.length - start);
+    output[offset] = i === blockCount - 1 ? 1 : 0; // BFINAL, BTYPE=00
+    view.setUint16(offset + 1, length, true);
+    view.setUint16(offset + 3, ~length & 0xffff, true);
+    output.set(bytes.subarray(start, start + length), offset + 5);
+    offset += 5 + length;
+  }
+
+  view.setUint32(offset, adler32(bytes));
+  return output;
+}
+
+/**
+ * Compresses bytes into a zlib stream (RFC 1950), as expected by PDF `FlateDecode` filters and PNG `IDAT` chunks.
+ *
+ * When the browser supports the Compression Streams API, the bytes are compressed natively with the `"deflate"` format,
+ * which produces zlib-wrapped output. Otherwise the bytes are stored uncompressed inside a zlib container, so callers can
+ * rely on getting a valid stream in every environment.
+ *
+ * @async
+ * @param {Uint8Array} bytes - The bytes to compress.
+ * @returns {Promise<Uint8Array>} A promise that resolves to the zlib stream.
+ */
+async function deflate(bytes) {
+  if (typeof CompressionStream === "undefined") {
+    return deflateStored(bytes);
+  }
+
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new CompressionStream("deflate"));
+  const buffer = await new Response(stream).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+module.exports = {
+  deflate,
+};
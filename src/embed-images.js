@@ -2,6 +2,7 @@ const embedResources = require("./embed-resources");
 const util = require("./util");
 const dataurl = require("./dataurl");
 const mimes = require("./mimes");
+const { abortable, throwIfAborted } = require("./abort");
 
 /**
  * Asynchronously embeds external resources referenced in a specific CSS property of a DOM node into the node itself.
@@ -21,23 +22,18 @@ const mimes = require("./mimes");
  * @returns {Promise<boolean>} A promise that resolves to `true` if the property was successfully processed and embedded; otherwise, `false`.
  */
 async function embedProp(propName, node, options) {
-  console.log("embedProp 1");
   const propValue = node.style?.getPropertyValue(propName);
-  console.log("embedProp 2");
   if (propValue) {
-    console.log("embedProp 3");
     const cssString = await embedResources.embedResources(
       propValue,
       null,
       options
     );
-    console.log("embedProp 4");
     node.style.setProperty(
       propName,
       cssString,
       node.style.getPropertyPriority(propName)
     );
-    console.log("embedProp 5");
     return true;
   }
   return false;
@@ -58,16 +54,11 @@ async function embedProp(propName, node, options) {
  * @param {Object} options - Options to pass to the `embedProp` function, influencing how resources are fetched and embedded.
  */
 async function embedBackground(clonedNode, options) {
-  console.log("embedBackground 1");
   if (!(await embedProp("background", clonedNode, options))) {
-    console.log("embedBackground 2");
     await embedProp("background-image", clonedNode, options);
-    console.log("embedBackground 3");
   }
   if (!(await embedProp("mask", clonedNode, options))) {
-    console.log("embedBackground 4");
     await embedProp("mask-image", clonedNode, options);
-    console.log("embedBackground 5");
   }
 }
 
@@ -87,19 +78,22 @@ async function embedBackground(clonedNode, options) {
  * and convert resources to data URLs. The MIME type for the resource URL is determined using a `mimes` object before conversion.
  *
  * After setting the data URL, the function waits for the image to load successfully, handling both the `onload` and `onerror` events, to ensure
- * that the embedding process completes or fails gracefully.
+ * that the embedding process completes or fails gracefully. Where images are never loaded (e.g. under jsdom), it does not wait.
  *
  * @async
  * @param {Element} clonedNode - The image node (`HTMLImageElement` or `SVGImageElement`) whose external resource will be embedded.
  * @param {Object} options - Options to control the resource fetching and conversion process.
  */
 async function embedImageNode(clonedNode, options) {
-  const isImageElement = util.isInstanceOfElement(clonedNode, HTMLImageElement);
+  const isImageElement = util.isInstanceOfElement(
+    clonedNode,
+    "HTMLImageElement"
+  );
 
   if (
     !(isImageElement && !dataurl.isDataUrl(clonedNode.src)) &&
     !(
-      util.isInstanceOfElement(clonedNode, SVGImageElement) &&
+      util.isInstanceOfElement(clonedNode, "SVGImageElement") &&
       !dataurl.isDataUrl(clonedNode.href.baseVal)
     )
   ) {
@@ -113,11 +107,12 @@ async function embedImageNode(clonedNode, options) {
     mimes.getMimeType(url),
     options
   );
-  await new Promise((resolve, reject) => {
+  const loaded = new Promise((resolve, reject) => {
     clonedNode.onload = resolve;
     clonedNode.onerror = reject;
 
     const image = clonedNode;
+    const loadsImages = !isImageElement || "decode" in image;
     if (image.decode) {
       image.decode = resolve;
     }
@@ -132,7 +127,13 @@ async function embedImageNode(clonedNode, options) {
     } else {
       clonedNode.href.baseVal = dataURL;
     }
+
+    // Windows that never load images, such as jsdom, have no decode(); the data URL is all the clone needs there.
+    if (!loadsImages) {
+      resolve();
+    }
   });
+  await abortable(loaded, options.signal);
 }
 
 /**
@@ -168,21 +169,18 @@ async function embedChildren(clonedNode, options) {
  * This ensures that all types of image references, whether in CSS backgrounds or `<img>` tags, including those nested within child nodes,
  * are converted to data URLs or otherwise embedded directly within the cloned node or its descendants. The process aims to make the cloned
  * node's representation of images independent of external resources, enhancing portability and display consistency.
+ * An aborted `options.signal` rejects with an AbortError before the next node is processed.
  *
  * @async
  * @param {Node} clonedNode - The cloned DOM node to process for image embedding.
  * @param {Object} options - Configuration options for fetching and embedding images, including cache management and resource fetching options.
  */
 async function embedImages(clonedNode, options) {
-  console.log("embedImages 1");
-  if (util.isInstanceOfElement(clonedNode, Element)) {
-    console.log("embedImages 2");
+  throwIfAborted(options.signal);
+  if (util.isInstanceOfElement(clonedNode, "Element")) {
     await embedBackground(clonedNode, options);
-    console.log("embedImages 3");
     await embedImageNode(clonedNode, options);
-    console.log("embedImages 4");
     await embedChildren(clonedNode, options);
-    console.log("embedImages 5");
   }
 }
 
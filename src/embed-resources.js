@@ -1,6 +1,8 @@
 const util = require("./util");
 const mimes = require("./mimes");
 const dataurl = require("./dataurl");
+const { isAbortError } = require("./abort");
+const { getEnvironment } = require("./environment");
 
 const URL_REGEX = /url\((['"]?)([^'"]+?)\1\)/g;
 const URL_WITH_FORMAT_REGEX = /url\([^)]+\)\s*format\((["']?)([^"']+)\1\)/g;
@@ -73,7 +75,7 @@ async function embed(
 ) {
   try {
     const resolvedURL = baseURL
-      ? util.resolveUrl(resourceURL, baseURL)
+      ? util.resolveUrl(resourceURL, baseURL, getEnvironment(options).document)
       : resourceURL;
     const contentType = mimes.getMimeType(resourceURL);
     let dataURL;
@@ -89,7 +91,10 @@ async function embed(
     }
     return cssText.replace(toRegex(resourceURL), `$1${dataURL}$3`);
   } catch (error) {
-    // pass
+    // only an aborted render stops here, any other failure leaves the URL as it is
+    if (isAbortError(error)) {
+      throw error;
+    }
   }
   return cssText;
 }
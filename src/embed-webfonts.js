@@ -1,11 +1,20 @@
-const { toArray } = require("./util");
+const { toArray, getFrameDocuments } = require("./util");
 const { fetchAsDataURL } = require("./dataurl");
 const { shouldEmbed, embedResources } = require("./embed-resources");
+const { getLogger } = require("./logger");
+const { count } = require("./report");
+const { throwIfAborted, withTimeout } = require("./abort");
+const { trackResource } = require("./progress");
+const { getEnvironment } = require("./environment");
 
 // Removed interface Metadata, and represent it as a comment:
 // Metadata: { url: string, cssText: string }
 const cssFetchCache = {};
 
+// Values of CSSRule.IMPORT_RULE and CSSRule.FONT_FACE_RULE, which need no window to be read.
+const IMPORT_RULE = 3;
+const FONT_FACE_RULE = 5;
+
 /**
  * Fetches CSS from a specified URL and caches the response.
  *
@@ -16,16 +25,27 @@ const cssFetchCache = {};
  *
  * @async
  * @param {string} url - The URL from which to fetch the CSS text.
+ * @param {Object} options - The render options, whose `signal` aborts the request and whose `resourceTimeout` limits its duration.
  * @returns {Promise<Object>} A promise that resolves to an object containing the URL and the fetched CSS text.
  */
-async function fetchCSS(url) {
+async function fetchCSS(url, options) {
   let cache = cssFetchCache[url];
   if (cache != null) {
     return cache;
   }
 
-  const res = await fetch(url);
-  const cssText = await res.text();
+  const cssText = await trackResource(
+    options,
+    withTimeout(
+      options.signal,
+      options.resourceTimeout,
+      `Timed out after ${options.resourceTimeout}ms fetching stylesheet: ${url}`,
+      (signal) =>
+        getEnvironment(options)
+          .fetch(url, { signal })
+          .then((res) => res.text())
+    )
+  );
   cache = { url, cssText };
 
   cssFetchCache[url] = cache;
@@ -60,10 +80,26 @@ async function embedFonts(data, options) {
       url = new URL(url, data.url).href;
     }
 
-    return fetchAsDataURL(url, options.fetchRequestInit, ({ result }) => {
-      cssText = cssText.replace(loc, `url(${result})`);
-      return [loc, result];
-    });
+    count(options, "resourcesFetched");
+    return trackResource(
+      options,
+      withTimeout(
+        options.signal,
+        options.resourceTimeout,
+        `Timed out after ${options.resourceTimeout}ms fetching font: ${url}`,
+        (signal) =>
+          fetchAsDataURL(
+            url,
+            { ...options.fetchRequestInit, signal },
+            ({ result }) => {
+              count(options, "bytesEmbedded", result.length);
+              cssText = cssText.replace(loc, `url(${result})`);
+              return [loc, result];
+            },
+            options
+          )
+      )
+    );
   });
 
   return Promise.all(loadFonts).then(() => cssText);
@@ -144,13 +180,16 @@ function parseCSS(source) {
  * For stylesheets containing @import rules, it fetches the imported CSS, embeds any fonts referenced within using data URLs,
  * and inserts the resulting CSS rules back into the stylesheet. This process also applies to stylesheets referenced via href attributes;
  * it fetches these stylesheets, embeds fonts, and inserts the processed CSS rules. The function handles errors gracefully, logging them
- * and continuing with the next stylesheet if possible.
+ * through `options.logger` and continuing with the next stylesheet if possible.
  *
  * The main steps for each stylesheet include:
  * 1. Checking for CSSRule.IMPORT_RULE types and fetching the imported stylesheets.
  * 2. Embedding fonts within fetched CSS and parsing it to individual CSS rules.
  * 3. Inserting parsed CSS rules back into the original stylesheet or an inline stylesheet if errors occur.
  *
+ * Rules are only inserted once every stylesheet has been fetched. If `options.signal` is aborted by then, the function
+ * rejects with an AbortError without touching any stylesheet, so an aborted render never leaves them half-modified.
+ *
  * After processing all stylesheets, the function collects and returns all CSS rules from the processed stylesheets. This comprehensive
  * approach allows the inclusion of external CSS resources and fonts directly within the document, enhancing rendering consistency and
  * reducing external dependencies.
@@ -161,37 +200,41 @@ function parseCSS(source) {
  * @returns {Promise<Array>} A promise that resolves to an array of CSSRule objects representing the aggregated CSS rules from all processed stylesheets.
  */
 async function getCSSRules(styleSheets, options) {
+  const logger = getLogger(options);
   const ret = [];
   const deferreds = [];
+  const insertions = [];
 
   styleSheets.forEach((sheet) => {
     if ("cssRules" in sheet) {
       try {
         toArray(sheet.cssRules || []).forEach((item, index) => {
-          if (item.type === CSSRule.IMPORT_RULE) {
+          if (item.type === IMPORT_RULE) {
             let importIndex = index + 1;
             const url = item.href;
-            const deferred = fetchCSS(url)
+            const deferred = fetchCSS(url, options)
               .then((metadata) => embedFonts(metadata, options))
               .then((cssText) =>
-                parseCSS(cssText).forEach((rule) => {
-                  try {
-                    sheet.insertRule(
-                      rule,
-                      rule.startsWith("@import")
-                        ? (importIndex += 1)
-                        : sheet.cssRules.length
-                    );
-                  } catch (error) {
-                    console.error("Error inserting rule from remote css", {
-                      rule,
-                      error,
-                    });
-                  }
-                })
+                insertions.push(() =>
+                  parseCSS(cssText).forEach((rule) => {
+                    try {
+                      sheet.insertRule(
+                        rule,
+                        rule.startsWith("@import")
+                          ? (importIndex += 1)
+                          : sheet.cssRules.length
+                      );
+                    } catch (error) {
+                      logger.error("Error inserting rule from remote css", {
+                        rule,
+                        error,
+                      });
+                    }
+                  })
+                )
               )
               .catch((e) => {
-                console.error("Error loading remote css", e.toString());
+                logger.error("Error loading remote css", e.toString());
               });
 
             deferreds.push(deferred);
@@ -199,27 +242,33 @@ async function getCSSRules(styleSheets, options) {
         });
       } catch (e) {
         const inline =
-          styleSheets.find((a) => a.href == null) || document.styleSheets[0];
+          styleSheets.find((a) => a.href == null) ||
+          getEnvironment(options).document.styleSheets[0];
         if (sheet.href != null) {
           deferreds.push(
-            fetchCSS(sheet.href)
+            fetchCSS(sheet.href, options)
               .then((metadata) => embedFonts(metadata, options))
               .then((cssText) =>
-                parseCSS(cssText).forEach((rule) => {
-                  inline.insertRule(rule, sheet.cssRules.length);
-                })
+                insertions.push(() =>
+                  parseCSS(cssText).forEach((rule) => {
+                    inline.insertRule(rule, sheet.cssRules.length);
+                  })
+                )
               )
               .catch((err) => {
-                console.error("Error loading remote stylesheet", err);
+                logger.error("Error loading remote stylesheet", err);
               })
           );
         }
-        console.error("Error inlining remote css file", e);
+        logger.error("Error inlining remote css file", e);
       }
     }
   });
 
   return Promise.all(deferreds).then(() => {
+    throwIfAborted(options.signal);
+    insertions.forEach((insert) => insert());
+
     styleSheets.forEach((sheet) => {
       if ("cssRules" in sheet) {
         try {
@@ -227,7 +276,7 @@ async function getCSSRules(styleSheets, options) {
             ret.push(item);
           });
         } catch (e) {
-          console.error(`Error while reading CSS rules from ${sheet.href}`, e);
+          logger.error(`Error while reading CSS rules from ${sheet.href}`, e);
         }
       }
     });
@@ -250,15 +299,15 @@ async function getCSSRules(styleSheets, options) {
  */
 function getWebFontRules(cssRules) {
   return cssRules
-    .filter((rule) => rule.type === CSSRule.FONT_FACE_RULE)
+    .filter((rule) => rule.type === FONT_FACE_RULE)
     .filter((rule) => shouldEmbed(rule.style.getPropertyValue("src")));
 }
 
 /**
  * Asynchronously parses a DOM node to find and return all web font (@font-face) CSS rules.
  *
- * This function extracts all CSS rules from the stylesheets associated with the document of the provided node,
- * then filters these rules to return only the web font (@font-face) rules that reference embeddable resources.
+ * This function extracts all CSS rules from the stylesheets associated with the document of the provided node, and from
+ * the documents of the same-origin iframes inside the node, then filters these rules to return only the web font (@font-face) rules that reference embeddable resources.
  * It leverages getCSSRules to aggregate and process CSS rules from all stylesheets and getWebFontRules to filter
  * down to the relevant @font-face rules. This is part of a process aimed at embedding the fonts directly into the
  * CSS to ensure web fonts are available without requiring external requests, enhancing performance and rendering consistency.
@@ -274,7 +323,9 @@ async function parseWebFontRules(node, options) {
     throw new Error("Provided element is not within a Document");
   }
 
-  const styleSheets = toArray(node.ownerDocument.styleSheets);
+  const styleSheets = [node.ownerDocument, ...getFrameDocuments(node)].flatMap(
+    (doc) => toArray(doc.styleSheets)
+  );
   const cssRules = await getCSSRules(styleSheets, options);
 
   return getWebFontRules(cssRules);
@@ -298,7 +349,11 @@ async function getWebFontCSS(node, options) {
   const rules = await parseWebFontRules(node, options);
   const cssTexts = await Promise.all(
     rules.map((rule) => {
-      const baseUrl = rule.parentStyleSheet ? rule.parentStyleSheet.href : null;
+      // Inline stylesheets resolve their URLs against their own document, which differs inside an iframe.
+      const sheet = rule.parentStyleSheet;
+      const baseUrl = sheet
+        ? sheet.href || sheet.ownerNode?.baseURI || null
+        : null;
       return embedResources(rule.cssText, baseUrl, options);
     })
   );
@@ -323,19 +378,20 @@ async function getWebFontCSS(node, options) {
  * @param {Object} options - Configuration options for the embedding process. Relevant properties include:
  *                           `fontEmbedCSS` (string|null) - A string of CSS rules for web fonts to be embedded, or null to dynamically generate them.
  *                           `skipFonts` (boolean) - Whether to skip the embedding of web fonts altogether.
+ * @param {Node} [sourceNode=clonedNode] - The original node, whose document and same-origin iframes provide the web fonts.
  * @returns {Promise<void>} A promise that resolves when the embedding process is complete.
  */
-async function embedWebFonts(clonedNode, options) {
+async function embedWebFonts(clonedNode, options, sourceNode = clonedNode) {
   let cssText =
     options.fontEmbedCSS !== null
       ? options.fontEmbedCSS
       : options.skipFonts
       ? null
-      : await getWebFontCSS(clonedNode, options);
+      : await getWebFontCSS(sourceNode, options);
 
   if (cssText) {
-    const styleNode = document.createElement("style");
-    const sytleContent = document.createTextNode(cssText);
+    const styleNode = clonedNode.ownerDocument.createElement("style");
+    const sytleContent = clonedNode.ownerDocument.createTextNode(cssText);
 
     styleNode.appendChild(sytleContent);
 
@@ -0,0 +1,99 @@
+const { deflate } = require("./deflate");
+const { PNG_SIGNATURE, createChunk, concatBytes } = require("./png");
+
+const COLOR_TYPE_RGBA = 6;
+const DISPOSE_OP_BACKGROUND = 1;
+const BLEND_OP_SOURCE = 0;
+
+/**
+ * Compresses RGBA pixels into PNG image data: every scanline is prefixed with filter type 0 (None) and the result is
+ * zlib-compressed.
+ *
+ * @async
+ * @param {Uint8ClampedArray} pixels - The RGBA pixels.
+ * @param {number} width - The image width in pixels.
+ * @param {number} height - The image height in pixels.
+ * @returns {Promise<Uint8Array>} A promise that resolves to the compressed image data.
+ */
+async function compressScanlines(pixels, width, height) {
+  const stride = width * 4;
+  const raw = new Uint8Array((stride + 1) * height);
+
+  for (let y = 0; y < height; y++) {
+    raw.set(
+      pixels.subarray(y * stride, (y + 1) * stride),
+      y * (stride + 1) + 1
+    );
+  }
+
+  return deflate(raw);
+}
+
+/**
+ * Encodes frames into an animated PNG (APNG) file.
+ *
+ * APNG extends PNG with an animation control chunk (`acTL`) and one frame control chunk (`fcTL`) per frame. The first
+ * frame is stored in regular `IDAT` chunks, so viewers without APNG support still show it as a still image, and the
+ * following frames in `fdAT` chunks, which carry a sequence number shared with the `fcTL` chunks. Frames are stored in
+ * full 32-bit RGBA, so no quantization is needed; each frame replaces the previous one (`APNG_BLEND_OP_SOURCE`) and is
+ * cleared before the next (`APNG_DISPOSE_OP_BACKGROUND`) to keep transparent areas correct.
+ *
+ * @async
+ * @param {Array<{data: Uint8ClampedArray, delay: number}>} frames - The RGBA frames, each with its display time in milliseconds.
+ * @param {number} width - The width of every frame in pixels.
+ * @param {number} height - The height of every frame in pixels.
+ * @param {Object} [options={}] - Encoding options.
+ * @param {number} [options.loop=0] - The number of times to play the animation, `0` meaning forever.
+ * @returns {Promise<Uint8Array>} A promise that resolves to the bytes of the APNG file.
+ */
+async function encodeAPNG(frames, width, height, options = {}) {
+  const parts = [PNG_SIGNATURE];
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = 8; // bit depth
+  header[9] = COLOR_TYPE_RGBA;
+  parts.push(createChunk("IHDR", header));
+
+  const animationControl = new Uint8Array(8);
+  const animationView = new DataView(animationControl.buffer);
+  animationView.setUint32(0, frames.length);
+  animationView.setUint32(4, options.loop || 0);
+  parts.push(createChunk("acTL", animationControl));
+
+  let sequence = 0;
+  for (let i = 0; i < frames.length; i++) {
+    const frame = frames[i];
+    const frameControl = new Uint8Array(26);
+    const frameView = new DataView(frameControl.buffer);
+    frameView.setUint32(0, sequence++);
+    frameView.setUint32(4, width);
+    frameView.setUint32(8, height);
+    frameView.setUint32(12, 0); // x offset
+    frameView.setUint32(16, 0); // y offset
+    frameView.setUint16(20, Math.min(65535, Math.round(frame.delay)));
+    frameView.setUint16(22, 1000); // delay denominator: milliseconds
+    frameControl[24] = DISPOSE_OP_BACKGROUND;
+    frameControl[25] = BLEND_OP_SOURCE;
+    parts.push(createChunk("fcTL", frameControl));
+
+    const data = await compressScanlines(frame.data, width, height);
+    if (i === 0) {
+      parts.push(createChunk("IDAT", data));
+    } else {
+      const frameData = new Uint8Array(4 + data.length);
+      new DataView(frameData.buffer).setUint32(0, sequence++);
+      frameData.set(data, 4);
+      parts.push(createChunk("fdAT", frameData));
+    }
+  }
+
+  parts.push(createChunk("IEND"));
+  return concatBytes(parts);
+}
+
+module.exports = {
+  encodeAPNG,
+};
@@ -0,0 +1,62 @@
+const FILE_HEADER_SIZE = 14;
+const INFO_HEADER_SIZE = 108; // BITMAPV4HEADER, required for the alpha channel mask
+const BI_BITFIELDS = 3;
+const PIXELS_PER_METER = 2835; // 72 DPI
+
+/**
+ * Encodes RGBA pixel data into a 32-bit Windows bitmap (BMP) file.
+ *
+ * This function writes a BITMAPFILEHEADER followed by a BITMAPV4HEADER and the raw pixel rows. The V4 header is used
+ * instead of the classic 40-byte BITMAPINFOHEADER because it allows declaring explicit channel masks with `BI_BITFIELDS`,
+ * which is the only widely supported way of storing an alpha channel in a BMP file. Rows are written top-down (signalled
+ * by a negative height) so the RGBA input can be copied in order, and each pixel is reordered from RGBA to BGRA as the
+ * format expects. Since every pixel is 4 bytes wide, no row padding is needed.
+ *
+ * The encoder is written in plain JavaScript and does not rely on the canvas, so it works in browsers that cannot produce
+ * BMP output through `canvas.toBlob`.
+ *
+ * @param {ImageData|{width: number, height: number, data: Uint8ClampedArray}} imageData - The RGBA pixels to encode.
+ * @returns {Uint8Array} The bytes of the encoded BMP file.
+ */
+function encodeBMP(imageData) {
+  const { width, height, data } = imageData;
+  const pixelBytes = width * height * 4;
+  const offset = FILE_HEADER_SIZE + INFO_HEADER_SIZE;
+  const bytes = new Uint8Array(offset + pixelBytes);
+  const view = new DataView(bytes.buffer);
+
+  // BITMAPFILEHEADER
+  view.setUint8(0, 0x42); // "B"
+  view.setUint8(1, 0x4d); // "M"
+  view.setUint32(2, bytes.length, true);
+  view.setUint32(10, offset, true);
+
+  // BITMAPV4HEADER
+  view.setUint32(14, INFO_HEADER_SIZE, true);
+  view.setInt32(18, width, true);
+  view.setInt32(22, -height, true);
+  view.setUint16(26, 1, true); // color planes
+  view.setUint16(28, 32, true); // bits per pixel
+  view.setUint32(30, BI_BITFIELDS, true);
+  view.setUint32(34, pixelBytes, true);
+  view.setInt32(38, PIXELS_PER_METER, true);
+  view.setInt32(42, PIXELS_PER_METER, true);
+  view.setUint32(54, 0x00ff0000, true); // red mask
+  view.setUint32(58, 0x0000ff00, true); // green mask
+  view.setUint32(62, 0x000000ff, true); // blue mask
+  view.setUint32(66, 0xff000000, true); // alpha mask
+  view.setUint32(70, 0x73524742, true); // "sRGB" color space
+
+  for (let i = 0; i < pixelBytes; i += 4) {
+    bytes[offset + i] = data[i + 2];
+    bytes[offset + i + 1] = data[i + 1];
+    bytes[offset + i + 2] = data[i];
+    bytes[offset + i + 3] = data[i + 3];
+  }
+
+  return bytes;
+}
+
+module.exports = {
+  encodeBMP,
+};
@@ -0,0 +1,159 @@
+const { buildPalette, mapToPalette } = require("./quantize");
+const { concatBytes } = require("./png");
+
+const MAX_CODE = 4096;
+const TRANSPARENT_INDEX = 0;
+const DISPOSAL_RESTORE_BACKGROUND = 2;
+
+/**
+ * Compresses palette indices with the variable-length LZW variant used by GIF.
+ *
+ * Codes start at `minCodeSize + 1` bits and grow up to 12 bits as the dictionary fills; when it is full a clear code is
+ * emitted and the dictionary starts over. Bits are packed least-significant first and the output is split into the
+ * length-prefixed sub-blocks of at most 255 bytes that GIF image data is made of, followed by the block terminator.
+ *
+ * @param {Uint8Array} indices - The palette index of every pixel.
+ * @param {number} minCodeSize - The LZW minimum code size (the palette's bit depth, at least 2).
+ * @returns {Uint8Array} The LZW minimum code size byte followed by the image data sub-blocks.
+ */
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let buffer = 0;
+  let bufferBits = 0;
+
+  const emit = (code) => {
+    buffer |= code << bufferBits;
+    bufferBits += codeSize;
+    while (bufferBits >= 8) {
+      output.push(buffer & 0xff);
+      buffer >>>= 8;
+      bufferBits -= 8;
+    }
+  };
+
+  emit(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+    const code = table.get(key);
+
+    if (code !== undefined) {
+      prefix = code;
+    } else {
+      emit(prefix);
+      if (nextCode === MAX_CODE) {
+        emit(clearCode);
+        table = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      } else {
+        if (nextCode >= 1 << codeSize) {
+          codeSize += 1;
+        }
+        table.set(key, nextCode);
+        nextCode += 1;
+      }
+      prefix = index;
+    }
+  }
+
+  emit(prefix);
+  emit(endCode);
+  if (bufferBits > 0) {
+    output.push(buffer & 0xff);
+  }
+
+  const blockCount = Math.ceil(output.length / 255);
+  const bytes = new Uint8Array(1 + output.length + blockCount + 1);
+  bytes[0] = minCodeSize;
+
+  let offset = 1;
+  for (let i = 0; i < output.length; i += 255) {
+    const block = output.slice(i, i + 255);
+    bytes[offset] = block.length;
+    bytes.set(block, offset + 1);
+    offset += block.length + 1;
+  }
+  bytes[offset] = 0;
+
+  return bytes;
+}
+
+/**
+ * Encodes frames into an animated GIF89a file.
+ *
+ * All frames share one global color table built by `buildPalette`, with index 0 reserved for transparency, so the
+ * animation does not flicker between per-frame palettes. The file starts with a NETSCAPE2.0 application extension that
+ * sets the loop count, and every frame is preceded by a graphic control extension holding its delay (in hundredths of a
+ * second, as the format requires) and asking viewers to clear it before drawing the next frame.
+ *
+ * @param {Array<{data: Uint8ClampedArray, delay: number}>} frames - The RGBA frames, each with its display time in milliseconds.
+ * @param {number} width - The width of every frame in pixels.
+ * @param {number} height - The height of every frame in pixels.
+ * @param {Object} [options={}] - Encoding options.
+ * @param {number} [options.loop=0] - The number of times to repeat the animation, `0` meaning forever.
+ * @returns {Uint8Array} The bytes of the GIF file.
+ */
+function encodeGIF(frames, width, height, options = {}) {
+  const colors = buildPalette(frames, 255);
+  const tableBits = 8;
+  const table = new Uint8Array(3 * (1 << tableBits));
+  table.set(colors, 3); // entry 0 is the transparent color
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  header.set([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // "GIF89a"
+  headerView.setUint16(6, width, true);
+  headerView.setUint16(8, height, true);
+  header[10] = 0x80 | ((tableBits - 1) << 4) | (tableBits - 1); // global color table
+  header[11] = TRANSPARENT_INDEX; // background color index
+  header[12] = 0; // pixel aspect ratio
+
+  const loop = new Uint8Array(19);
+  loop.set([0x21, 0xff, 0x0b]);
+  loop.set(
+    Array.from("NETSCAPE2.0", (c) => c.charCodeAt(0)),
+    3
+  );
+  loop.set([0x03, 0x01, 0, 0, 0x00], 14);
+  new DataView(loop.buffer).setUint16(16, options.loop || 0, true);
+
+  const parts = [header, table, loop];
+
+  frames.forEach((frame) => {
+    const control = new Uint8Array(8);
+    const controlView = new DataView(control.buffer);
+    control.set([0x21, 0xf9, 0x04]);
+    control[3] = (DISPOSAL_RESTORE_BACKGROUND << 2) | 0x01; // transparency flag
+    controlView.setUint16(4, Math.max(2, Math.round(frame.delay / 10)), true);
+    control[6] = TRANSPARENT_INDEX;
+    control[7] = 0;
+
+    const descriptor = new Uint8Array(10);
+    const descriptorView = new DataView(descriptor.buffer);
+    descriptor[0] = 0x2c;
+    descriptorView.setUint16(5, width, true);
+    descriptorView.setUint16(7, height, true);
+    descriptor[9] = 0; // no local color table, not interlaced
+
+    const indices = mapToPalette(frame.data, colors, {
+      indexOffset: 1,
+      transparentIndex: TRANSPARENT_INDEX,
+    });
+    parts.push(control, descriptor, lzwEncode(indices, tableBits));
+  });
+
+  parts.push(new Uint8Array([0x3b])); // trailer
+  return concatBytes(parts);
+}
+
+module.exports = {
+  encodeGIF,
+};
@@ -0,0 +1,64 @@
+const ICONDIR_SIZE = 6;
+const ICONDIRENTRY_SIZE = 16;
+const MAX_ICON_SIZE = 256;
+
+/**
+ * Packs one or more pre-encoded images into a Windows icon (ICO) container.
+ *
+ * An ICO file is a small directory (ICONDIR) followed by one entry (ICONDIRENTRY) per image and then the image payloads.
+ * Since Windows Vista every entry may hold a complete PNG file instead of a legacy DIB, which is what this function expects:
+ * each image is given as its PNG bytes together with its pixel dimensions. This keeps the encoder itself tiny while still
+ * producing multi-size favicons that browsers and operating systems pick from.
+ *
+ * Dimensions of 256 pixels are written as `0`, as mandated by the format. Larger images cannot be represented in an ICO
+ * directory and are rejected.
+ *
+ * @param {Array<{width: number, height: number, data: Uint8Array}>} images - The images to pack, each with its encoded PNG bytes.
+ * @returns {Uint8Array} The bytes of the encoded ICO file.
+ * @throws {RangeError} If no image is given or if an image is larger than 256x256 pixels.
+ */
+function encodeICO(images) {
+  if (images.length === 0) {
+    throw new RangeError("An icon needs at least one image");
+  }
+
+  const headerSize = ICONDIR_SIZE + ICONDIRENTRY_SIZE * images.length;
+  const totalSize = images.reduce(
+    (size, image) => size + image.data.length,
+    headerSize
+  );
+  const bytes = new Uint8Array(totalSize);
+  const view = new DataView(bytes.buffer);
+
+  view.setUint16(0, 0, true); // reserved
+  view.setUint16(2, 1, true); // 1 = icon
+  view.setUint16(4, images.length, true);
+
+  let offset = headerSize;
+  images.forEach((image, index) => {
+    if (image.width > MAX_ICON_SIZE || image.height > MAX_ICON_SIZE) {
+      throw new RangeError(
+        `Icon images cannot exceed ${MAX_ICON_SIZE}x${MAX_ICON_SIZE} pixels`
+      );
+    }
+
+    const entry = ICONDIR_SIZE + ICONDIRENTRY_SIZE * index;
+    view.setUint8(entry, image.width % MAX_ICON_SIZE);
+    view.setUint8(entry + 1, image.height % MAX_ICON_SIZE);
+    view.setUint8(entry + 2, 0); // no palette
+    view.setUint8(entry + 3, 0); // reserved
+    view.setUint16(entry + 4, 1, true); // color planes
+    view.setUint16(entry + 6, 32, true); // bits per pixel
+    view.setUint32(entry + 8, image.data.length, true);
+    view.setUint32(entry + 12, offset, true);
+
+    bytes.set(image.data, offset);
+    offset += image.data.length;
+  });
+
+  return bytes;
+}
+
+module.exports = {
+  encodeICO,
+};
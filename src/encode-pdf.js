@@ -0,0 +1,242 @@
+const { encodeCanvas } = require("./encoders");
+const { deflate } = require("./deflate");
+
+const PDF_HEADER = "%PDF-1.4\n%âãÏÓ\n";
+
+/**
+ * Formats a number for use in PDF syntax, which does not allow exponent notation.
+ *
+ * @param {number} value - The number to format.
+ * @returns {string} The number with at most three decimals.
+ */
+function formatNumber(value) {
+  return Number(value.toFixed(3)).toString();
+}
+
+/**
+ * Converts a string whose characters are all below U+0100 into bytes, one byte per character.
+ *
+ * PDF syntax is byte oriented; using Latin-1 rather than UTF-8 keeps the binary marker comment in the header intact.
+ *
+ * @param {string} text - The text to convert.
+ * @returns {Uint8Array} The Latin-1 bytes of the text.
+ */
+function latin1(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Builds the dictionary entries of an image XObject.
+ *
+ * @param {Object} image - The image description (`width`, `height`, `filter`, `colorSpace`).
+ * @param {number} [smaskId] - The object number of the soft mask holding the image's alpha channel.
+ * @returns {string} The dictionary entries, without the enclosing `<<` and `>>`.
+ */
+function imageDictionary(image, smaskId) {
+  const entries = [
+    "/Type /XObject",
+    "/Subtype /Image",
+    `/Width ${image.width}`,
+    `/Height ${image.height}`,
+    `/ColorSpace /${image.colorSpace || "DeviceRGB"}`,
+    "/BitsPerComponent 8",
+    `/Filter /${image.filter}`,
+  ];
+
+  if (smaskId) {
+    entries.push(`/SMask ${smaskId} 0 R`);
+  }
+
+  return entries.join(" ");
+}
+
+/**
+ * Writes a PDF document made of pages that each show one or more raster images.
+ *
+ * This is a minimal PDF 1.4 writer with no external dependency. Every page gets its own content stream which paints the
+ * page's images with the `Do` operator, each image being stored once as an image XObject. Images are passed already
+ * encoded: JPEG bytes are embedded as-is with the `DCTDecode` filter, while lossless images are given as zlib-compressed
+ * RGB samples with the `FlateDecode` filter, optionally with a grayscale soft mask (`smask`) carrying the alpha channel.
+ *
+ * Coordinates and sizes are in PDF points (1/72 inch) with the origin at the bottom-left corner of the page, as in the
+ * PDF specification. The cross-reference table is computed from the byte offsets of the written objects, so the result
+ * can be opened by any conforming reader.
+ *
+ * @param {Array<Object>} pages - The pages of the document.
+ * @param {number} pages[].width - The page width in points.
+ * @param {number} pages[].height - The page height in points.
+ * @param {Array<Object>} pages[].images - The images drawn on the page, each with `x`, `y`, `width` and `height` in points
+ *                                         and an `image` object holding `width`, `height` (in pixels), `filter`, `data`,
+ *                                         an optional `colorSpace` and an optional `smask` image.
+ * @returns {Uint8Array} The bytes of the PDF file.
+ */
+function encodePDF(pages) {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  let nextId = 3; // 1 = catalog, 2 = page tree
+
+  const write = (part) => {
+    const bytes = typeof part === "string" ? latin1(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  const writeObject = (id, dictionary, stream) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+    if (stream) {
+      const entries = dictionary ? `${dictionary} ` : "";
+      write(`<< ${entries}/Length ${stream.length} >>\nstream\n`);
+      write(stream);
+      write("\nendstream\nendobj\n");
+    } else {
+      write(`<< ${dictionary} >>\nendobj\n`);
+    }
+  };
+
+  write(PDF_HEADER);
+
+  const pageIds = pages.map((page) => {
+    const pageId = nextId++;
+    const contentId = nextId++;
+    const xObjects = [];
+    let content = "";
+
+    page.images.forEach((placement, index) => {
+      const { image } = placement;
+      const name = `Im${index}`;
+      let smaskId;
+
+      if (image.smask) {
+        smaskId = nextId++;
+        writeObject(
+          smaskId,
+          imageDictionary({ ...image.smask, colorSpace: "DeviceGray" }),
+          image.smask.data
+        );
+      }
+
+      const imageId = nextId++;
+      writeObject(imageId, imageDictionary(image, smaskId), image.data);
+      xObjects.push(`/${name} ${imageId} 0 R`);
+
+      content +=
+        `q ${formatNumber(placement.width)} 0 0 ` +
+        `${formatNumber(placement.height)} ${formatNumber(placement.x)} ` +
+        `${formatNumber(placement.y)} cm /${name} Do Q\n`;
+    });
+
+    writeObject(contentId, "", latin1(content));
+    writeObject(
+      pageId,
+      [
+        "/Type /Page",
+        "/Parent 2 0 R",
+        `/MediaBox [0 0 ${formatNumber(page.width)} ${formatNumber(
+          page.height
+        )}]`,
+        `/Resources << /XObject << ${xObjects.join(" ")} >> >>`,
+        `/Contents ${contentId} 0 R`,
+      ].join(" ")
+    );
+
+    return pageId;
+  });
+
+  writeObject(
+    2,
+    `/Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] ` +
+      `/Count ${pageIds.length}`
+  );
+  writeObject(1, "/Type /Catalog /Pages 2 0 R");
+
+  const xrefOffset = length;
+  let xref = `xref\n0 ${nextId}\n0000000000 65535 f \n`;
+  for (let id = 1; id < nextId; id++) {
+    xref += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  write(xref);
+  write(
+    `trailer\n<< /Size ${nextId} /Root 1 0 R >>\n` +
+      `startxref\n${xrefOffset}\n%%EOF\n`
+  );
+
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+
+  return bytes;
+}
+
+/**
+ * Encodes a canvas into an image description accepted by `encodePDF`.
+ *
+ * By default the canvas is encoded as JPEG, which PDF readers decode natively through the `DCTDecode` filter and which
+ * keeps documents small. With `imageFormat: "png"` the image is stored losslessly instead: the RGB samples are
+ * zlib-compressed for the `FlateDecode` filter and, when the canvas has transparent pixels, the alpha channel is written
+ * as a separate soft mask, since PDF images cannot carry alpha themselves.
+ *
+ * @async
+ * @param {HTMLCanvasElement} canvas - The canvas to encode.
+ * @param {Object} options - The PDF options.
+ * @param {string} [options.imageFormat="jpeg"] - Either `"jpeg"` or `"png"`.
+ * @param {number} [options.quality=0.92] - The JPEG quality (0 to 1).
+ * @returns {Promise<Object>} A promise that resolves to the image description.
+ */
+async function canvasToPdfImage(canvas, options) {
+  const { width, height } = canvas;
+
+  if (options.imageFormat !== "png") {
+    const blob = await encodeCanvas(canvas, {
+      type: "image/jpeg",
+      quality: options.quality || 0.92,
+    });
+    const data = new Uint8Array(await blob.arrayBuffer());
+    return { width, height, filter: "DCTDecode", data };
+  }
+
+  const pixels = canvas.getContext("2d").getImageData(0, 0, width, height).data;
+  const rgb = new Uint8Array(width * height * 3);
+  const alpha = new Uint8Array(width * height);
+  let opaque = true;
+
+  for (let i = 0, j = 0, k = 0; i < pixels.length; i += 4, j += 3, k++) {
+    rgb[j] = pixels[i];
+    rgb[j + 1] = pixels[i + 1];
+    rgb[j + 2] = pixels[i + 2];
+    alpha[k] = pixels[i + 3];
+    if (alpha[k] !== 255) {
+      opaque = false;
+    }
+  }
+
+  const image = {
+    width,
+    height,
+    filter: "FlateDecode",
+    data: await deflate(rgb),
+  };
+  if (!opaque) {
+    image.smask = {
+      width,
+      height,
+      filter: "FlateDecode",
+      data: await deflate(alpha),
+    };
+  }
+
+  return image;
+}
+
+module.exports = {
+  canvasToPdfImage,
+  encodePDF,
+};
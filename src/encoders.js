@@ -0,0 +1,248 @@
+const { canvasToBlob } = require("./util");
+const { encodeBMP } = require("./encode-bmp");
+const { encodeICO } = require("./encode-ico");
+
+// Encoders per MIME type, in order of preference.
+// Encoder: { isSupported?: () => boolean, encode: (canvas, options) => Promise<Blob>, maxDimension?: number }
+const registry = {};
+const nativeSupportCache = {};
+
+const DEFAULT_TYPE = "image/png";
+const DEFAULT_ICON_SIZES = [16, 32, 48];
+
+/**
+ * Checks whether the browser can natively encode a canvas to the given MIME type.
+ *
+ * Browsers silently fall back to PNG when `canvas.toDataURL` is asked for a type they cannot produce, so the only
+ * reliable feature test is to encode a 1x1 canvas and inspect the MIME type of the resulting data URL. The result is
+ * cached per type since it cannot change during the lifetime of the page.
+ *
+ * @param {string} type - The MIME type to test, e.g. `"image/webp"`.
+ * @returns {boolean} True if `canvas.toBlob`/`canvas.toDataURL` produce this type, false otherwise.
+ */
+function isNativeTypeSupported(type) {
+  if (nativeSupportCache[type] == null) {
+    const canvas = document.createElement("canvas");
+    canvas.width = 1;
+    canvas.height = 1;
+    nativeSupportCache[type] = canvas
+      .toDataURL(type)
+      .startsWith(`data:${type}`);
+  }
+
+  return nativeSupportCache[type];
+}
+
+// Largest image side each format can store.
+const formatDimensionLimits = {
+  "image/jpeg": 65535,
+  "image/webp": 16383,
+};
+
+/**
+ * Creates an encoder that delegates to the browser's built-in canvas encoding for a given MIME type.
+ *
+ * @param {string} type - The MIME type passed to `canvas.toBlob`.
+ * @returns {Object} An encoder that is only supported when the browser can produce the type.
+ */
+function createNativeEncoder(type) {
+  return {
+    native: true,
+    maxDimension: formatDimensionLimits[type],
+    isSupported: () => isNativeTypeSupported(type),
+    encode: (canvas, options) =>
+      canvasToBlob(canvas, { type, quality: options.quality }),
+  };
+}
+
+/**
+ * Reads the RGBA pixels of a whole canvas.
+ *
+ * @param {HTMLCanvasElement} canvas - The canvas to read.
+ * @returns {ImageData} The pixel data of the canvas.
+ */
+function getCanvasImageData(canvas) {
+  return canvas
+    .getContext("2d")
+    .getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Draws a canvas centered into a new square canvas, preserving its aspect ratio.
+ *
+ * @param {HTMLCanvasElement} canvas - The source canvas.
+ * @param {number} size - The width and height of the resulting canvas in pixels.
+ * @returns {HTMLCanvasElement} A new square canvas containing the scaled source.
+ */
+function resizeToSquare(canvas, size) {
+  const square = document.createElement("canvas");
+  square.width = size;
+  square.height = size;
+
+  const scale = Math.min(size / canvas.width, size / canvas.height);
+  const width = canvas.width * scale;
+  const height = canvas.height * scale;
+  const context = square.getContext("2d");
+  context.imageSmoothingQuality = "high";
+  context.drawImage(
+    canvas,
+    (size - width) / 2,
+    (size - height) / 2,
+    width,
+    height
+  );
+
+  return square;
+}
+
+const bmpEncoder = {
+  encode: async (canvas) =>
+    new Blob([encodeBMP(getCanvasImageData(canvas))], { type: "image/bmp" }),
+};
+
+const icoEncoder = {
+  encode: async (canvas, options) => {
+    const sizes = options.iconSizes || DEFAULT_ICON_SIZES;
+    const images = await Promise.all(
+      sizes.map(async (size) => {
+        const blob = await canvasToBlob(resizeToSquare(canvas, size), {
+          type: DEFAULT_TYPE,
+        });
+        const data = new Uint8Array(await blob.arrayBuffer());
+        return { width: size, height: size, data };
+      })
+    );
+
+    return new Blob([encodeICO(images)], { type: "image/x-icon" });
+  },
+};
+
+/**
+ * Registers an encoder for a MIME type.
+ *
+ * Encoders are objects with an `encode(canvas, options)` function resolving to a Blob and an optional `isSupported()`
+ * function. Several encoders may be registered for the same type; the most recently registered one that reports itself
+ * as supported wins, which makes it possible to override the built-in encoders. An encoder registered with
+ * `{ fallback: true }` goes after the encoders already registered for the type instead, so a pure-JS encoder can be used
+ * only when the browser cannot encode the type natively.
+ *
+ * @param {string} type - The MIME type handled by the encoder, e.g. `"image/webp"`.
+ * @param {Object} encoder - The encoder to register.
+ * @param {function(HTMLCanvasElement, Object): Promise<Blob>} encoder.encode - Encodes a canvas into a Blob, receiving the render options.
+ * @param {function(): boolean} [encoder.isSupported] - Reports whether the encoder can run in the current environment.
+ * @param {number} [encoder.maxDimension] - The largest image width or height the encoder can produce.
+ * @param {Object} [options={}] - The registration options.
+ * @param {boolean} [options.fallback=false] - Whether to use the encoder only when no encoder registered before it is
+ *        supported, rather than in preference to them.
+ * @throws {TypeError} If the type is empty or the encoder has no `encode` function.
+ */
+function registerEncoder(type, encoder, options = {}) {
+  if (!type || !encoder || typeof encoder.encode !== "function") {
+    throw new TypeError(
+      "An encoder needs a MIME type and an encode(canvas, options) function"
+    );
+  }
+
+  const key = type.toLowerCase();
+  const others = (registry[key] || []).filter(
+    (registered) => registered !== encoder
+  );
+  registry[key] = options.fallback
+    ? others.concat(encoder)
+    : [encoder].concat(others);
+}
+
+/**
+ * Finds the preferred supported encoder for a MIME type.
+ *
+ * @param {string} type - The MIME type to look up.
+ * @returns {Object|undefined} The encoder, or `undefined` if no supported encoder is registered for the type.
+ */
+function getEncoder(type) {
+  return (registry[type.toLowerCase()] || []).find(
+    (encoder) => !encoder.isSupported || encoder.isSupported()
+  );
+}
+
+/**
+ * Checks whether an image of the given MIME type can be produced in the current environment.
+ *
+ * @param {string} type - The MIME type to check.
+ * @returns {boolean} True if a supported encoder is registered for the type.
+ */
+function isTypeSupported(type) {
+  return getEncoder(type) != null;
+}
+
+/**
+ * Returns the largest image side the encoder for a MIME type can produce.
+ *
+ * @param {string} type - The MIME type to look up.
+ * @returns {number} The maximum width and height in pixels, or `Infinity` if the encoder has no limit.
+ */
+function getMaxDimension(type) {
+  const encoder = getEncoder(type);
+  return (encoder && encoder.maxDimension) || Infinity;
+}
+
+/**
+ * Returns the MIME type an image will be encoded to, if that is done by one of the built-in native encoders.
+ *
+ * Native encoding only depends on the browser, so it can also be done with `OffscreenCanvas.convertToBlob` in a worker;
+ * custom and pure-JS encoders need a canvas on the main thread.
+ *
+ * @param {Object} [options={}] - The render options, with the requested `type` and `fallbackType`.
+ * @returns {string|null} The MIME type that will be produced, or `null` if it is not encoded natively.
+ */
+function getNativeType(options = {}) {
+  const requested = options.type || DEFAULT_TYPE;
+  const type = getEncoder(requested)
+    ? requested
+    : options.fallbackType || DEFAULT_TYPE;
+  const encoder = getEncoder(type);
+  return encoder && encoder.native ? type : null;
+}
+
+/**
+ * Encodes a canvas into a Blob of the requested MIME type using the encoder registry.
+ *
+ * The type is taken from `options.type` and defaults to PNG. If no supported encoder exists for it (for example
+ * `image/avif` in a browser without AVIF encoding), the encoder for `options.fallbackType` is used instead, which also
+ * defaults to PNG. This mirrors the behavior of `canvas.toBlob`, but makes the fallback explicit and configurable.
+ *
+ * @async
+ * @param {HTMLCanvasElement} canvas - The canvas to encode.
+ * @param {Object} [options={}] - The render options, passed on to the encoder.
+ * @param {string} [options.type="image/png"] - The requested MIME type.
+ * @param {string} [options.fallbackType="image/png"] - The MIME type used when the requested one is not supported.
+ * @param {number} [options.quality] - The quality for lossy formats (0 to 1).
+ * @param {number[]} [options.iconSizes=[16, 32, 48]] - The image sizes written into ICO files.
+ * @returns {Promise<Blob>} A promise that resolves to the encoded image.
+ * @throws {Error} If neither the requested nor the fallback type can be encoded.
+ */
+async function encodeCanvas(canvas, options = {}) {
+  const type = options.type || DEFAULT_TYPE;
+  const encoder =
+    getEncoder(type) || getEncoder(options.fallbackType || DEFAULT_TYPE);
+
+  if (!encoder) {
+    throw new Error(`No encoder available for "${type}"`);
+  }
+
+  return encoder.encode(canvas, options);
+}
+
+registerEncoder("image/bmp", bmpEncoder);
+registerEncoder("image/x-icon", icoEncoder);
+registerEncoder("image/vnd.microsoft.icon", icoEncoder);
+["image/png", "image/jpeg", "image/webp", "image/avif"].forEach((type) => {
+  registerEncoder(type, createNativeEncoder(type));
+});
+
+module.exports = {
+  registerEncoder,
+  isTypeSupported,
+  getMaxDimension,
+  getNativeType,
+  encodeCanvas,
+};
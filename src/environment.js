@@ -0,0 +1,48 @@
+/**
+ * Resolves the window, document and fetch implementation a render works with.
+ *
+ * By default these are the globals of the page. `options.environment` replaces any of them, so the clone, embed and
+ * serialize steps (everything `toSvg` does) can run against another window implementation, such as jsdom in Node, or
+ * against fakes in tests. DOM constructors (`Element`, `HTMLImageElement`, `FileReader`, `XMLSerializer`, ...) are
+ * taken from the resolved window, and `document` defaults to that window's document.
+ *
+ * @param {Object} [options={}] - The render options.
+ * @param {Object} [options.environment] - The environment to render in.
+ * @param {Window} [options.environment.window] - The window providing DOM constructors and computed styles.
+ * @param {Document} [options.environment.document] - The document used to create elements.
+ * @param {function(string, Object): Promise<Response>} [options.environment.fetch] - The function used to fetch resources.
+ * @returns {{window: Window, document: Document, fetch: Function}} The resolved environment.
+ */
+function getEnvironment(options = {}) {
+  const environment = options.environment || {};
+  const win =
+    environment.window || (typeof window !== "undefined" ? window : undefined);
+
+  return {
+    window: win,
+    document: environment.document || (win && win.document),
+    fetch:
+      environment.fetch ||
+      (win && win.fetch ? win.fetch.bind(win) : globalThis.fetch),
+  };
+}
+
+/**
+ * Returns the window a node belongs to, falling back to the window of the environment.
+ *
+ * Computed styles and DOM constructors have to come from the node's own window, which differs from the page's window for
+ * nodes inside iframes and for nodes of a jsdom document.
+ *
+ * @param {Node} node - The node.
+ * @param {Object} [options] - The render options, providing the fallback environment.
+ * @returns {Window} The window of the node.
+ */
+function getNodeWindow(node, options) {
+  const doc = node.ownerDocument || node;
+  return doc.defaultView || getEnvironment(options).window;
+}
+
+module.exports = {
+  getEnvironment,
+  getNodeWindow,
+};
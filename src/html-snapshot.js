@@ -0,0 +1,83 @@
+const { uuid } = require("./util");
+
+const ELEMENT_NODE = 1;
+
+/**
+ * Moves the inline styles of a cloned node and its descendants into a stylesheet.
+ *
+ * Every distinct `style` attribute becomes one class rule, so elements that share their computed styles (list items,
+ * table cells, ...) share a rule too, and the markup stays readable. The class names get a unique prefix, so they cannot
+ * collide with the classes copied from the page.
+ *
+ * @param {Element} clonedNode - The cloned node, modified in place.
+ * @returns {string} The CSS rules that replace the inline styles.
+ */
+function extractStylesheet(clonedNode) {
+  const prefix = uuid();
+  const classes = new Map();
+  const elements = [clonedNode, ...clonedNode.querySelectorAll("[style]")];
+
+  elements.forEach((element) => {
+    if (element.nodeType !== ELEMENT_NODE || !element.hasAttribute("style")) {
+      return;
+    }
+    const cssText = element.getAttribute("style").trim();
+    element.removeAttribute("style");
+    if (!cssText) {
+      return;
+    }
+    if (!classes.has(cssText)) {
+      classes.set(cssText, `${prefix}-${classes.size}`);
+    }
+    element.classList.add(classes.get(cssText));
+  });
+
+  return Array.from(
+    classes,
+    ([cssText, className]) => `.${className} { ${cssText} }`
+  ).join("\n");
+}
+
+/**
+ * Wraps a cloned node into a standalone HTML document.
+ *
+ * The `style` elements at the top of the clone, such as the embedded `@font-face` rules, move into the `head`, next to
+ * the extracted stylesheet when `options.stylesheet` is set. The node itself becomes the only content of the `body`,
+ * which has no margin so the snapshot looks like the original node.
+ *
+ * @param {Element} clonedNode - The cloned node, with its styles, fonts and images embedded.
+ * @param {Object} options - The render options.
+ * @param {boolean} [options.stylesheet=false] - Whether to move the inline styles into a stylesheet.
+ * @param {string} [options.title=""] - The title of the document.
+ * @returns {string} The HTML document, starting with its doctype.
+ */
+function createHtmlDocument(clonedNode, options) {
+  const doc = clonedNode.ownerDocument.implementation.createHTMLDocument(
+    options.title || ""
+  );
+
+  const charset = doc.createElement("meta");
+  charset.setAttribute("charset", "utf-8");
+  doc.head.insertBefore(charset, doc.head.firstChild);
+
+  while (
+    clonedNode.firstElementChild &&
+    clonedNode.firstElementChild.localName === "style"
+  ) {
+    doc.head.appendChild(clonedNode.firstElementChild);
+  }
+
+  if (options.stylesheet) {
+    const style = doc.createElement("style");
+    style.textContent = extractStylesheet(clonedNode);
+    doc.head.appendChild(style);
+  }
+
+  doc.body.style.margin = "0";
+  doc.body.appendChild(doc.importNode(clonedNode, true));
+  return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+}
+
+module.exports = {
+  createHtmlDocument,
+};
@@ -0,0 +1,218 @@
+const { createAbortError, createTimeoutError } = require("./abort");
+const { getEnvironment, getNodeWindow } = require("./environment");
+const { getLogger } = require("./logger");
+const { getPixelRatio, uuid } = require("./util");
+
+// Identifies the messages of the iframe render protocol among the other messages a window receives.
+const PROTOCOL = "html-to-image:iframe";
+
+// Version of the message format. Both sides refuse messages of another version, so they never misread each other.
+const PROTOCOL_VERSION = 1;
+
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Returns the origin of the document an iframe loads, which render requests are addressed to.
+ *
+ * @param {HTMLIFrameElement} iframe - The iframe.
+ * @returns {string} The origin, or `"*"` when the iframe has no URL with an origin (e.g. `srcdoc`).
+ */
+function getFrameOrigin(iframe) {
+  try {
+    const { origin } = new URL(iframe.src, iframe.ownerDocument.baseURI);
+    return origin && origin !== "null" ? origin : "*";
+  } catch (error) {
+    return "*";
+  }
+}
+
+/**
+ * Asks the document inside a cross-origin iframe to render itself, through the companion listener started there with
+ * `listenForRenderRequests`.
+ *
+ * The request is posted to the iframe's window with the size of the iframe and the pixel ratio of the render, and only
+ * an answer from that window, and from the iframe's origin, is accepted. Without an answer within the timeout, for
+ * example because the iframe does not run the companion script, the request fails with a `TimeoutError`.
+ *
+ * @async
+ * @param {HTMLIFrameElement} iframe - The iframe to capture.
+ * @param {Object} options - The render options.
+ * @param {boolean|Object} options.iframeBridge - `true`, or the settings of the bridge.
+ * @param {string} [options.iframeBridge.targetOrigin] - The origin the request is posted to; by default the origin of
+ *        the iframe's `src`.
+ * @param {number} [options.iframeBridge.timeout=5000] - How long to wait for the answer, in milliseconds.
+ * @returns {Promise<string|null>} A promise that resolves to the data URL of the rendered iframe, or `null` if the iframe
+ *          has no window.
+ * @throws {Error} If the iframe failed to render or answered with another protocol version.
+ */
+function requestFrameRender(iframe, options) {
+  const frameWindow = iframe.contentWindow;
+  if (!frameWindow) {
+    return Promise.resolve(null);
+  }
+
+  const bridge = options.iframeBridge === true ? {} : options.iframeBridge;
+  const targetOrigin = bridge.targetOrigin || getFrameOrigin(iframe);
+  const timeout = bridge.timeout != null ? bridge.timeout : DEFAULT_TIMEOUT;
+  const win = getNodeWindow(iframe, options);
+  const { signal } = options;
+  const id = uuid();
+
+  return new Promise((resolve, reject) => {
+    let timer;
+    const finish = () => {
+      clearTimeout(timer);
+      win.removeEventListener("message", onMessage);
+      signal?.removeEventListener("abort", onAbort);
+    };
+
+    function onMessage(event) {
+      const { data } = event;
+      if (
+        event.source !== frameWindow ||
+        !data ||
+        data.protocol !== PROTOCOL ||
+        data.id !== id ||
+        (targetOrigin !== "*" && event.origin !== targetOrigin)
+      ) {
+        return;
+      }
+
+      finish();
+      if (data.version !== PROTOCOL_VERSION) {
+        reject(
+          new Error(
+            `The iframe answered with version ${data.version} of the render protocol instead of ${PROTOCOL_VERSION}`
+          )
+        );
+      } else if (data.error) {
+        reject(new Error(`The iframe could not render itself: ${data.error}`));
+      } else {
+        resolve(data.dataUrl);
+      }
+    }
+
+    function onAbort() {
+      finish();
+      reject(createAbortError());
+    }
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+    win.addEventListener("message", onMessage);
+    timer = setTimeout(() => {
+      finish();
+      reject(
+        createTimeoutError(
+          `The iframe did not answer the render request within ${timeout}ms`
+        )
+      );
+    }, timeout);
+
+    frameWindow.postMessage(
+      {
+        protocol: PROTOCOL,
+        version: PROTOCOL_VERSION,
+        type: "render",
+        id,
+        width: iframe.clientWidth,
+        height: iframe.clientHeight,
+        pixelRatio: options.pixelRatio || getPixelRatio(),
+      },
+      targetOrigin
+    );
+  });
+}
+
+/**
+ * Answers the render requests that parent pages send to this window through `requestFrameRender`.
+ *
+ * Only requests from `options.allowedOrigins` are answered, because a rendered frame reveals its content to the page
+ * that asked for it; requests from other origins are ignored with a warning. Every accepted request is rendered with
+ * `render` and answered with the resulting data URL, or with the message of the error it failed with.
+ *
+ * Sandboxed and `data:` documents send their requests from the opaque origin `"null"`, which any such document shares
+ * and which no answer can be addressed to: the answer has to be posted with the target origin `"*"`, and reaches
+ * whatever document the requesting window shows by then. These requests are therefore refused, even with
+ * `allowedOrigins: ["*"]`, unless `options.allowOpaqueOrigins` is set.
+ *
+ * @param {function({width: number, height: number, pixelRatio: number}): Promise<string>} render - Renders this
+ *        window's document at the requested size and pixel ratio into a data URL.
+ * @param {Object} options - The listener options.
+ * @param {string[]} options.allowedOrigins - The origins allowed to capture this window, or `["*"]` for any.
+ * @param {boolean} [options.allowOpaqueOrigins=false] - Whether to answer requests from the opaque origin `"null"`, with
+ *        the target origin `"*"`.
+ * @returns {function(): void} A function that stops answering requests.
+ * @throws {TypeError} If no allowed origin is given.
+ */
+function serveRenderRequests(render, options) {
+  const { allowedOrigins, allowOpaqueOrigins } = options;
+  if (!Array.isArray(allowedOrigins) || !allowedOrigins.length) {
+    throw new TypeError(
+      "listenForRenderRequests needs options.allowedOrigins, the origins of the pages allowed to capture this window"
+    );
+  }
+
+  const win = getEnvironment(options).window;
+  const onMessage = async (event) => {
+    const { data } = event;
+    if (!data || data.protocol !== PROTOCOL || data.type !== "render") {
+      return;
+    }
+    if (event.origin === "null" && !allowOpaqueOrigins) {
+      getLogger(options).warn(
+        'Ignored a render request from the opaque origin "null"; set allowOpaqueOrigins to answer it'
+      );
+      return;
+    }
+    if (
+      event.origin !== "null" &&
+      !allowedOrigins.includes("*") &&
+      !allowedOrigins.includes(event.origin)
+    ) {
+      getLogger(options).warn(
+        `Ignored a render request from the disallowed origin ${event.origin}`
+      );
+      return;
+    }
+
+    const reply = (message) =>
+      event.source.postMessage(
+        {
+          protocol: PROTOCOL,
+          version: PROTOCOL_VERSION,
+          id: data.id,
+          ...message,
+        },
+        event.origin === "null" ? "*" : event.origin
+      );
+
+    if (data.version !== PROTOCOL_VERSION) {
+      reply({ error: `Unsupported render protocol version ${data.version}` });
+      return;
+    }
+
+    try {
+      reply({
+        dataUrl: await render({
+          width: data.width,
+          height: data.height,
+          pixelRatio: data.pixelRatio,
+        }),
+      });
+    } catch (error) {
+      reply({ error: (error && error.message) || String(error) });
+    }
+  };
+
+  win.addEventListener("message", onMessage);
+  return () => win.removeEventListener("message", onMessage);
+}
+
+module.exports = {
+  requestFrameRender,
+  serveRenderRequests,
+};
@@ -1,16 +1,108 @@
 const cloneNode = require("./clone-node").cloneNode;
+const countNodes = require("./clone-node").countNodes;
 const embedImages = require("./embed-images").embedImages;
 const applyStyle = require("./apply-style").applyStyle;
 const embedWebFonts = require("./embed-webfonts").embedWebFonts;
 const getWebFontCSS = require("./embed-webfonts").getWebFontCSS;
+const encoders = require("./encoders");
+const blobToDataURL = require("./dataurl").blobToDataURL;
+const paginate = require("./paginate");
+const encodePdf = require("./encode-pdf");
+const tiles = require("./tiles");
+const animation = require("./animation");
+const encodeGIF = require("./encode-gif").encodeGIF;
+const encodeAPNG = require("./encode-apng").encodeAPNG;
+const batch = require("./batch");
+const diffPixels = require("./compare").diffPixels;
+const rasterWorker = require("./raster-worker");
+const plugins = require("./plugins");
+const drawOverlays = require("./overlay").drawOverlays;
+const writeMetadata = require("./metadata").writeMetadata;
+const encodeWithinBytes = require("./target-size").encodeWithinBytes;
+const minifyNode = require("./minify").minifyNode;
+const nodeToVectorSvg = require("./vector-svg").nodeToVectorSvg;
+const createHtmlDocument = require("./html-snapshot").createHtmlDocument;
+const iframeBridge = require("./iframe-bridge");
+const report = require("./report");
+const progress = require("./progress");
+const { throwIfAborted, withTimeout } = require("./abort");
+const { getEnvironment } = require("./environment");
+const { getMimeType } = require("./mimes");
 const utils = require("./util.js");
 
 const getImageSize = utils.getImageSize;
+const getCaptureRegion = utils.getCaptureRegion;
 const getPixelRatio = utils.getPixelRatio;
 const createImage = utils.createImage;
-const canvasToBlob = utils.canvasToBlob;
-const nodeToDataURL = utils.nodeToDataURL;
+const createSvgElement = utils.createSvgElement;
+const svgToDataURL = utils.svgToDataURL;
+const serializeSvg = utils.serializeSvg;
+const isInstanceOfElement = utils.isInstanceOfElement;
 const checkCanvasDimensions = utils.checkCanvasDimensions;
+const canvasDimensionLimit = utils.canvasDimensionLimit;
+
+// Largest canvas side accepted by current browsers, used as the limit for stitched tiled renders.
+const maxStitchedCanvasSize = 32767;
+
+/**
+ * Runs one stage of the render pipeline, reporting it to `options.onProgress` and measuring its duration.
+ *
+ * @async
+ * @param {Object} options - The render options.
+ * @param {string} name - The name of the stage, e.g. `"clone"` or `"rasterize"`.
+ * @param {function(): Promise<*>|*} run - The work of the stage.
+ * @returns {Promise<*>} A promise that resolves to the result of the stage.
+ */
+function stage(options, name, run) {
+  progress.enterPhase(options, name);
+  return report.measure(options, name, run);
+}
+
+/**
+ * Clones a DOM node and makes the clone self-contained, ready to be serialized into a SVG image.
+ *
+ * The clone receives the computed styles of the original, the embedded web fonts and images, and finally the
+ * custom styles from the options. This is the shared first half of every render function. The `afterClone`,
+ * `beforeEmbed`, `afterEmbed` and `beforeSerialize` plugin hooks run between these steps.
+ *
+ * @async
+ * @param {Node} node - The DOM node to clone.
+ * @param {Object} options - The render options.
+ * @returns {Promise<Node>} A promise that resolves to the prepared clone.
+ */
+async function cloneAndEmbed(node, options) {
+  const context = { node, options };
+  if (options.onProgress) {
+    progress.startNodes(options, countNodes(node));
+  }
+  let clonedNode = await stage(options, "clone", () =>
+    cloneNode(node, options, true)
+  );
+  clonedNode = await plugins.applyHook("afterClone", clonedNode, context);
+  clonedNode = await plugins.applyHook("beforeEmbed", clonedNode, context);
+  await stage(options, "fonts", () => embedWebFonts(clonedNode, options, node));
+  await stage(options, "images", () => embedImages(clonedNode, options));
+  clonedNode = await plugins.applyHook("afterEmbed", clonedNode, context);
+  applyStyle(clonedNode, options);
+  return plugins.applyHook("beforeSerialize", clonedNode, context);
+}
+
+/**
+ * Finishes a rendered canvas: draws the overlays from `options.overlays` onto it and runs the `afterRasterize` hook.
+ *
+ * @async
+ * @param {HTMLCanvasElement} canvas - The rendered canvas.
+ * @param {number} scale - The number of canvas pixels per CSS pixel.
+ * @param {Node} node - The rendered DOM node.
+ * @param {Object} options - The render options.
+ * @returns {Promise<HTMLCanvasElement>} A promise that resolves to the finished canvas.
+ */
+async function finishCanvas(canvas, scale, node, options) {
+  if (options.overlays && options.overlays.length) {
+    await drawOverlays(canvas, scale, options);
+  }
+  return plugins.applyHook("afterRasterize", canvas, { node, options });
+}
 
 /**
  * Converts a DOM node into a SVG image represented as a Data URL.
@@ -24,28 +116,149 @@ const checkCanvasDimensions = utils.checkCanvasDimensions;
  * representation of dynamic or interactive content that can be used in contexts where the original DOM structure
  * is not available.
  *
- * Logging statements are included at each major step for debugging purposes, indicating the function's progress.
+ * The duration of every step is logged at debug level through `options.logger`. With `options.debug`, this and every
+ * other render function resolves to `{ result, report }` instead, where the report holds the per-stage timings and
+ * counters of the render.
+ *
+ * With `options.clip`, the SVG only shows that rectangle of the node: its size and viewBox are the rectangle's, so
+ * every image rendered from it is limited to that region too.
+ *
+ * `options.output` selects what the SVG is returned as: a data URL (the default), the markup as a `"string"`, the
+ * `"element"` itself, or a `"blob"` of type `image/svg+xml` ready to be saved as a `.svg` file. With `options.minify`,
+ * redundant whitespace, comments and empty style declarations are stripped before serializing (see `minifyNode`).
  *
  * @async
  * @param {Node} node - The DOM node to convert into a SVG image.
  * @param {Object} [options={}] - Optional settings to control aspects of the conversion process, such as image size, styles, and whether to embed fonts or images.
- * @returns {Promise<string>} A promise that resolves to a Data URL representing the node as a SVG image.
+ * @param {{x: number, y: number, width: number, height: number}} [options.clip] - A rectangle of the node to capture, in CSS pixels relative to the node.
+ * @param {string} [options.captureMode="visible"] - `"full"` to capture the whole scrollable content of the node and its scroll containers.
+ * @param {string} [options.output="dataUrl"] - `"dataUrl"`, `"string"`, `"element"` or `"blob"`.
+ * @param {boolean} [options.minify=false] - Whether to strip redundant whitespace and empty style declarations.
+ * @returns {Promise<string|SVGElement|Blob>} A promise that resolves to the SVG image, by default as a Data URL.
+ * @throws {TypeError} If the output format is unknown.
  */
 async function toSvg(node, options = {}) {
-  console.log("toSvg 1");
+  const output = getSvgOutput(options);
   const { width, height } = getImageSize(node, options);
-  console.log("toSvg 2");
-  const clonedNode = await cloneNode(node, options, true);
-  console.log("toSvg 3");
-  await embedWebFonts(clonedNode, options);
-  console.log("toSvg 4");
-  await embedImages(clonedNode, options);
-  console.log("toSvg 5");
-  applyStyle(clonedNode, options);
-  console.log("toSvg 6");
-  const datauri = await nodeToDataURL(clonedNode, width, height);
-  console.log("toSvg 7");
-  return datauri;
+  const region = getCaptureRegion(node, options);
+  const clonedNode = await cloneAndEmbed(node, options);
+  return stage(options, "serialize", () => {
+    if (options.minify) {
+      minifyNode(clonedNode);
+    }
+    return outputSvg(
+      createSvgElement(clonedNode, width, height, region),
+      output
+    );
+  });
+}
+
+/**
+ * Converts a DOM node into a native vector SVG, without a foreignObject.
+ *
+ * Where `toSvg` wraps a copy of the HTML in a foreignObject, which only browsers can render, this function walks the
+ * node's layout boxes in the page and emits SVG primitives (see `nodeToVectorSvg`): rounded rectangles for backgrounds
+ * and borders, gradients, images, clip paths for overflow and positioned text. The result is a real vector graphic that
+ * vector editors, PDF converters and image viewers can open and edit. The node must be attached and laid out, and the
+ * conversion covers the box model and text rather than all of CSS.
+ *
+ * The `clip`, `backgroundColor`, `filter`, `skipFonts`, `fontEmbedCSS`, `output` and `signal` options work as in `toSvg`.
+ *
+ * @async
+ * @param {Element} node - The DOM node to convert.
+ * @param {Object} [options={}] - The render options.
+ * @returns {Promise<string|SVGElement|Blob>} A promise that resolves to the SVG image, by default as a Data URL.
+ * @throws {TypeError} If the output format is unknown.
+ */
+async function toVectorSvg(node, options = {}) {
+  const output = getSvgOutput(options);
+  const region = getCaptureRegion(node, options);
+  const fontCSS =
+    options.fontEmbedCSS !== null
+      ? options.fontEmbedCSS
+      : options.skipFonts
+      ? null
+      : await stage(options, "fonts", () => getWebFontCSS(node, options));
+  return stage(options, "serialize", async () =>
+    outputSvg(await nodeToVectorSvg(node, region, options, fontCSS), output)
+  );
+}
+
+/**
+ * Converts a DOM node into a standalone HTML document, to archive the exact state of a widget as a single file that
+ * opens offline.
+ *
+ * The node goes through the same clone and embed steps as `toSvg`, so the snapshot carries the computed styles of every
+ * element, the web fonts and the images inline, and nothing is fetched when it is opened. With `options.stylesheet`, the
+ * inline styles move into a stylesheet in the `head` instead (see `createHtmlDocument`). With `options.minify`, the
+ * markup is minified as for `toSvg`.
+ *
+ * @async
+ * @param {Node} node - The DOM node to snapshot.
+ * @param {Object} [options={}] - The render options.
+ * @param {boolean} [options.stylesheet=false] - Whether to move the inline styles into a stylesheet.
+ * @param {string} [options.title=""] - The title of the document.
+ * @param {boolean} [options.minify=false] - Whether to strip redundant whitespace and empty style declarations.
+ * @param {string} [options.output="string"] - `"string"`, `"blob"` (of type `text/html`) or `"dataUrl"`.
+ * @returns {Promise<string|Blob>} A promise that resolves to the HTML document, by default as a string.
+ * @throws {TypeError} If the output format is unknown.
+ */
+async function toHtml(node, options = {}) {
+  const output = options.output || "string";
+  if (!["string", "blob", "dataUrl"].includes(output)) {
+    throw new TypeError(`Unknown HTML output "${output}"`);
+  }
+
+  const clonedNode = await cloneAndEmbed(node, options);
+  return stage(options, "serialize", () => {
+    if (options.minify) {
+      minifyNode(clonedNode);
+    }
+    const html = createHtmlDocument(clonedNode, options);
+
+    if (output === "blob") {
+      return new Blob([html], { type: "text/html" });
+    }
+    if (output === "dataUrl") {
+      return `data:text/html;charset=utf-8,${encodeURIComponent(html)}`;
+    }
+    return html;
+  });
+}
+
+/**
+ * Reads and validates `options.output` of the SVG render functions.
+ *
+ * @param {Object} options - The render options.
+ * @returns {string} `"dataUrl"`, `"string"`, `"element"` or `"blob"`.
+ * @throws {TypeError} If the output format is unknown.
+ */
+function getSvgOutput(options) {
+  const output = options.output || "dataUrl";
+  if (!["dataUrl", "string", "element", "blob"].includes(output)) {
+    throw new TypeError(`Unknown SVG output "${output}"`);
+  }
+  return output;
+}
+
+/**
+ * Returns an SVG element in the requested output format.
+ *
+ * @param {SVGElement} svg - The SVG element.
+ * @param {string} output - `"dataUrl"`, `"string"`, `"element"` or `"blob"`.
+ * @returns {string|SVGElement|Blob|Promise<string>} The SVG in that format.
+ */
+function outputSvg(svg, output) {
+  if (output === "element") {
+    return svg;
+  }
+  if (output === "string") {
+    return serializeSvg(svg);
+  }
+  if (output === "blob") {
+    return new Blob([serializeSvg(svg)], { type: "image/svg+xml" });
+  }
+  return svgToDataURL(svg);
 }
 
 /**
@@ -62,20 +275,63 @@ async function toSvg(node, options = {}) {
  * or respect specified dimensions. If the `backgroundColor` option is provided, the canvas will be filled with this color before
  * the image is drawn, allowing for a custom background for transparent images.
  *
+ * Canvases larger than 16384 pixels per side are downscaled unless `skipAutoScale` is set. With `options.tiled`, the node
+ * is instead rendered in tiles (see `toTiles`) that are stitched into a canvas of up to `options.maxCanvasSize` pixels
+ * per side, so very large nodes keep their full resolution; beyond that size the tiles are rendered at a lower pixel
+ * ratio, since the stitched canvas cannot be resized once drawn.
+ *
+ * With `options.clip`, the canvas covers only that rectangle of the node, so capturing part of a large node needs no
+ * more memory than the part itself.
+ *
+ * Text and image overlays from `options.overlays`, such as watermarks, are drawn over the rendered node (see
+ * `drawOverlays`) before the `afterRasterize` plugin hook runs.
+ *
+ * With `options.sizes`, the node is cloned, embedded and serialized once and the SVG is rasterized at every requested
+ * size (see `toSizedCanvases`); the function then resolves to an object of canvases keyed by size label.
+ *
  * @async
  * @param {Node} node - The DOM node to convert into a canvas.
  * @param {Object} [options={}] - Optional settings to control aspects of the canvas generation process, such as dimensions, pixel ratio, and background color.
+ * @param {boolean} [options.tiled=false] - Whether to render in tiles and stitch them, instead of drawing a single image.
+ * @param {number} [options.maxCanvasSize] - The largest canvas side before downscaling; 16384, or 32767 when tiled.
+ * @param {{x: number, y: number, width: number, height: number}} [options.clip] - A rectangle of the node to capture, in CSS pixels relative to the node.
+ * @param {Array<{width?: number, height?: number, scale?: number, name?: string}>} [options.sizes] - Output sizes to rasterize from a single render.
+ * @param {Array<Object>} [options.overlays] - Text or image overlays to draw over the rendered node.
+ * @param {AbortSignal} [options.signal] - A signal to abort the render, which then rejects with an AbortError.
  * @returns {Promise<HTMLCanvasElement>} A promise that resolves to a canvas element containing a rasterized version of the DOM node.
  */
 async function toCanvas(node, options = {}) {
-  console.log("toCanvas 1");
+  if (options.sizes) {
+    return toSizedCanvases(node, options);
+  }
 
-  const { width, height } = getImageSize(node, options);
-  console.log("toCanvas 3");
+  if (options.tiled) {
+    const region = getCaptureRegion(node, options);
+    const cssWidth = options.canvasWidth || region.width;
+    const cssHeight = options.canvasHeight || region.height;
+    const ratio = options.pixelRatio || getPixelRatio();
+    const tileOptions = options.skipAutoScale
+      ? options
+      : {
+          ...options,
+          pixelRatio: tiles.fitPixelRatio(
+            cssWidth,
+            cssHeight,
+            ratio,
+            options.maxCanvasSize || maxStitchedCanvasSize
+          ),
+        };
+    const manifest = await toTiles(node, tileOptions);
+    const canvas = tiles.stitchTiles(manifest);
+    return finishCanvas(canvas, canvas.width / cssWidth, node, options);
+  }
 
-  const svg = await toSvg(node, options);
-  console.log("toCanvas 4");
-  const img = await createImage(svg);
+  const { width, height } = getCaptureRegion(node, options);
+  const svg = await toSvg(node, { ...options, output: "dataUrl" });
+  const img = await stage(options, "rasterize", () =>
+    createImage(svg, options.signal)
+  );
+  throwIfAborted(options.signal);
   const canvas = document.createElement("canvas");
 
   const context = canvas.getContext("2d");
@@ -87,7 +343,10 @@ async function toCanvas(node, options = {}) {
   canvas.height = canvasHeight * ratio;
 
   if (!options.skipAutoScale) {
-    checkCanvasDimensions(canvas);
+    checkCanvasDimensions(
+      canvas,
+      Math.min(canvasDimensionLimit, options.maxCanvasSize || Infinity)
+    );
   }
   canvas.style.width = `${canvasWidth}`;
   canvas.style.height = `${canvasHeight}`;
@@ -97,11 +356,158 @@ async function toCanvas(node, options = {}) {
     context.fillRect(0, 0, canvas.width, canvas.height);
   }
 
-  context.drawImage(img, 0, 0, canvas.width, canvas.height);
+  await stage(options, "rasterize", () =>
+    context.drawImage(img, 0, 0, canvas.width, canvas.height)
+  );
 
-  console.log("toCanvas 2");
+  return finishCanvas(canvas, canvas.width / canvasWidth, node, options);
+}
 
-  return canvas;
+/**
+ * Renders a DOM node as a grid of canvas tiles, for captures larger than the browser's canvas size limit.
+ *
+ * The node is cloned and embedded once, then the resulting SVG is rasterized tile by tile by shifting its viewBox, so
+ * no single image or canvas exceeds `options.tileSize` pixels per side. The result is never downscaled: every tile keeps
+ * the full resolution given by `pixelRatio`, `canvasWidth` and `canvasHeight`. This is what `toCanvas` uses internally
+ * when `options.tiled` is set; call it directly when the full image is too large for one canvas and the tiles should be
+ * processed or uploaded separately.
+ *
+ * The returned manifest holds the full output size, the grid dimensions and one entry per tile (row-major) with its
+ * `column`, `row`, `x`, `y`, `width` and `height` in output pixels and its `canvas`.
+ *
+ * @async
+ * @param {Node} node - The DOM node to render.
+ * @param {Object} [options={}] - Additional options for the rendering, including all `toCanvas` options.
+ * @param {number} [options.tileSize=16384] - The maximum width and height of a tile in pixels.
+ * @returns {Promise<{width: number, height: number, tileSize: number, columns: number, rows: number, tiles: Array<Object>}>}
+ *          A promise that resolves to the tile manifest with the rendered tiles.
+ */
+async function toTiles(node, options = {}) {
+  const { width, height } = getImageSize(node, options);
+  const region = getCaptureRegion(node, options);
+  const ratio = options.pixelRatio || getPixelRatio();
+  const outputWidth = Math.round((options.canvasWidth || region.width) * ratio);
+  const outputHeight = Math.round(
+    (options.canvasHeight || region.height) * ratio
+  );
+
+  const clonedNode = await cloneAndEmbed(node, options);
+  const svg = await stage(options, "serialize", () =>
+    createSvgElement(clonedNode, width, height, region)
+  );
+  const manifest = tiles.computeTiles(
+    outputWidth,
+    outputHeight,
+    options.tileSize || canvasDimensionLimit
+  );
+
+  return stage(options, "rasterize", () =>
+    tiles.renderTiles(svg, region, manifest, options)
+  );
+}
+
+/**
+ * Resolves a requested output size into pixel dimensions and the label its result is stored under.
+ *
+ * A size is given by `scale` (a pixel ratio), by `width` or `height` in pixels (the other side keeping the aspect ratio
+ * of the captured region), or by both `width` and `height`. Its label is its `name` if it has one, otherwise derived
+ * from the size, e.g. `"2x"`, `"256w"`, `"64h"` or `"64x64"`.
+ *
+ * @param {{width?: number, height?: number, scale?: number, name?: string}} size - The requested size.
+ * @param {{width: number, height: number}} region - The captured region in CSS pixels.
+ * @returns {{name: string, width: number, height: number}} The label and the output size in pixels.
+ * @throws {RangeError} If the size gives neither a scale nor a width or height.
+ */
+function resolveOutputSize(size, region) {
+  let width;
+  let height;
+  let name;
+
+  if (size.width && size.height) {
+    ({ width, height } = size);
+    name = `${width}x${height}`;
+  } else if (size.width) {
+    width = size.width;
+    height = (size.width * region.height) / region.width;
+    name = `${width}w`;
+  } else if (size.height) {
+    width = (size.height * region.width) / region.height;
+    height = size.height;
+    name = `${height}h`;
+  } else if (size.scale) {
+    width = region.width * size.scale;
+    height = region.height * size.scale;
+    name = `${size.scale}x`;
+  } else {
+    throw new RangeError("A size needs a scale, a width or a height");
+  }
+
+  return { name: size.name || name, width, height };
+}
+
+/**
+ * Renders a DOM node once and rasterizes it at several output sizes.
+ *
+ * Cloning, embedding and serializing, the expensive part of a render, happen once. The SVG is then resized to each
+ * requested size (with a viewBox keeping the content's CSS coordinates) before it is decoded, so every canvas is drawn
+ * from vector content at its own resolution rather than scaled from another bitmap; the browser's high-quality
+ * smoothing only applies to the embedded raster images. Sizes are rasterized one after another to keep memory usage
+ * bounded, and each canvas receives the overlays and goes through the `afterRasterize` plugin hook.
+ *
+ * @async
+ * @param {Node} node - The DOM node to render.
+ * @param {Object} options - The render options, with `sizes` set.
+ * @returns {Promise<Object<string, HTMLCanvasElement>>} A promise that resolves to the canvases, keyed by size label.
+ */
+async function toSizedCanvases(node, options) {
+  const { width, height } = getImageSize(node, options);
+  const region = getCaptureRegion(node, options);
+  const clonedNode = await cloneAndEmbed(node, options);
+  const svg = await stage(options, "serialize", () =>
+    createSvgElement(clonedNode, width, height, region)
+  );
+  svg.setAttribute("preserveAspectRatio", "none");
+
+  const canvases = {};
+  for (let i = 0; i < options.sizes.length; i++) {
+    throwIfAborted(options.signal);
+    const size = resolveOutputSize(options.sizes[i], region);
+    if (!options.skipAutoScale) {
+      checkCanvasDimensions(
+        size,
+        Math.min(canvasDimensionLimit, options.maxCanvasSize || Infinity)
+      );
+    }
+    const canvasWidth = Math.max(1, Math.round(size.width));
+    const canvasHeight = Math.max(1, Math.round(size.height));
+
+    const canvas = await stage(options, "rasterize", async () => {
+      svg.setAttribute("width", `${canvasWidth}`);
+      svg.setAttribute("height", `${canvasHeight}`);
+      const img = await createImage(await svgToDataURL(svg), options.signal);
+
+      const target = document.createElement("canvas");
+      target.width = canvasWidth;
+      target.height = canvasHeight;
+      const context = target.getContext("2d");
+      context.imageSmoothingQuality = "high";
+      if (options.backgroundColor) {
+        context.fillStyle = options.backgroundColor;
+        context.fillRect(0, 0, canvasWidth, canvasHeight);
+      }
+      context.drawImage(img, 0, 0, canvasWidth, canvasHeight);
+      return target;
+    });
+
+    canvases[size.name] = await finishCanvas(
+      canvas,
+      canvasWidth / region.width,
+      node,
+      options
+    );
+  }
+
+  return canvases;
 }
 
 /**
@@ -113,12 +519,241 @@ async function toCanvas(node, options = {}) {
  * @returns {Promise<Uint8ClampedArray>} A promise that resolves to the pixel data as a Uint8ClampedArray.
  */
 async function toPixelData(node, options = {}) {
-  const { width, height } = getImageSize(node, options);
+  const { width, height } = getCaptureRegion(node, options);
   const canvas = await toCanvas(node, options);
   const ctx = canvas.getContext("2d");
   return ctx.getImageData(0, 0, width, height).data;
 }
 
+/**
+ * Converts a DOM node to an image Blob of any registered MIME type.
+ *
+ * This is the generic entry point behind `toPng`, `toJpeg` and `toBlob`. The node is rendered with `toCanvas` and the
+ * canvas is then handed to the encoder registered for `options.type`. Browser-native formats (PNG, JPEG, WebP, AVIF) are
+ * used when the browser can produce them, BMP and multi-size ICO are encoded in plain JavaScript, and custom encoders can
+ * be added with `registerEncoder`. When the requested type cannot be produced, `options.fallbackType` (PNG by default)
+ * is used instead.
+ *
+ * With `options.worker`, the SVG is decoded, drawn and encoded on an OffscreenCanvas in a Web Worker, so a large render
+ * does not freeze the page (see `toImageInWorker`). This applies to the browser-native formats when no `afterRasterize`
+ * plugin or `overlays` need the canvas and the render is not `tiled`, `sizes` or `maxBytes`; in every other case, or
+ * when the browser lacks OffscreenCanvas, the render silently stays on the main thread.
+ *
+ * With `options.sizes`, the node is rendered once and encoded at every size, and the function resolves to an object of
+ * Blobs keyed by size label instead (see `toCanvas`).
+ *
+ * PNG and JPEG output can declare a resolution with `options.dpi` and carry text entries from `options.metadata`, such
+ * as the author or the source; they are written into the encoded bytes (see `writeMetadata`). With `dpi: "auto"`, the
+ * resolution is 96 DPI times the pixel ratio, so the image prints at the size the node has on screen.
+ *
+ * With `options.maxBytes`, the encoding is repeated at decreasing quality, and with `downscaleToFit` at decreasing
+ * dimensions, until the image fits (see `encodeWithinBytes`). The function then resolves to
+ * `{ result, quality, width, height }`, with the chosen quality and dimensions next to the Blob.
+ *
+ * @async
+ * @param {Node} node - The DOM node to convert.
+ * @param {Object} [options={}] - Additional options for the conversion.
+ * @param {string} [options.type="image/png"] - The MIME type of the resulting image.
+ * @param {string} [options.fallbackType="image/png"] - The MIME type used when `type` is not supported.
+ * @param {number} [options.quality] - The quality of lossy formats (0 to 1).
+ * @param {number[]} [options.iconSizes=[16, 32, 48]] - The image sizes written into `image/x-icon` output.
+ * @param {boolean} [options.worker=false] - Whether to decode, draw and encode in a Web Worker where possible.
+ * @param {number|string} [options.dpi] - The resolution written into PNG and JPEG output, or `"auto"`.
+ * @param {Object<string, string>} [options.metadata] - Text entries written into PNG and JPEG output.
+ * @param {number} [options.maxBytes] - The largest accepted size of the encoded image, in bytes.
+ * @param {number} [options.minQuality=0.1] - The lowest quality tried to meet `maxBytes`.
+ * @param {boolean} [options.downscaleToFit=false] - Whether to reduce the dimensions when lowering the quality cannot
+ *                                                   meet `maxBytes`.
+ * @returns {Promise<Blob>} A promise that resolves to the encoded image.
+ */
+async function toImage(node, options = {}) {
+  const workerType =
+    options.worker &&
+    !options.tiled &&
+    !options.sizes &&
+    !options.maxBytes &&
+    !(options.overlays && options.overlays.length) &&
+    rasterWorker.isWorkerSupported() &&
+    !plugins.hasHook("afterRasterize", options)
+      ? encoders.getNativeType(options)
+      : null;
+
+  if (workerType) {
+    return toImageInWorker(node, { ...options, type: workerType });
+  }
+
+  const maxCanvasSize = Math.min(
+    options.maxCanvasSize || Infinity,
+    encoders.getMaxDimension(options.type || "image/png")
+  );
+  const canvas = await toCanvas(node, {
+    ...options,
+    maxCanvasSize: Number.isFinite(maxCanvasSize) ? maxCanvasSize : undefined,
+  });
+  throwIfAborted(options.signal);
+  const region = getCaptureRegion(node, options);
+  if (options.sizes) {
+    return mapSizes(canvas, (sizedCanvas) =>
+      encodeImage(sizedCanvas, sizedCanvas.width / region.width, options)
+    );
+  }
+  return encodeImage(
+    canvas,
+    canvas.width / (options.canvasWidth || region.width),
+    options
+  );
+}
+
+/**
+ * Encodes a rendered canvas and writes the requested metadata into the result.
+ *
+ * @async
+ * @param {HTMLCanvasElement} canvas - The rendered canvas.
+ * @param {number} scale - The number of image pixels per CSS pixel, from which `dpi: "auto"` is derived.
+ * @param {Object} options - The render options.
+ * @returns {Promise<Blob>} A promise that resolves to the encoded image.
+ */
+function encodeImage(canvas, scale, options) {
+  const encode = async (target, quality) =>
+    writeMetadata(
+      await encoders.encodeCanvas(target, { ...options, quality }),
+      options,
+      (scale * target.width) / canvas.width
+    );
+
+  return stage(options, "encode", () =>
+    options.maxBytes
+      ? encodeWithinBytes(canvas, options, encode)
+      : encode(canvas, options.quality)
+  );
+}
+
+/**
+ * Converts the result of `toImage` into data URLs, keeping the shape given by `sizes` and `maxBytes`.
+ *
+ * @async
+ * @param {Blob|Object} output - The result of `toImage`.
+ * @param {Object} options - The render options.
+ * @returns {Promise<string|Object>} A promise that resolves to the same result, with data URLs instead of Blobs.
+ */
+async function outputToDataURL(output, options) {
+  if (options.sizes) {
+    return mapSizes(output, (sized) =>
+      outputToDataURL(sized, { ...options, sizes: undefined })
+    );
+  }
+  if (options.maxBytes) {
+    return { ...output, result: await blobToDataURL(output.result) };
+  }
+  return blobToDataURL(output);
+}
+
+/**
+ * Transforms every result of a multi-size render, one after another, keeping the size labels.
+ *
+ * @async
+ * @param {Object<string, *>} results - The results keyed by size label.
+ * @param {function(*): Promise<*>} transform - The transformation of a single result.
+ * @returns {Promise<Object<string, *>>} A promise that resolves to the transformed results, keyed by size label.
+ */
+async function mapSizes(results, transform) {
+  const mapped = {};
+  const names = Object.keys(results);
+  for (let i = 0; i < names.length; i++) {
+    mapped[names[i]] = await transform(results[names[i]]);
+  }
+  return mapped;
+}
+
+/**
+ * Renders a DOM node to an image Blob, decoding, drawing and encoding it in a Web Worker.
+ *
+ * The SVG is sized to the output pixels (with a viewBox keeping the content's CSS coordinates), so decoding it yields
+ * a sharp image at the requested pixel ratio. Its markup is transferred to the worker, which rasterizes it onto an
+ * OffscreenCanvas and encodes the Blob that is sent back (see `rasterizeInWorker`); where workers cannot decode SVG
+ * images, the SVG is decoded asynchronously on the main thread into an ImageBitmap for the worker to draw.
+ *
+ * The node is cloned and embedded only once: when the worker cannot run, e.g. because a Content Security Policy forbids
+ * `blob:` workers, the same SVG is drawn and encoded on the main thread, so plugin hooks and progress events do not
+ * repeat.
+ *
+ * @async
+ * @param {Node} node - The DOM node to convert.
+ * @param {Object} options - The render options, with `type` set to a natively encoded MIME type.
+ * @returns {Promise<Blob>} A promise that resolves to the encoded image.
+ */
+async function toImageInWorker(node, options) {
+  const { width, height } = getImageSize(node, options);
+  const region = getCaptureRegion(node, options);
+  const ratio = options.pixelRatio || getPixelRatio();
+  const size = {
+    width: (options.canvasWidth || region.width) * ratio,
+    height: (options.canvasHeight || region.height) * ratio,
+  };
+  if (!options.skipAutoScale) {
+    checkCanvasDimensions(
+      size,
+      Math.min(
+        canvasDimensionLimit,
+        options.maxCanvasSize || Infinity,
+        encoders.getMaxDimension(options.type)
+      )
+    );
+  }
+  size.width = Math.round(size.width);
+  size.height = Math.round(size.height);
+
+  const scale = size.width / (options.canvasWidth || region.width);
+
+  const clonedNode = await cloneAndEmbed(node, options);
+  const markup = await stage(options, "serialize", () => {
+    const svg = createSvgElement(clonedNode, width, height, region);
+    svg.setAttribute("width", `${size.width}`);
+    svg.setAttribute("height", `${size.height}`);
+    svg.setAttribute("preserveAspectRatio", "none");
+    return serializeSvg(svg);
+  });
+  const url = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+
+  let blob;
+  try {
+    blob = await stage(options, "rasterize", () =>
+      rasterWorker.rasterizeInWorker(markup, {
+        ...size,
+        type: options.type,
+        quality: options.quality,
+        backgroundColor: options.backgroundColor,
+        signal: options.signal,
+        decodeImage: async () =>
+          createImageBitmap(await createImage(url, options.signal)),
+      })
+    );
+  } catch (error) {
+    // Fall back to the main thread only if the worker itself could not run.
+    if (rasterWorker.isWorkerSupported()) {
+      throw error;
+    }
+
+    const canvas = await stage(options, "rasterize", async () => {
+      const img = await createImage(url, options.signal);
+      const target = document.createElement("canvas");
+      target.width = size.width;
+      target.height = size.height;
+      const context = target.getContext("2d");
+      if (options.backgroundColor) {
+        context.fillStyle = options.backgroundColor;
+        context.fillRect(0, 0, size.width, size.height);
+      }
+      context.drawImage(img, 0, 0, size.width, size.height);
+      return target;
+    });
+    return encodeImage(canvas, scale, options);
+  }
+  throwIfAborted(options.signal);
+
+  return stage(options, "encode", () => writeMetadata(blob, options, scale));
+}
+
 /**
  * Converts a DOM node to a PNG image.
  * @param {Node} node - The DOM node to convert to PNG.
@@ -126,9 +761,8 @@ async function toPixelData(node, options = {}) {
  * @returns {Promise<string>} A promise that resolves to the PNG image as a data URL.
  */
 async function toPng(node, options = {}) {
-  // console.log('toPng')
-  const canvas = await toCanvas(node, options);
-  return canvas.toDataURL();
+  const output = await toImage(node, { ...options, type: "image/png" });
+  return outputToDataURL(output, options);
 }
 
 /**
@@ -139,22 +773,541 @@ async function toPng(node, options = {}) {
  * @returns {Promise<string>} A promise that resolves to the JPEG image as a data URL.
  */
 async function toJpeg(node, options = {}) {
-  const canvas = await toCanvas(node, options);
-  return canvas.toDataURL("image/jpeg", options.quality || 1);
+  const output = await toImage(node, {
+    ...options,
+    type: "image/jpeg",
+    quality: options.quality || 1,
+  });
+  return outputToDataURL(output, options);
 }
 
 /**
  * Converts a DOM node to a Blob object.
  * @param {Node} node - The DOM node to convert to a Blob.
  * @param {Object} [options={}] - Additional options for the conversion.
+ * @param {string} [options.type="image/png"] - The MIME type of the resulting Blob.
  * @returns {Promise<Blob>} A promise that resolves to the converted Blob object.
  */
 async function toBlob(node, options = {}) {
+  return toImage(node, options);
+}
+
+/**
+ * Converts a DOM node into a multi-page PDF document.
+ *
+ * The node is rendered once with `toCanvas`, scaled to the width of the page's content area and then sliced into pages
+ * of the content area's height. Page breaks never fall inside descendants whose computed `break-inside` (or
+ * `page-break-inside`) is `avoid`, unless such an element is taller than a page; the break is moved above the element
+ * instead. Each slice is embedded as a JPEG image (or losslessly with `imageFormat: "png"`) in a PDF written without any
+ * external dependency.
+ *
+ * @async
+ * @param {Node} node - The DOM node to convert to PDF.
+ * @param {Object} [options={}] - Additional options for the conversion, including all `toCanvas` options.
+ * @param {string|number[]} [options.pageSize="a4"] - A paper size name (`a3`, `a4`, `a5`, `letter`, `legal`, `tabloid`) or `[width, height]` in points.
+ * @param {string} [options.orientation="portrait"] - Either `"portrait"` or `"landscape"`.
+ * @param {number|Object} [options.margins=0] - The page margins in points, as one number or as `{ top, right, bottom, left }`.
+ * @param {string} [options.imageFormat="jpeg"] - The image encoding of the pages, `"jpeg"` or `"png"`.
+ * @param {number} [options.quality=0.92] - The JPEG quality of the pages (0 to 1).
+ * @returns {Promise<Blob>} A promise that resolves to the PDF document as a Blob of type `application/pdf`.
+ * @throws {RangeError} If the margins leave no room for the content on the page.
+ */
+async function toPdf(node, options = {}) {
+  const {
+    page,
+    margins,
+    width: contentWidth,
+    height: contentHeight,
+  } = paginate.resolveContentArea(options);
+  const { y, width, height } = getCaptureRegion(node, options);
+  const avoid = paginate
+    .getAvoidBreakRanges(node, options)
+    .map((range) => ({ top: range.top - y, bottom: range.bottom - y }))
+    .filter((range) => range.bottom > 0 && range.top < height);
   const canvas = await toCanvas(node, options);
-  const blob = await canvasToBlob(canvas);
+
+  const pointsPerPixel = contentWidth / width;
+  const rowsPerPixel = canvas.height / height;
+  const background = options.imageFormat === "png" ? null : "#fff";
+
+  const slices = paginate.computePageSlices(
+    height,
+    contentHeight / pointsPerPixel,
+    avoid
+  );
+
+  const bytes = await stage(options, "encode", async () => {
+    const pages = [];
+    for (let i = 0; i < slices.length; i++) {
+      throwIfAborted(options.signal);
+      const { top, bottom } = slices[i];
+      const slice = paginate.sliceCanvas(
+        canvas,
+        Math.round(top * rowsPerPixel),
+        Math.round(bottom * rowsPerPixel),
+        background
+      );
+      const image = await encodePdf.canvasToPdfImage(slice, options);
+      const sliceHeight = (bottom - top) * pointsPerPixel;
+
+      pages.push({
+        width: page.width,
+        height: page.height,
+        images: [
+          {
+            x: margins.left,
+            y: page.height - margins.top - sliceHeight,
+            width: contentWidth,
+            height: sliceHeight,
+            image,
+          },
+        ],
+      });
+    }
+    return encodePdf.encodePDF(pages);
+  });
+
+  return new Blob([bytes], { type: "application/pdf" });
+}
+
+/**
+ * Renders a DOM node once per animation frame and collects the pixels of every frame.
+ *
+ * The web font CSS is computed once up front and passed to every frame as `fontEmbedCSS`, and images are served from
+ * the resource cache after the first frame, so each additional frame only costs a clone and a rasterization. All frames
+ * are cropped or padded to the size of the first one.
+ *
+ * @async
+ * @param {Node} node - The DOM node to capture.
+ * @param {Object} options - The render and animation options.
+ * @returns {Promise<{frames: Array<{data: Uint8ClampedArray, delay: number}>, width: number, height: number}>}
+ *          A promise that resolves to the frames and their common size in pixels.
+ */
+async function renderAnimationFrames(node, options) {
+  const timings = animation.getFrameTimings(options);
+  const fontEmbedCSS =
+    options.fontEmbedCSS != null
+      ? options.fontEmbedCSS
+      : options.skipFonts
+      ? ""
+      : await getWebFontCSS(node, options);
+  const frameOptions = { ...options, fontEmbedCSS };
+
+  let width;
+  let height;
+  const frames = await animation.captureFrames(node, timings, async (index) => {
+    const canvas = await toCanvas(node, frameOptions);
+    if (width == null) {
+      width = canvas.width;
+      height = canvas.height;
+    }
+
+    const context = canvas.getContext("2d");
+    const { data } = context.getImageData(0, 0, width, height);
+    return { data, delay: timings[index].delay };
+  });
+
+  return { frames, width, height };
+}
+
+/**
+ * Captures the animations and transitions of a DOM node as an animated GIF.
+ *
+ * Frames are sampled every `1000 / fps` milliseconds for `duration` milliseconds, or at the explicit `timestamps`. CSS
+ * animations and transitions are paused and seeked to each timestamp, so the frames are exact regardless of how long a
+ * render takes; other animations are sampled in real time. The frames are quantized to a shared 255-color palette plus
+ * transparency and encoded in plain JavaScript.
+ *
+ * @async
+ * @param {Node} node - The DOM node to capture.
+ * @param {Object} [options={}] - Additional options for the capture, including all `toCanvas` options.
+ * @param {number} [options.fps=10] - The number of frames per second.
+ * @param {number} [options.duration=1000] - The length of the capture in milliseconds.
+ * @param {number[]} [options.timestamps] - Explicit capture times in milliseconds, instead of `fps` and `duration`.
+ * @param {number} [options.loop=0] - The number of times to repeat the animation, `0` meaning forever.
+ * @returns {Promise<Blob>} A promise that resolves to the animated GIF as a Blob.
+ */
+async function toAnimatedGif(node, options = {}) {
+  const { frames, width, height } = await renderAnimationFrames(node, options);
+  const bytes = await stage(options, "encode", () =>
+    encodeGIF(frames, width, height, options)
+  );
+  return new Blob([bytes], { type: "image/gif" });
+}
+
+/**
+ * Captures the animations and transitions of a DOM node as an animated PNG (APNG).
+ *
+ * Frames are sampled the same way as in `toAnimatedGif`, but are stored in full 32-bit color with alpha, so there is no
+ * quantization. Viewers without APNG support display the first frame.
+ *
+ * @async
+ * @param {Node} node - The DOM node to capture.
+ * @param {Object} [options={}] - Additional options for the capture, including all `toCanvas` options.
+ * @param {number} [options.fps=10] - The number of frames per second.
+ * @param {number} [options.duration=1000] - The length of the capture in milliseconds.
+ * @param {number[]} [options.timestamps] - Explicit capture times in milliseconds, instead of `fps` and `duration`.
+ * @param {number} [options.loop=0] - The number of times to play the animation, `0` meaning forever.
+ * @returns {Promise<Blob>} A promise that resolves to the APNG as a Blob of type `image/apng`.
+ */
+async function toApng(node, options = {}) {
+  const { frames, width, height } = await renderAnimationFrames(node, options);
+  const bytes = await stage(options, "encode", () =>
+    encodeAPNG(frames, width, height, options)
+  );
+  return new Blob([bytes], { type: "image/apng" });
+}
+
+/**
+ * Renders many DOM nodes with shared font and resource work, yielding one outcome per node in input order.
+ *
+ * The web font CSS is computed once per document and passed to every render as `fontEmbedCSS`, and images and other
+ * resources are fetched once and shared through the resource cache, even between renders running at the same time.
+ * At most `options.concurrency` nodes are rendered at once. Each outcome holds either the `result` of the render
+ * function or the `error` it failed with, so one broken node does not fail the whole batch.
+ *
+ * @async
+ * @generator
+ * @param {Iterable<Node>|ArrayLike<Node>} nodes - The DOM nodes to render.
+ * @param {Object} [options={}] - The render options, shared by every node.
+ * @param {function(Node, Object): Promise<*>} [options.render=toPng] - The render function to call for each node, e.g. `toBlob` or `toSvg`.
+ *        With `options.debug`, the exported render functions make each `result` a `{ result, report }` pair.
+ * @param {number} [options.concurrency=4] - The maximum number of nodes rendered at the same time.
+ * @yields {{index: number, node: Node, result?: *, error?: *}} The outcome of each node, in input order.
+ */
+async function* renderEach(nodes, options = {}) {
+  const render = options.render || module.exports.toPng;
+  const getFontCSS = batch.createFontCSSCache(getWebFontCSS, options);
+  const task = async (node) =>
+    render(node, { ...options, fontEmbedCSS: await getFontCSS(node) });
+
+  for await (const outcome of batch.runInOrder(
+    Array.from(nodes),
+    task,
+    options.concurrency
+  )) {
+    const { item, ...rest } = outcome;
+    yield { node: item, ...rest };
+  }
+}
+
+/**
+ * Renders many DOM nodes with shared font and resource work and resolves once all of them are done.
+ *
+ * This is the collecting counterpart of `renderEach`: it accepts the same options and resolves to the outcomes of all
+ * nodes, in input order. Each outcome holds either the `result` or the `error` of its node.
+ *
+ * @async
+ * @param {Iterable<Node>|ArrayLike<Node>} nodes - The DOM nodes to render.
+ * @param {Object} [options={}] - The render options, shared by every node, including `render` and `concurrency`.
+ * @returns {Promise<Array<{index: number, node: Node, result?: *, error?: *}>>} A promise that resolves to the outcomes.
+ */
+async function renderMany(nodes, options = {}) {
+  const outcomes = [];
+  for await (const outcome of renderEach(nodes, options)) {
+    outcomes.push(outcome);
+  }
+  return outcomes;
+}
+
+/**
+ * Renders a DOM node into a single image Blob with `toBlob`, for the functions that produce one file.
+ *
+ * With `options.maxBytes`, the Blob is taken out of the `{ result, quality, width, height }` that `toBlob` resolves to.
+ *
+ * @async
+ * @param {Node} node - The DOM node to render.
+ * @param {Object} options - The render options, including `type`.
+ * @returns {Promise<Blob>} A promise that resolves to the encoded image.
+ */
+async function toSingleBlob(node, options) {
+  const output = await toBlob(node, options);
+  return options.maxBytes ? output.result : output;
+}
+
+/**
+ * Rejects the `sizes` option in the functions that produce one file, since it renders several images.
+ *
+ * @param {Object} options - The render options.
+ * @param {string} name - The name of the calling function, for the error message.
+ * @throws {TypeError} If `options.sizes` is set.
+ */
+function assertSingleOutput(options, name) {
+  if (options.sizes) {
+    throw new TypeError(
+      `${name} produces a single image and does not accept options.sizes; render each size with toBlob instead`
+    );
+  }
+}
+
+/**
+ * Renders a DOM node onto the system clipboard.
+ *
+ * The clipboard always receives a PNG image, rendered with `toBlob`. `options.clipboardTypes` can add an
+ * `"image/svg+xml"` representation from `toSvg` and a `"text/html"` snapshot from `toHtml`, so the paste target picks
+ * the richest one it understands; representations the browser cannot put on the clipboard are left out. The
+ * `ClipboardItem` is created before anything is rendered, with the renders as pending promises, because browsers only
+ * allow writing to the clipboard right after a user gesture such as a click. `options.maxBytes` limits the PNG, while
+ * `options.sizes` is not accepted.
+ *
+ * @async
+ * @param {Node} node - The DOM node to copy.
+ * @param {Object} [options={}] - The render options.
+ * @param {string[]} [options.clipboardTypes=["image/png"]] - The MIME types to put on the clipboard.
+ * @returns {Promise<void>} A promise that resolves once the clipboard holds the image.
+ * @throws {Error} If the browser has no asynchronous clipboard API.
+ * @throws {TypeError} If a clipboard type is not supported by this function, or `options.sizes` is set.
+ * @throws {DOMException} A `NotAllowedError` if the clipboard permission is denied or no user gesture is active.
+ */
+async function copyToClipboard(node, options = {}) {
+  assertSingleOutput(options, "copyToClipboard");
+  const win = getEnvironment(options).window;
+  const clipboard = win && win.navigator && win.navigator.clipboard;
+  if (!clipboard || !clipboard.write || !win.ClipboardItem) {
+    throw new Error(
+      "The clipboard is not available: copyToClipboard needs the asynchronous Clipboard API and a secure (HTTPS) page"
+    );
+  }
+
+  const renders = {
+    "image/png": () => toSingleBlob(node, { ...options, type: "image/png" }),
+    "image/svg+xml": () => toSvg(node, { ...options, output: "blob" }),
+    "text/html": () => toHtml(node, { ...options, output: "blob" }),
+  };
+  const types = Array.from(
+    new Set(["image/png", ...(options.clipboardTypes || [])])
+  );
+  types.forEach((type) => {
+    if (!renders[type]) {
+      throw new TypeError(`Unsupported clipboard type "${type}"`);
+    }
+  });
+
+  const { ClipboardItem } = win;
+  const supported = types.filter(
+    (type) =>
+      type === "image/png" ||
+      !ClipboardItem.supports ||
+      ClipboardItem.supports(type)
+  );
+
+  // The renders run one after another, so they do not compete for the clone and the progress phases.
+  let previous = Promise.resolve();
+  const items = {};
+  supported.forEach((type) => {
+    items[type] = previous.then(renders[type]);
+    previous = items[type];
+  });
+
+  try {
+    await clipboard.write([new ClipboardItem(items)]);
+  } catch (error) {
+    if (error && error.name === "NotAllowedError") {
+      throw new DOMException(
+        "Writing to the clipboard was not allowed: call copyToClipboard from a user gesture such as a click, and check the clipboard-write permission",
+        "NotAllowedError"
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Resolves the render function for a file name, from its extension.
+ *
+ * @param {string} filename - The name of the file, e.g. `"chart.png"`.
+ * @returns {function(Node, Object): Promise<Blob>} A function rendering a node into a Blob of the right format.
+ * @throws {TypeError} If the extension is unknown or its format cannot be produced in this browser.
+ */
+function getDownloadRender(filename) {
+  const extension = (/\.([^./\\]+)$/.exec(filename) || [])[1];
+  switch ((extension || "").toLowerCase()) {
+    case "svg":
+      return (node, options) => toSvg(node, { ...options, output: "blob" });
+    case "html":
+    case "htm":
+      return (node, options) => toHtml(node, { ...options, output: "blob" });
+    case "pdf":
+      return toPdf;
+    case "gif":
+      return toAnimatedGif;
+    case "apng":
+      return toApng;
+    default:
+  }
+
+  const type = getMimeType(filename);
+  if (!type) {
+    throw new TypeError(`Cannot tell the image format of "${filename}"`);
+  }
+  if (!encoders.isTypeSupported(type)) {
+    throw new TypeError(`${type} images are not supported in this browser`);
+  }
+  return (node, options) => toSingleBlob(node, { ...options, type });
+}
+
+/**
+ * Renders a DOM node and saves it as a file, in the format given by the file name's extension.
+ *
+ * `.png`, `.jpg`/`.jpeg`, `.webp`, `.avif`, `.bmp` and `.ico` are rendered with `toBlob`, `.svg` with `toSvg`,
+ * `.html` with `toHtml`, `.pdf` with `toPdf`, and `.gif` and `.apng` as animations with `toAnimatedGif` and `toApng`.
+ * The file is saved through a temporary link, as a download started by the page. `options.maxBytes` limits the images
+ * rendered with `toBlob`, while `options.sizes` is not accepted.
+ *
+ * @async
+ * @param {Node} node - The DOM node to render.
+ * @param {string} filename - The name of the downloaded file, e.g. `"chart.png"`.
+ * @param {Object} [options={}] - The options of the render function.
+ * @returns {Promise<Blob>} A promise that resolves to the downloaded file once the download has started.
+ * @throws {TypeError} If the format cannot be told from the file name or cannot be produced in this browser, or
+ *         `options.sizes` is set.
+ */
+async function download(node, filename, options = {}) {
+  assertSingleOutput(options, "download");
+  const render = getDownloadRender(filename);
+  const blob = await render(node, options);
+
+  const { window: win, document: doc } = getEnvironment(options);
+  const { URL } = win;
+  const url = URL.createObjectURL(blob);
+  const link = doc.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.style.display = "none";
+  doc.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers read the URL only after the click handler returns.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+
   return blob;
 }
 
+/**
+ * Lets parent pages on other origins capture this window when they render a node containing its iframe.
+ *
+ * Run this in the document loaded by the iframe. A parent rendering with `options.iframeBridge` then asks the iframe to
+ * render itself over postMessage, and this listener answers with a PNG of the visible part of the document, at the
+ * iframe's size and the parent's pixel ratio, which the parent places where the iframe was. Only parents from
+ * `options.allowedOrigins` get an answer. The other options (fonts, filters, placeholders, ...) apply to every render
+ * of this document, which runs like an exported render: `timeout` bounds it, `onProgress` follows it and `debug` logs
+ * its report.
+ *
+ * @param {Object} options - The listener options, and the render options used to answer.
+ * @param {string[]} options.allowedOrigins - The origins of the parent pages allowed to capture this window, e.g.
+ *        `["https://app.example.com"]`, or `["*"]` for any.
+ * @param {boolean} [options.allowOpaqueOrigins=false] - Whether to also answer parents with the opaque origin `"null"`
+ *        (sandboxed or `data:` documents), whose answers can only be posted to the target origin `"*"`.
+ * @returns {function(): void} A function that stops answering requests.
+ * @throws {TypeError} If no allowed origin is given.
+ */
+function listenForRenderRequests(options) {
+  const { allowedOrigins, allowOpaqueOrigins, ...renderOptions } =
+    options || {};
+  return iframeBridge.serveRenderRequests(async (request) => {
+    const { window: win, document: doc } = getEnvironment(renderOptions);
+    const rendered = await publicRender(toPng)(doc.documentElement, {
+      ...renderOptions,
+      pixelRatio: request.pixelRatio,
+      captureMode: "full",
+      clip: {
+        x: win.scrollX,
+        y: win.scrollY,
+        width: request.width || win.innerWidth,
+        height: request.height || win.innerHeight,
+      },
+    });
+    return renderOptions.debug ? rendered.result : rendered;
+  }, options || {});
+}
+
+/**
+ * Reads the pixels of one side of a comparison, rendering it first if it is a DOM node.
+ *
+ * @async
+ * @param {Node|HTMLCanvasElement|ImageData|Object|Uint8ClampedArray} image - The image to read.
+ * @param {Object} options - The render and comparison options.
+ * @returns {Promise<{data: Uint8ClampedArray, width: number, height: number}>} A promise that resolves to the pixels.
+ * @throws {TypeError} If raw pixel data is given without `options.pixelDataWidth` and `options.pixelDataHeight`.
+ */
+async function getComparedPixels(image, options) {
+  if (ArrayBuffer.isView(image) || Array.isArray(image)) {
+    const { pixelDataWidth: width, pixelDataHeight: height } = options;
+    if (!width || !height) {
+      throw new TypeError(
+        "Comparing raw pixel data needs options.pixelDataWidth and options.pixelDataHeight"
+      );
+    }
+    return { data: image, width, height };
+  }
+
+  if (image.data && image.width != null && image.height != null) {
+    return image;
+  }
+
+  const canvas = isInstanceOfElement(image, "HTMLCanvasElement")
+    ? image
+    : await toCanvas(image, options);
+  const context = canvas.getContext("2d");
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Compares two images for visual regression testing and highlights their differences.
+ *
+ * Each image can be a DOM node (rendered with `toCanvas` and the given options), a canvas, an `ImageData` or any
+ * `{ data, width, height }` object, or the raw pixel data returned by `toPixelData`, which then needs
+ * `options.pixelDataWidth` and `options.pixelDataHeight`; `width` and `height` keep sizing the rendered nodes. DOM nodes
+ * are rendered one after the other, so their renders never share the `signal` or `onProgress` at the same time, and
+ * the comparison is exported like a render: `timeout` and `signal` bound both renders, `onProgress` follows them and
+ * `debug` reports them together.
+ *
+ * Pixels differing by less than `threshold` are ignored, and with `antialiasing` (the default) so are differences on
+ * anti-aliased edges, which keeps font rasterization noise from failing a check. Images of different sizes are compared
+ * over the larger size, with every pixel that exists in only one of them counted as a mismatch.
+ *
+ * The diff is a canvas showing the first image grayed out, with mismatched pixels in red and ignored anti-aliased pixels
+ * in yellow.
+ *
+ * @async
+ * @param {Node|HTMLCanvasElement|ImageData|Object|Uint8ClampedArray} imageA - The first image, e.g. the reference.
+ * @param {Node|HTMLCanvasElement|ImageData|Object|Uint8ClampedArray} imageB - The second image, e.g. the current render.
+ * @param {Object} [options={}] - The comparison options, also used to render DOM nodes.
+ * @param {number} [options.threshold=0.1] - The color difference, from 0 to 1, above which two pixels differ.
+ * @param {boolean} [options.antialiasing=true] - Whether to ignore differences caused by anti-aliasing.
+ * @param {number} [options.pixelDataWidth] - The width in pixels of an image given as raw pixel data.
+ * @param {number} [options.pixelDataHeight] - The height in pixels of an image given as raw pixel data.
+ * @returns {Promise<{mismatchedPixels: number, mismatchRatio: number, width: number, height: number,
+ *          diff: HTMLCanvasElement}>} A promise that resolves to the number and ratio of mismatched pixels, the compared
+ *          size and the diff image.
+ */
+async function compare(imageA, imageB, options = {}) {
+  const pixelsA = await getComparedPixels(imageA, options);
+  const pixelsB = await getComparedPixels(imageB, options);
+  throwIfAborted(options.signal);
+  const { mismatchedPixels, width, height, diff } = diffPixels(
+    pixelsA,
+    pixelsB,
+    options
+  );
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext("2d");
+  const imageData = context.createImageData(width, height);
+  imageData.data.set(diff.data);
+  context.putImageData(imageData, 0, 0);
+
+  return {
+    mismatchedPixels,
+    mismatchRatio: width * height ? mismatchedPixels / (width * height) : 0,
+    width,
+    height,
+    diff: canvas,
+  };
+}
+
 /**
  * Retrieves the CSS code for embedding web fonts used in the specified DOM node.
  * @param {Node} node - The DOM node to retrieve the web font CSS for.
@@ -165,12 +1318,128 @@ async function getFontEmbedCSS(node, options = {}) {
   return getWebFontCSS(node, options);
 }
 
+/**
+ * Creates a set of render functions bound to an environment.
+ *
+ * Every function of the returned object behaves like the top-level function of the same name, with
+ * `options.environment` defaulting to the given environment. This is the convenient way to render documents of another
+ * window implementation, e.g. to produce self-contained SVG from a jsdom document in Node with `toSvg`, or to inject a
+ * fake `fetch` in tests. Rasterizing (`toCanvas`, `toPng`, ...) still needs a browser.
+ *
+ * @param {Object} environment - The environment, as in `options.environment`.
+ * @param {Window} [environment.window] - The window providing DOM constructors and computed styles.
+ * @param {Document} [environment.document] - The document used to create elements.
+ * @param {function(string, Object): Promise<Response>} [environment.fetch] - The function used to fetch resources.
+ * @returns {Object} The render functions, from `toSvg` to `getFontEmbedCSS`.
+ */
+function createRenderer(environment) {
+  const renderer = {};
+  [
+    "toSvg",
+    "toVectorSvg",
+    "toHtml",
+    "toCanvas",
+    "toTiles",
+    "toPixelData",
+    "toImage",
+    "toPng",
+    "toJpeg",
+    "toBlob",
+    "toPdf",
+    "toAnimatedGif",
+    "toApng",
+    "renderEach",
+    "renderMany",
+    "getFontEmbedCSS",
+  ].forEach((name) => {
+    renderer[name] = (target, options = {}) =>
+      module.exports[name](target, { environment, ...options });
+  });
+
+  return renderer;
+}
+
+/**
+ * Wraps a render function so the whole render is limited to `options.timeout` milliseconds.
+ *
+ * When the time is up, the render is aborted through its signal and the call rejects with a `TimeoutError`, even if a
+ * step such as decoding the SVG image would never have settled on its own.
+ *
+ * @param {function(Node, Object): Promise<*>} render - The render function.
+ * @returns {function(Node, Object): Promise<*>} The wrapped function.
+ */
+function withRenderTimeout(render) {
+  return (node, options = {}) =>
+    withTimeout(
+      options.signal,
+      options.timeout,
+      `Rendering timed out after ${options.timeout}ms`,
+      (signal) => render(node, { ...options, signal })
+    );
+}
+
+/**
+ * Wraps a render function for export, adding the `debug` report, `onProgress` reporting and the `timeout`.
+ *
+ * @param {function(Node, Object): Promise<*>} render - The render function.
+ * @returns {function(Node, Object): Promise<*>} The exported function.
+ */
+function publicRender(render) {
+  return report.withReport(progress.withProgress(withRenderTimeout(render)));
+}
+
+/**
+ * The exported `download`, wrapped like the render functions although it takes the file name before the options.
+ *
+ * @param {Node} node - The DOM node to render.
+ * @param {string} filename - The name of the downloaded file.
+ * @param {Object} [options] - The options of the render function.
+ * @returns {Promise<Blob|{result: Blob, report: Object}>} A promise that resolves to the downloaded file.
+ */
+function publicDownload(node, filename, options) {
+  return publicRender((target, renderOptions) =>
+    download(target, filename, renderOptions)
+  )(node, options);
+}
+
+/**
+ * The exported `compare`, wrapped like the render functions although it takes two images before the options.
+ *
+ * @param {Node|HTMLCanvasElement|ImageData|Object|Uint8ClampedArray} imageA - The first image.
+ * @param {Node|HTMLCanvasElement|ImageData|Object|Uint8ClampedArray} imageB - The second image.
+ * @param {Object} [options] - The comparison options, also used to render DOM nodes.
+ * @returns {Promise<Object>} A promise that resolves to the comparison, or to `{ result, report }` with `debug`.
+ */
+function publicCompare(imageA, imageB, options) {
+  return publicRender((target, renderOptions) =>
+    compare(target, imageB, renderOptions)
+  )(imageA, options);
+}
+
 module.exports = {
-  toSvg,
-  toCanvas,
-  toPixelData,
-  toPng,
-  toJpeg,
-  toBlob,
+  toSvg: publicRender(toSvg),
+  toVectorSvg: publicRender(toVectorSvg),
+  toHtml: publicRender(toHtml),
+  copyToClipboard: publicRender(copyToClipboard),
+  download: publicDownload,
+  listenForRenderRequests,
+  toCanvas: publicRender(toCanvas),
+  toTiles: publicRender(toTiles),
+  toPixelData: publicRender(toPixelData),
+  toImage: publicRender(toImage),
+  toPng: publicRender(toPng),
+  toJpeg: publicRender(toJpeg),
+  toBlob: publicRender(toBlob),
+  toPdf: publicRender(toPdf),
+  toAnimatedGif: publicRender(toAnimatedGif),
+  toApng: publicRender(toApng),
+  renderEach,
+  renderMany,
   getFontEmbedCSS,
+  createRenderer,
+  compare: publicCompare,
+  registerPlugin: plugins.registerPlugin,
+  unregisterPlugin: plugins.unregisterPlugin,
+  registerEncoder: encoders.registerEncoder,
+  isTypeSupported: encoders.isTypeSupported,
 };
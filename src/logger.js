@@ -0,0 +1,44 @@
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity,
+};
+
+/**
+ * Returns a leveled logger for a render, forwarding to `options.logger`.
+ *
+ * The library never writes to the console on its own. When `options.logger` is given, it receives every message at or
+ * above `options.logLevel` through the method of the same name, so any object with `debug`, `info`, `warn` and `error`
+ * methods works, including `console` itself. Missing methods are skipped. Without a logger all messages are dropped.
+ *
+ * @param {Object} options - The render options.
+ * @param {Object} [options.logger] - The object receiving log messages.
+ * @param {string} [options.logLevel="debug"] - The minimum level forwarded: `"debug"`, `"info"`, `"warn"`, `"error"` or `"silent"`.
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}} The logger to use for the render.
+ */
+function getLogger(options) {
+  const target = options.logger;
+  const threshold = LEVELS[options.logLevel || "debug"];
+  const log =
+    (level) =>
+    (...args) => {
+      if (target && typeof target[level] === "function") {
+        if (LEVELS[level] >= threshold) {
+          target[level](...args);
+        }
+      }
+    };
+
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+  };
+}
+
+module.exports = {
+  getLogger,
+};
@@ -0,0 +1,358 @@
+const { PNG_SIGNATURE, createChunk, concatBytes } = require("./png");
+
+// The resolution CSS assumes for one CSS pixel, from which the DPI of a render is derived.
+const CSS_DPI = 96;
+
+const METERS_PER_INCH = 0.0254;
+
+// EXIF IFD0 tags written from `options.metadata` keys (matched case-insensitively), and for the resolution.
+const EXIF_TEXT_TAGS = {
+  description: 0x010e,
+  software: 0x0131,
+  author: 0x013b,
+  copyright: 0x8298,
+};
+const EXIF_X_RESOLUTION = 0x011a;
+const EXIF_Y_RESOLUTION = 0x011b;
+const EXIF_RESOLUTION_UNIT = 0x0128;
+
+const EXIF_ASCII = 2;
+const EXIF_SHORT = 3;
+const EXIF_RATIONAL = 5;
+
+/**
+ * Resolves the DPI to write into an image.
+ *
+ * @param {Object} options - The render options.
+ * @param {number|string} [options.dpi] - An explicit DPI, or `"auto"` to derive it from the pixel ratio.
+ * @param {number} pixelRatio - The number of image pixels per CSS pixel.
+ * @returns {number|null} The DPI, or `null` if none is written.
+ */
+function resolveDpi(options, pixelRatio) {
+  if (options.dpi === "auto") {
+    return CSS_DPI * pixelRatio;
+  }
+  return options.dpi || null;
+}
+
+/**
+ * Encodes a string as Latin-1, or returns `null` if it has characters outside Latin-1.
+ *
+ * @param {string} value - The string to encode.
+ * @returns {Uint8Array|null} The Latin-1 bytes of the string.
+ */
+function encodeLatin1(value) {
+  const bytes = new Uint8Array(value.length);
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    if (code > 0xff) {
+      return null;
+    }
+    bytes[i] = code;
+  }
+  return bytes;
+}
+
+/**
+ * Builds a PNG `tEXt` chunk, or an `iTXt` chunk holding UTF-8 when the text does not fit into Latin-1.
+ *
+ * @param {string} keyword - The keyword, e.g. `"Author"` or `"Source"`.
+ * @param {string} text - The text.
+ * @returns {Uint8Array} The bytes of the chunk.
+ * @throws {RangeError} If the keyword is not 1 to 79 Latin-1 characters.
+ */
+function createTextChunk(keyword, text) {
+  const key = encodeLatin1(keyword);
+  if (!key || key.length < 1 || key.length > 79) {
+    throw new RangeError(
+      `The PNG metadata keyword "${keyword}" must be 1 to 79 Latin-1 characters`
+    );
+  }
+
+  const latin1 = encodeLatin1(text);
+  if (latin1) {
+    return createChunk("tEXt", concatBytes([key, [0], latin1]));
+  }
+
+  // Keyword, no compression, no language tag and no translated keyword, then the UTF-8 text.
+  const utf8 = new TextEncoder().encode(text);
+  return createChunk("iTXt", concatBytes([key, [0, 0, 0, 0, 0], utf8]));
+}
+
+/**
+ * Writes the resolution and text metadata into an encoded PNG.
+ *
+ * A `pHYs` chunk with the resolution in pixels per meter is placed right after the header, replacing any existing one,
+ * and one `tEXt` (or `iTXt`) chunk per metadata entry is placed before the end of the image.
+ *
+ * @param {Uint8Array} bytes - The PNG file.
+ * @param {number|null} dpi - The resolution to declare, if any.
+ * @param {Object<string, string>} text - The metadata entries, keyed by PNG keyword.
+ * @returns {Uint8Array} The PNG file with the metadata.
+ * @throws {Error} If the bytes are not a PNG file.
+ */
+function writePngMetadata(bytes, dpi, text) {
+  if (!PNG_SIGNATURE.every((byte, index) => bytes[index] === byte)) {
+    throw new Error("Cannot write metadata: the image is not a PNG file");
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parts = [PNG_SIGNATURE];
+  const textChunks = Object.keys(text).map((keyword) =>
+    createTextChunk(keyword, String(text[keyword]))
+  );
+
+  let offset = PNG_SIGNATURE.length;
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const chunk = bytes.subarray(offset, offset + 12 + length);
+    offset += 12 + length;
+
+    if (type === "pHYs" && dpi) {
+      continue;
+    }
+    if (type === "IEND") {
+      parts.push(...textChunks);
+    }
+    parts.push(chunk);
+
+    if (type === "IHDR" && dpi) {
+      const pixelsPerMeter = Math.round(dpi / METERS_PER_INCH);
+      const data = new Uint8Array(9);
+      const dataView = new DataView(data.buffer);
+      dataView.setUint32(0, pixelsPerMeter);
+      dataView.setUint32(4, pixelsPerMeter);
+      data[8] = 1; // The unit is the meter.
+      parts.push(createChunk("pHYs", data));
+    }
+  }
+
+  return concatBytes(parts);
+}
+
+/**
+ * Builds a JPEG marker segment.
+ *
+ * @param {number} marker - The second byte of the marker, e.g. `0xe0` for APP0.
+ * @param {Uint8Array} data - The data of the segment.
+ * @returns {Uint8Array} The bytes of the segment, with its marker and length.
+ * @throws {RangeError} If the data does not fit into a segment.
+ */
+function createSegment(marker, data) {
+  if (data.length + 2 > 0xffff) {
+    throw new RangeError("The JPEG metadata is too large for one segment");
+  }
+
+  const segment = new Uint8Array(4 + data.length);
+  segment[0] = 0xff;
+  segment[1] = marker;
+  new DataView(segment.buffer).setUint16(2, data.length + 2);
+  segment.set(data, 4);
+  return segment;
+}
+
+/**
+ * Builds a JFIF APP0 segment declaring the resolution in dots per inch.
+ *
+ * @param {number} dpi - The resolution.
+ * @returns {Uint8Array} The bytes of the segment.
+ */
+function createJfifSegment(dpi) {
+  const density = Math.min(0xffff, Math.round(dpi));
+  const data = new Uint8Array(14);
+  const view = new DataView(data.buffer);
+  data.set([0x4a, 0x46, 0x49, 0x46, 0], 0); // "JFIF\0"
+  data.set([1, 1], 5); // Version 1.01.
+  data[7] = 1; // Densities are in dots per inch.
+  view.setUint16(8, density);
+  view.setUint16(10, density);
+  // No thumbnail.
+  return createSegment(0xe0, data);
+}
+
+/**
+ * Builds an EXIF APP1 segment with a single IFD holding the resolution and text tags.
+ *
+ * @param {Array<{tag: number, type: number, values: Uint8Array|number[]}>} entries - The IFD entries. ASCII values are
+ *        NUL-terminated bytes, SHORT values are numbers and RATIONAL values are numerator and denominator pairs.
+ * @returns {Uint8Array} The bytes of the segment.
+ */
+function createExifSegment(entries) {
+  const sorted = entries.slice().sort((a, b) => a.tag - b.tag);
+  const ifdSize = 2 + sorted.length * 12 + 4;
+  const encoded = sorted.map(({ type, values }) => {
+    if (type === EXIF_ASCII) {
+      return { count: values.length, bytes: values };
+    }
+
+    const size = type === EXIF_SHORT ? 2 : 4;
+    const bytes = new Uint8Array(values.length * size);
+    const view = new DataView(bytes.buffer);
+    values.forEach((value, index) => {
+      if (size === 2) {
+        view.setUint16(index * 2, value);
+      } else {
+        view.setUint32(index * 4, value);
+      }
+    });
+    return {
+      count: type === EXIF_RATIONAL ? values.length / 2 : values.length,
+      bytes,
+    };
+  });
+
+  // TIFF header ("MM", big-endian), then IFD0, then the values that do not fit into four bytes.
+  const header = new Uint8Array([0x4d, 0x4d, 0, 0x2a, 0, 0, 0, 8]);
+  const ifd = new Uint8Array(ifdSize);
+  const ifdView = new DataView(ifd.buffer);
+  const values = [];
+  let valueOffset = header.length + ifdSize;
+
+  ifdView.setUint16(0, sorted.length);
+  sorted.forEach((entry, index) => {
+    const { count, bytes } = encoded[index];
+    const position = 2 + index * 12;
+    ifdView.setUint16(position, entry.tag);
+    ifdView.setUint16(position + 2, entry.type);
+    ifdView.setUint32(position + 4, count);
+
+    if (bytes.length <= 4) {
+      ifd.set(bytes, position + 8);
+    } else {
+      ifdView.setUint32(position + 8, valueOffset);
+      values.push(bytes);
+      valueOffset += bytes.length + (bytes.length % 2);
+      if (bytes.length % 2) {
+        values.push(new Uint8Array(1));
+      }
+    }
+  });
+
+  const exifHeader = new Uint8Array([0x45, 0x78, 0x69, 0x66, 0, 0]); // "Exif\0\0"
+  return createSegment(0xe1, concatBytes([exifHeader, header, ifd, ...values]));
+}
+
+/**
+ * Writes the resolution and text metadata into an encoded JPEG.
+ *
+ * The resolution goes into the JFIF APP0 segment (replacing the one written by the browser) and, together with the
+ * `description`, `author`, `copyright` and `software` entries, into an EXIF APP1 segment. EXIF text is written as UTF-8,
+ * which most readers accept although the format asks for ASCII. Entries without an EXIF tag are written as
+ * `key: value` lines into a comment (COM) segment. The new segments follow the APP0 segments, since JFIF requires its
+ * APP0 segment to come first.
+ *
+ * @param {Uint8Array} bytes - The JPEG file.
+ * @param {number|null} dpi - The resolution to declare, if any.
+ * @param {Object<string, string>} text - The metadata entries.
+ * @returns {Uint8Array} The JPEG file with the metadata.
+ * @throws {Error} If the bytes are not a JPEG file.
+ */
+function writeJpegMetadata(bytes, dpi, text) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+    throw new Error("Cannot write metadata: the image is not a JPEG file");
+  }
+
+  const encoder = new TextEncoder();
+  const entries = [];
+  const comments = [];
+  Object.keys(text).forEach((key) => {
+    const tag = EXIF_TEXT_TAGS[key.toLowerCase()];
+    if (tag && !entries.some((entry) => entry.tag === tag)) {
+      entries.push({
+        tag,
+        type: EXIF_ASCII,
+        values: concatBytes([encoder.encode(String(text[key])), [0]]),
+      });
+    } else {
+      comments.push(`${key}: ${text[key]}`);
+    }
+  });
+  if (dpi) {
+    // Resolutions are rationals; a denominator of 100 keeps two decimals of fractional DPI.
+    const resolution = [Math.round(dpi * 100), 100];
+    entries.push(
+      { tag: EXIF_X_RESOLUTION, type: EXIF_RATIONAL, values: resolution },
+      { tag: EXIF_Y_RESOLUTION, type: EXIF_RATIONAL, values: resolution },
+      { tag: EXIF_RESOLUTION_UNIT, type: EXIF_SHORT, values: [2] } // Inches.
+    );
+  }
+
+  const inserted = [];
+  if (entries.length) {
+    inserted.push(createExifSegment(entries));
+  }
+  if (comments.length) {
+    inserted.push(createSegment(0xfe, encoder.encode(comments.join("\n"))));
+  }
+
+  // Keep every segment up to the image data, except the ones replaced above, with the APP0 segments up front.
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const app0 = dpi ? [createJfifSegment(dpi)] : [];
+  const kept = [];
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    if (marker === 0xda) {
+      break;
+    }
+
+    const length = view.getUint16(offset + 2);
+    const segment = bytes.subarray(offset, offset + 2 + length);
+    const identifier = String.fromCharCode(...segment.subarray(4, 8));
+    const replaced =
+      (marker === 0xe0 && identifier === "JFIF" && dpi) ||
+      (marker === 0xe1 && identifier === "Exif" && entries.length);
+    if (!replaced) {
+      (marker === 0xe0 ? app0 : kept).push(segment);
+    }
+    offset += 2 + length;
+  }
+
+  return concatBytes([
+    bytes.subarray(0, 2),
+    ...app0,
+    ...inserted,
+    ...kept,
+    bytes.subarray(offset),
+  ]);
+}
+
+/**
+ * Writes resolution and text metadata into an encoded PNG or JPEG image.
+ *
+ * The encoded bytes are post-processed, so this works with every encoder, including the browser's own. PNGs receive a
+ * `pHYs` chunk and `tEXt`/`iTXt` chunks, JPEGs a JFIF density and EXIF fields (see `writeJpegMetadata`). Other formats
+ * and renders without `dpi` or `metadata` are returned unchanged.
+ *
+ * @async
+ * @param {Blob} blob - The encoded image.
+ * @param {Object} options - The render options.
+ * @param {number|string} [options.dpi] - The resolution to declare in dots per inch, or `"auto"` for 96 times the pixel
+ *        ratio.
+ * @param {Object<string, string>} [options.metadata] - Text entries such as `Author`, `Title`, `Description`,
+ *        `Copyright`, `Software` or `Source`.
+ * @param {number} pixelRatio - The number of image pixels per CSS pixel, for `dpi: "auto"`.
+ * @returns {Promise<Blob>} A promise that resolves to the image with its metadata.
+ */
+async function writeMetadata(blob, options, pixelRatio) {
+  const dpi = resolveDpi(options, pixelRatio);
+  const text = options.metadata || {};
+  const write = {
+    "image/png": writePngMetadata,
+    "image/jpeg": writeJpegMetadata,
+  }[blob.type];
+
+  if (!write || (!dpi && Object.keys(text).length === 0)) {
+    return blob;
+  }
+
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  return new Blob([write(bytes, dpi, text)], { type: blob.type });
+}
+
+module.exports = {
+  writeMetadata,
+  writePngMetadata,
+  writeJpegMetadata,
+};
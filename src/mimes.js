@@ -13,6 +13,9 @@ const mimes = {
   tiff: "image/tiff",
   svg: "image/svg+xml",
   webp: "image/webp",
+  avif: "image/avif",
+  bmp: "image/bmp",
+  ico: "image/x-icon",
 };
 
 /**
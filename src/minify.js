@@ -0,0 +1,145 @@
+// `white-space` values under which runs of whitespace collapse into one space when rendered.
+const COLLAPSING_WHITE_SPACE = ["normal", "nowrap"];
+
+const COMMENT_NODE = 8;
+const TEXT_NODE = 3;
+
+/**
+ * Splits CSS text at a separator, ignoring separators inside quotes, parentheses (e.g. `url(data:...;base64,...)`) and
+ * escapes.
+ *
+ * @param {string} text - The CSS text.
+ * @param {string} separator - The single separator character, e.g. `";"`.
+ * @param {number} [limit=Infinity] - The largest number of parts; the last part keeps the remaining separators.
+ * @returns {string[]} The parts of the text.
+ */
+function splitCSS(text, separator, limit = Infinity) {
+  const parts = [];
+  let quote = null;
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\\") {
+      i += 1;
+    } else if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "(") {
+      depth += 1;
+    } else if (char === ")") {
+      depth = Math.max(0, depth - 1);
+    } else if (char === separator && depth === 0 && parts.length < limit - 1) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+
+  return parts;
+}
+
+/**
+ * Minifies the inline style of an element: drops declarations without a value and the whitespace around `:` and `;`,
+ * and removes the attribute when nothing is left.
+ *
+ * @param {Element} element - The element whose `style` attribute to minify.
+ */
+function minifyStyle(element) {
+  const style = element.getAttribute("style");
+  if (style == null) {
+    return;
+  }
+
+  const declarations = splitCSS(style, ";")
+    .map((declaration) => splitCSS(declaration, ":", 2).map((s) => s.trim()))
+    .filter(([name, value]) => name && value)
+    .map(([name, value]) => `${name}:${value}`);
+
+  if (declarations.length) {
+    element.setAttribute("style", declarations.join(";"));
+  } else {
+    element.removeAttribute("style");
+  }
+}
+
+/**
+ * Tells whether runs of whitespace in the text of an element collapse when rendered, according to its inline style.
+ *
+ * @param {Element} element - The parent element of the text.
+ * @returns {boolean} True if whitespace collapses; false if it is preserved or unknown.
+ */
+function collapsesWhiteSpace(element) {
+  const { style } = element;
+  if (!style) {
+    return false;
+  }
+
+  return (
+    COLLAPSING_WHITE_SPACE.includes(style.getPropertyValue("white-space")) ||
+    style.getPropertyValue("white-space-collapse") === "collapse"
+  );
+}
+
+/**
+ * Removes the comments from a node and its descendants.
+ *
+ * @param {Node} node - The node.
+ */
+function removeComments(node) {
+  Array.from(node.childNodes).forEach((child) => {
+    if (child.nodeType === COMMENT_NODE) {
+      child.remove();
+    } else {
+      removeComments(child);
+    }
+  });
+}
+
+/**
+ * Collapses whitespace in the text of a node and its descendants, and minifies their inline styles.
+ *
+ * @param {Node} node - The node.
+ */
+function minifyTree(node) {
+  if (node.nodeType === TEXT_NODE) {
+    const parent = node.parentNode;
+    if (parent && collapsesWhiteSpace(parent)) {
+      node.nodeValue = node.nodeValue.replace(/[ \t\n\r\f]+/g, " ");
+    }
+    return;
+  }
+
+  if (node.getAttribute) {
+    minifyStyle(node);
+  }
+  Array.from(node.childNodes).forEach(minifyTree);
+}
+
+/**
+ * Strips what does not change the rendering from a cloned node before it is serialized into SVG.
+ *
+ * Comments are removed, and runs of whitespace in text are reduced to a single space wherever the copied `white-space`
+ * style collapses them anyway (never in `pre`, `pre-wrap` or elements whose style is unknown). Inline styles lose empty
+ * declarations and the whitespace between declarations. The clone already carries every computed style inline, so this
+ * noticeably shrinks the markup of large nodes.
+ *
+ * @param {Node} node - The cloned node, modified in place.
+ * @returns {Node} The same node.
+ */
+function minifyNode(node) {
+  removeComments(node);
+  // Join the text around removed comments, so their whitespace collapses too.
+  node.normalize();
+  minifyTree(node);
+  return node;
+}
+
+module.exports = {
+  minifyNode,
+  splitCSS,
+};
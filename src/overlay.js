@@ -0,0 +1,252 @@
+const { createImage } = require("./util");
+const { isDataUrl, resourceToDataURL } = require("./dataurl");
+const { getMimeType } = require("./mimes");
+const { isAbortError } = require("./abort");
+const { getLogger } = require("./logger");
+
+// Anchors of the named overlay positions, as fractions of the free space along each axis.
+const positions = {
+  "top-left": [0, 0],
+  top: [0.5, 0],
+  "top-right": [1, 0],
+  left: [0, 0.5],
+  center: [0.5, 0.5],
+  right: [1, 0.5],
+  "bottom-left": [0, 1],
+  bottom: [0.5, 1],
+  "bottom-right": [1, 1],
+};
+
+const DEFAULT_FONT = "16px sans-serif";
+const DEFAULT_MARGIN = 16;
+const DEFAULT_SPACING = 48;
+// Most copies of a tiled overlay drawn on one canvas; denser grids are spread out to stay below it.
+const MAX_TILED_COPIES = 10000;
+
+/**
+ * Loads the image of an image overlay.
+ *
+ * URLs go through `resourceToDataURL`, like every other image of the render, so they share its cache, timeout, signal
+ * and placeholder handling, and a cross-origin image cannot taint the canvas. Images, canvases and bitmaps are used as
+ * they are. An image that cannot be fetched or decoded is logged as a warning and its overlay is left out, the same way
+ * a failed image of the node does not fail the render.
+ *
+ * @async
+ * @param {string|CanvasImageSource} image - The URL or the image of the overlay.
+ * @param {Object} options - The render options.
+ * @returns {Promise<CanvasImageSource|null>} A promise that resolves to a drawable image, or null if it failed to load.
+ */
+async function loadImage(image, options) {
+  if (typeof image !== "string") {
+    return image;
+  }
+
+  try {
+    const dataURL = isDataUrl(image)
+      ? image
+      : await resourceToDataURL(image, getMimeType(image), options);
+    return await createImage(dataURL, options.signal);
+  } catch (error) {
+    if (options.signal?.aborted && isAbortError(error)) {
+      throw error;
+    }
+
+    getLogger(options).warn(
+      `Failed to load overlay image: ${isDataUrl(image) ? "data URL" : image}`
+    );
+    return null;
+  }
+}
+
+/**
+ * Loads the images of all image overlays, ready to be measured and drawn.
+ *
+ * @async
+ * @param {Array<Object>} overlays - The overlays from `options.overlays`.
+ * @param {Object} options - The render options.
+ * @returns {Promise<Array<{overlay: Object, image?: CanvasImageSource}>>} A promise that resolves to the overlays and
+ *          their loaded images, without the image overlays whose image failed to load.
+ */
+async function loadOverlays(overlays, options) {
+  const loaded = await Promise.all(
+    overlays.map(async (overlay) => ({
+      overlay,
+      image:
+        overlay.image != null
+          ? await loadImage(overlay.image, options)
+          : undefined,
+    }))
+  );
+  return loaded.filter(({ image }) => image !== null);
+}
+
+/**
+ * Measures an overlay in CSS pixels.
+ *
+ * Images keep their aspect ratio when only `width` or `height` is given, and their natural size when neither is. Text
+ * is measured with the overlay's font.
+ *
+ * @param {CanvasRenderingContext2D} context - The context the overlay is drawn with, with the font already set.
+ * @param {Object} overlay - The overlay.
+ * @param {CanvasImageSource} [image] - The loaded image of an image overlay.
+ * @returns {{width: number, height: number}} The size of the overlay.
+ */
+function measureOverlay(context, overlay, image) {
+  if (image) {
+    const naturalWidth = image.naturalWidth || image.width;
+    const naturalHeight = image.naturalHeight || image.height;
+    if (overlay.width && overlay.height) {
+      return { width: overlay.width, height: overlay.height };
+    }
+    if (overlay.width) {
+      return {
+        width: overlay.width,
+        height: (overlay.width * naturalHeight) / naturalWidth,
+      };
+    }
+    if (overlay.height) {
+      return {
+        width: (overlay.height * naturalWidth) / naturalHeight,
+        height: overlay.height,
+      };
+    }
+    return { width: naturalWidth, height: naturalHeight };
+  }
+
+  const metrics = context.measureText(overlay.text);
+  const height =
+    metrics.actualBoundingBoxAscent != null
+      ? metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent
+      : parseFloat(/([\d.]+)px/.exec(context.font)?.[1]) || 16;
+  return { width: metrics.width, height };
+}
+
+/**
+ * Computes the centers at which an overlay is drawn.
+ *
+ * A tiled overlay is repeated over the whole canvas, `spacing` pixels apart, with an extra row and column around the
+ * edges so rotated copies still cover the corners. A grid of more than 10000 copies, such as a tiny overlay
+ * over a huge canvas, is spread out evenly until it fits, so the drawing time stays bounded. Otherwise it is drawn once, either at a named position (`"center"`,
+ * `"top-left"`, `"bottom-right"`, ...) `margin` pixels from the edges, or with its top-left corner at `{ x, y }`.
+ *
+ * @param {Object} overlay - The overlay.
+ * @param {{width: number, height: number}} size - The size of the overlay in CSS pixels.
+ * @param {{width: number, height: number}} area - The size of the canvas in CSS pixels.
+ * @returns {Array<{x: number, y: number}>} The centers of the overlay's copies.
+ * @throws {RangeError} If the position is not a known name or a point.
+ */
+function getOverlayCenters(overlay, size, area) {
+  if (overlay.tile) {
+    const spacing = overlay.spacing != null ? overlay.spacing : DEFAULT_SPACING;
+    let stepX = Math.max(1, size.width + spacing);
+    let stepY = Math.max(1, size.height + spacing);
+    const countCopies = () =>
+      Math.ceil(area.width / stepX + 1.5) *
+      Math.ceil(area.height / stepY + 1.5);
+    while (countCopies() > MAX_TILED_COPIES) {
+      const factor = Math.max(1.1, Math.sqrt(countCopies() / MAX_TILED_COPIES));
+      stepX *= factor;
+      stepY *= factor;
+    }
+
+    const centers = [];
+    for (let y = -stepY / 2; y < area.height + stepY; y += stepY) {
+      for (let x = -stepX / 2; x < area.width + stepX; x += stepX) {
+        centers.push({ x, y });
+      }
+    }
+    return centers;
+  }
+
+  const position = overlay.position || "bottom-right";
+  if (typeof position === "object") {
+    return [
+      {
+        x: (position.x || 0) + size.width / 2,
+        y: (position.y || 0) + size.height / 2,
+      },
+    ];
+  }
+
+  const anchor = positions[position];
+  if (!anchor) {
+    throw new RangeError(`Unknown overlay position "${position}"`);
+  }
+
+  const margin = overlay.margin != null ? overlay.margin : DEFAULT_MARGIN;
+  return [
+    {
+      x:
+        margin +
+        anchor[0] * (area.width - 2 * margin - size.width) +
+        size.width / 2,
+      y:
+        margin +
+        anchor[1] * (area.height - 2 * margin - size.height) +
+        size.height / 2,
+    },
+  ];
+}
+
+/**
+ * Composites text and image overlays, such as watermarks, onto a rendered canvas.
+ *
+ * Overlays are drawn in order, on top of the rendered node, each with its own `opacity`, `rotation` (in degrees, around
+ * the center of every copy) and `blendMode` (any canvas `globalCompositeOperation`, e.g. `"multiply"`). Sizes and
+ * positions are in CSS pixels and scaled with the canvas, so a watermark looks the same at every pixel ratio.
+ *
+ * An overlay is either text, `{ text, font, color }`, or an image, `{ image, width, height }`, where `image` is a URL or
+ * any image the canvas can draw.
+ *
+ * @async
+ * @param {HTMLCanvasElement} canvas - The rendered canvas, drawn onto in place.
+ * @param {number} scale - The number of canvas pixels per CSS pixel.
+ * @param {Object} options - The render options.
+ * @param {Array<Object>} options.overlays - The overlays to draw.
+ * @returns {Promise<HTMLCanvasElement>} A promise that resolves to the same canvas.
+ */
+async function drawOverlays(canvas, scale, options) {
+  const loaded = await loadOverlays(options.overlays, options);
+  const context = canvas.getContext("2d");
+  const area = { width: canvas.width / scale, height: canvas.height / scale };
+
+  loaded.forEach(({ overlay, image }) => {
+    context.save();
+    context.setTransform(scale, 0, 0, scale, 0, 0);
+    context.globalAlpha = overlay.opacity != null ? overlay.opacity : 1;
+    context.globalCompositeOperation = overlay.blendMode || "source-over";
+    context.font = overlay.font || DEFAULT_FONT;
+    context.fillStyle = overlay.color || "#000";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+
+    const size = measureOverlay(context, overlay, image);
+    const angle = ((overlay.rotation || 0) * Math.PI) / 180;
+    getOverlayCenters(overlay, size, area).forEach((center) => {
+      context.save();
+      context.translate(center.x, center.y);
+      context.rotate(angle);
+      if (image) {
+        context.drawImage(
+          image,
+          -size.width / 2,
+          -size.height / 2,
+          size.width,
+          size.height
+        );
+      } else {
+        context.fillText(overlay.text, 0, 0);
+      }
+      context.restore();
+    });
+
+    context.restore();
+  });
+
+  return canvas;
+}
+
+module.exports = {
+  drawOverlays,
+  getOverlayCenters,
+};
@@ -0,0 +1,204 @@
+const { getNodeWindow } = require("./environment");
+const { toArray } = require("./util");
+
+// Page sizes in PDF points (1/72 inch), portrait.
+const PAGE_SIZES = {
+  a3: [841.89, 1190.55],
+  a4: [595.28, 841.89],
+  a5: [419.53, 595.28],
+  letter: [612, 792],
+  legal: [612, 1008],
+  tabloid: [792, 1224],
+};
+
+/**
+ * Resolves the page size and orientation options into page dimensions in points.
+ *
+ * The page size can either be the name of a standard paper size (`"a3"`, `"a4"`, `"a5"`, `"letter"`, `"legal"`,
+ * `"tabloid"`, case-insensitive) or an explicit `[width, height]` array in points. The orientation swaps the dimensions
+ * when needed so that a `"landscape"` page is always wider than it is tall and a `"portrait"` page taller than it is wide.
+ *
+ * @param {Object} options - The PDF options.
+ * @param {string|number[]} [options.pageSize="a4"] - The paper size name or `[width, height]` in points.
+ * @param {string} [options.orientation="portrait"] - Either `"portrait"` or `"landscape"`.
+ * @returns {{width: number, height: number}} The page dimensions in points.
+ * @throws {Error} If the page size name is unknown.
+ */
+function resolvePageSize(options) {
+  const pageSize = options.pageSize || "a4";
+  const size = Array.isArray(pageSize)
+    ? pageSize
+    : PAGE_SIZES[String(pageSize).toLowerCase()];
+
+  if (!size) {
+    throw new Error(`Unknown page size "${pageSize}"`);
+  }
+
+  const [short, long] = size[0] <= size[1] ? size : [size[1], size[0]];
+  return options.orientation === "landscape"
+    ? { width: long, height: short }
+    : { width: short, height: long };
+}
+
+/**
+ * Normalizes the margins option into per-side values in points.
+ *
+ * @param {number|{top?: number, right?: number, bottom?: number, left?: number}} [margins=0] - A single margin for all
+ *        sides, or an object with individual sides. Missing sides default to `0`.
+ * @returns {{top: number, right: number, bottom: number, left: number}} The margins in points.
+ */
+function resolveMargins(margins) {
+  if (margins == null || typeof margins === "number") {
+    const value = margins || 0;
+    return { top: value, right: value, bottom: value, left: value };
+  }
+
+  return {
+    top: margins.top || 0,
+    right: margins.right || 0,
+    bottom: margins.bottom || 0,
+    left: margins.left || 0,
+  };
+}
+
+/**
+ * Resolves the page dimensions and margins, and the area inside the margins that the content is drawn into.
+ *
+ * @param {Object} options - The PDF options, with `pageSize`, `orientation` and `margins`.
+ * @returns {{page: {width: number, height: number}, margins: Object, width: number, height: number}} The page, the
+ *          margins and the size of the content area, in points.
+ * @throws {RangeError} If the margins leave no room for the content, or the page has no area.
+ */
+function resolveContentArea(options) {
+  const page = resolvePageSize(options);
+  const margins = resolveMargins(options.margins);
+  const width = page.width - margins.left - margins.right;
+  const height = page.height - margins.top - margins.bottom;
+
+  if (!(width > 0 && height > 0)) {
+    throw new RangeError(
+      `The margins leave no room for content on a ${page.width}x${page.height} page`
+    );
+  }
+
+  return { page, margins, width, height };
+}
+
+/**
+ * Collects the vertical extent of every descendant that must not be split across pages.
+ *
+ * An element is kept together when its computed `break-inside` (or the legacy `page-break-inside`) is `avoid`, which is
+ * the same way the browser's own print layout is controlled. Positions are measured with `getBoundingClientRect` and are
+ * returned in CSS pixels relative to the top of the captured node.
+ *
+ * @param {Element} node - The node being captured.
+ * @param {Object} [options] - The render options, providing the window of the environment.
+ * @returns {Array<{top: number, bottom: number}>} The ranges that page breaks should not fall into.
+ */
+function getAvoidBreakRanges(node, options) {
+  if (!node.querySelectorAll) {
+    return [];
+  }
+
+  const win = getNodeWindow(node, options);
+  const origin = node.getBoundingClientRect().top;
+  return toArray(node.querySelectorAll("*"))
+    .filter((element) => {
+      const style = win.getComputedStyle(element);
+      return (
+        style.getPropertyValue("break-inside") === "avoid" ||
+        style.getPropertyValue("page-break-inside") === "avoid"
+      );
+    })
+    .map((element) => {
+      const rect = element.getBoundingClientRect();
+      return { top: rect.top - origin, bottom: rect.bottom - origin };
+    });
+}
+
+/**
+ * Splits a tall content height into page slices, moving page breaks out of ranges that must stay together.
+ *
+ * Each page is filled up to `pageHeight`. When the resulting break would cut through one of the `avoid` ranges, the break
+ * is moved up to the top of that range so the element starts on the next page instead. A range that already starts at
+ * the top of the current page (i.e. an element taller than a page) is cut normally, which guarantees progress.
+ *
+ * @param {number} totalHeight - The height of the content.
+ * @param {number} pageHeight - The height of the content area of one page, in the same unit.
+ * @param {Array<{top: number, bottom: number}>} [avoid=[]] - Ranges that should not be split.
+ * @returns {Array<{top: number, bottom: number}>} The slices of content, one per page.
+ * @throws {RangeError} If the page height is not a positive number.
+ */
+function computePageSlices(totalHeight, pageHeight, avoid = []) {
+  if (!(pageHeight > 0 && Number.isFinite(pageHeight))) {
+    throw new RangeError(`Invalid page content height ${pageHeight}`);
+  }
+
+  const slices = [];
+  let top = 0;
+
+  while (totalHeight - top > pageHeight) {
+    let bottom = top + pageHeight;
+    let moved = true;
+
+    while (moved) {
+      moved = false;
+      for (let i = 0; i < avoid.length; i++) {
+        const range = avoid[i];
+        if (range.top > top && range.top < bottom && range.bottom > bottom) {
+          bottom = range.top;
+          moved = true;
+        }
+      }
+    }
+
+    slices.push({ top, bottom });
+    top = bottom;
+  }
+
+  slices.push({ top, bottom: totalHeight });
+  return slices;
+}
+
+/**
+ * Copies a horizontal band of a canvas into a new canvas.
+ *
+ * @param {HTMLCanvasElement} canvas - The source canvas.
+ * @param {number} top - The first row of the band, in canvas pixels.
+ * @param {number} bottom - The row after the last row of the band, in canvas pixels.
+ * @param {string} [background] - A color to fill the band with before copying, for formats without transparency.
+ * @returns {HTMLCanvasElement} A new canvas holding the band.
+ */
+function sliceCanvas(canvas, top, bottom, background) {
+  const slice = document.createElement("canvas");
+  slice.width = canvas.width;
+  slice.height = Math.max(1, bottom - top);
+
+  const context = slice.getContext("2d");
+  if (background) {
+    context.fillStyle = background;
+    context.fillRect(0, 0, slice.width, slice.height);
+  }
+  context.drawImage(
+    canvas,
+    0,
+    top,
+    slice.width,
+    slice.height,
+    0,
+    0,
+    slice.width,
+    slice.height
+  );
+
+  return slice;
+}
+
+module.exports = {
+  resolvePageSize,
+  resolveMargins,
+  resolveContentArea,
+  getAvoidBreakRanges,
+  computePageSlices,
+  sliceCanvas,
+};
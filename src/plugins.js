@@ -0,0 +1,117 @@
+const registeredPlugins = [];
+
+/**
+ * Registers a plugin for every subsequent render.
+ *
+ * A plugin is an object with a `name` and any of the lifecycle hooks listed below. Each hook receives the current value
+ * of its stage and a context object `{ node, options }`, where `node` is the original DOM node being cloned or rendered.
+ * A hook may modify the value in place, or return a replacement (synchronously or as a promise); returning `undefined`
+ * keeps the current value. Hooks of all plugins run in registration order, followed by the plugins passed in
+ * `options.plugins` for a single call.
+ *
+ * - `onCloneNode(clonedNode, context)` runs for every cloned node, after its styles were copied. Returning `null` drops
+ *   the node from the clone (except for the root). It is the only hook that may return `null`.
+ * - `afterClone(clonedNode, context)` runs once the whole tree has been cloned.
+ * - `beforeEmbed(clonedNode, context)` runs before web fonts and images are embedded.
+ * - `afterEmbed(clonedNode, context)` runs after web fonts and images are embedded.
+ * - `beforeSerialize(clonedNode, context)` runs right before the clone is serialized into SVG.
+ * - `afterRasterize(canvas, context)` runs once the SVG has been drawn onto the canvas.
+ *
+ * Registering a plugin with the name of an already registered plugin replaces it.
+ *
+ * @param {Object} plugin - The plugin to register.
+ * @param {string} plugin.name - A unique name for the plugin.
+ * @throws {TypeError} If the plugin has no name.
+ */
+function registerPlugin(plugin) {
+  if (!plugin || typeof plugin.name !== "string" || !plugin.name) {
+    throw new TypeError("A plugin needs a name");
+  }
+
+  unregisterPlugin(plugin.name);
+  registeredPlugins.push(plugin);
+}
+
+/**
+ * Removes a registered plugin.
+ *
+ * @param {string} name - The name of the plugin to remove.
+ * @returns {boolean} True if a plugin was removed, false if none had that name.
+ */
+function unregisterPlugin(name) {
+  const index = registeredPlugins.findIndex((plugin) => plugin.name === name);
+  if (index === -1) {
+    return false;
+  }
+
+  registeredPlugins.splice(index, 1);
+  return true;
+}
+
+/**
+ * Collects the plugins implementing a hook, from the global plugins and from `options.plugins`.
+ *
+ * @param {string} hook - The name of the hook.
+ * @param {Object} options - The render options.
+ * @returns {Object[]} The plugins whose hook should run, in the order they should run.
+ */
+function getHooks(hook, options) {
+  return registeredPlugins
+    .concat(options.plugins || [])
+    .filter((plugin) => typeof plugin[hook] === "function");
+}
+
+/**
+ * Checks whether any plugin, registered or passed in `options.plugins`, implements a hook.
+ *
+ * @param {string} hook - The name of the hook.
+ * @param {Object} options - The render options.
+ * @returns {boolean} True if the hook would run at least one function.
+ */
+function hasHook(hook, options) {
+  return getHooks(hook, options).length > 0;
+}
+
+/**
+ * Runs every function registered for a lifecycle hook, passing the value from one to the next.
+ *
+ * An `onCloneNode` hook that returns `null` drops the node: the remaining hooks do not run, as there is nothing left to
+ * pass them. The other stages always need a value, so `null` from any other hook is an error.
+ *
+ * @async
+ * @param {string} hook - The name of the hook, e.g. `"afterClone"`.
+ * @param {*} value - The value of the current stage (a cloned node or a canvas).
+ * @param {{node: Node, options: Object}} context - The original node and the render options.
+ * @returns {Promise<*>} A promise that resolves to the value returned by the last hook that returned one, `null` if an
+ *                       `onCloneNode` hook dropped it, or the original value.
+ * @throws {Error} If a hook other than `onCloneNode` returns `null`.
+ */
+async function applyHook(hook, value, context) {
+  const hooks = getHooks(hook, context.options);
+
+  let current = value;
+  for (let i = 0; i < hooks.length; i++) {
+    const plugin = hooks[i];
+    const result = await plugin[hook](current, context);
+    if (result === null) {
+      if (hook === "onCloneNode") {
+        return null;
+      }
+      throw new Error(
+        `The ${hook} hook of plugin "${plugin.name}" returned null; only onCloneNode may return null, to drop a node`
+      );
+    }
+    if (result !== undefined) {
+      current = result;
+    }
+  }
+
+  return current;
+}
+
+module.exports = {
+  registerPlugin,
+  unregisterPlugin,
+  hasHook,
+  applyHook,
+};
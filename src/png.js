@@ -0,0 +1,76 @@
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+const crcTable = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Computes the CRC-32 checksum used by PNG chunks.
+ *
+ * @param {Uint8Array} bytes - The bytes to checksum.
+ * @param {number} [start=0] - The index of the first byte to include.
+ * @param {number} [end=bytes.length] - The index after the last byte to include.
+ * @returns {number} The unsigned 32-bit checksum.
+ */
+function crc32(bytes, start = 0, end = bytes.length) {
+  let crc = 0xffffffff;
+  for (let i = start; i < end; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds a complete PNG chunk: length, four-letter type, data and CRC.
+ *
+ * @param {string} type - The chunk type, e.g. `"IHDR"` or `"tEXt"`.
+ * @param {Uint8Array} [data] - The chunk data.
+ * @returns {Uint8Array} The bytes of the chunk.
+ */
+function createChunk(type, data = new Uint8Array(0)) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk, 4, 8 + data.length));
+
+  return chunk;
+}
+
+/**
+ * Concatenates byte arrays into one.
+ *
+ * @param {Uint8Array[]} parts - The byte arrays to join.
+ * @returns {Uint8Array} The joined bytes.
+ */
+function concatBytes(parts) {
+  const length = parts.reduce((total, part) => total + part.length, 0);
+  const bytes = new Uint8Array(length);
+
+  let offset = 0;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+
+  return bytes;
+}
+
+module.exports = {
+  PNG_SIGNATURE,
+  crc32,
+  createChunk,
+  concatBytes,
+};
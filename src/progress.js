@@ -0,0 +1,134 @@
+// Options key under which the progress of the current render travels through the pipeline.
+const PROGRESS = Symbol("progress");
+
+/**
+ * Updates the progress state of the render and passes a copy of it to `options.onProgress`, if progress is being
+ * reported.
+ *
+ * @param {Object} options - The render options.
+ * @param {function(Object): void} change - Updates the progress state.
+ */
+function update(options, change) {
+  const state = options && options[PROGRESS];
+  if (state) {
+    change(state);
+    options.onProgress({ ...state });
+  }
+}
+
+/**
+ * Reports the start of a render stage, such as `"clone"`, `"fonts"`, `"images"`, `"serialize"` or `"rasterize"`.
+ *
+ * @param {Object} options - The render options.
+ * @param {string} phase - The stage that starts.
+ */
+function enterPhase(options, phase) {
+  if (options[PROGRESS]?.phase === phase) {
+    return;
+  }
+
+  update(options, (state) => {
+    state.phase = phase;
+  });
+}
+
+/**
+ * Starts counting the nodes of a clone, resetting the count of a previous clone in the same render (e.g. a previous
+ * animation frame).
+ *
+ * @param {Object} options - The render options.
+ * @param {number} total - The number of nodes that will be cloned.
+ */
+function startNodes(options, total) {
+  update(options, (state) => {
+    state.nodesProcessed = 0;
+    state.nodesTotal = total;
+  });
+}
+
+/**
+ * Adds nodes to the count of the current clone, for subtrees that join it after it started (e.g. SVG symbol
+ * definitions copied from elsewhere in the document).
+ *
+ * @param {Object} options - The render options.
+ * @param {number} amount - The number of nodes that will be cloned in addition.
+ */
+function addNodes(options, amount) {
+  update(options, (state) => {
+    state.nodesTotal += amount;
+  });
+}
+
+/**
+ * Reports nodes as cloned, or as skipped by the filter.
+ *
+ * @param {Object} options - The render options.
+ * @param {number} [amount=1] - The number of nodes processed.
+ */
+function advanceNodes(options, amount = 1) {
+  update(options, (state) => {
+    state.nodesProcessed += amount;
+  });
+}
+
+/**
+ * Reports a resource fetch as pending until the given promise settles, and as fetched afterwards.
+ *
+ * @param {Object} options - The render options.
+ * @param {Promise<*>} promise - The fetch of the resource.
+ * @returns {Promise<*>} The same promise.
+ */
+function trackResource(options, promise) {
+  if (!options || !options[PROGRESS]) {
+    return promise;
+  }
+
+  update(options, (state) => {
+    state.resourcesPending += 1;
+  });
+
+  const settle = () =>
+    update(options, (state) => {
+      state.resourcesPending -= 1;
+      state.resourcesFetched += 1;
+    });
+  promise.then(settle, settle);
+
+  return promise;
+}
+
+/**
+ * Wraps a public render function so it reports its progress to `options.onProgress`.
+ *
+ * The callback receives an object with the current `phase`, the `nodesProcessed` and `nodesTotal` of the clone, and the
+ * number of `resourcesFetched` and `resourcesPending` (images, fonts and stylesheets). It is called whenever one of them
+ * changes. Calls made from inside the render share the progress of the outermost one.
+ *
+ * @param {function(*, Object): Promise<*>} render - The render function, taking a node and options.
+ * @returns {function(*, Object): Promise<*>} The wrapped function.
+ */
+function withProgress(render) {
+  return (node, options = {}) => {
+    if (typeof options.onProgress !== "function" || options[PROGRESS]) {
+      return render(node, options);
+    }
+
+    const state = {
+      phase: null,
+      nodesProcessed: 0,
+      nodesTotal: 0,
+      resourcesFetched: 0,
+      resourcesPending: 0,
+    };
+    return render(node, { ...options, [PROGRESS]: state });
+  };
+}
+
+module.exports = {
+  enterPhase,
+  startNodes,
+  addNodes,
+  advanceNodes,
+  trackResource,
+  withProgress,
+};
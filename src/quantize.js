@@ -0,0 +1,130 @@
+const BINS = 32768; // 5 bits per channel
+const ALPHA_THRESHOLD = 128;
+
+/**
+ * Maps an RGB color to its 15-bit histogram bin.
+ *
+ * @param {number} r - The red channel (0-255).
+ * @param {number} g - The green channel (0-255).
+ * @param {number} b - The blue channel (0-255).
+ * @returns {number} The bin index.
+ */
+function binOf(r, g, b) {
+  return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+/**
+ * Builds a shared color palette for a set of RGBA frames.
+ *
+ * This is a popularity quantizer: every opaque pixel of every frame is counted in a 15-bit color histogram, the most
+ * frequent bins are kept, and each kept bin contributes the average of the actual colors that fell into it. It is fast,
+ * needs a fixed amount of memory regardless of the number of frames, and works well for UI captures, which are
+ * dominated by a limited set of flat colors. Pixels with an alpha below 128 are considered transparent and not counted.
+ *
+ * @param {Array<{data: Uint8ClampedArray}>} frames - The frames to build the palette from.
+ * @param {number} [maxColors=255] - The maximum number of colors in the palette.
+ * @returns {Uint8Array} The palette as consecutive RGB triplets.
+ */
+function buildPalette(frames, maxColors = 255) {
+  const counts = new Uint32Array(BINS);
+  const sums = new Float64Array(BINS * 3);
+
+  frames.forEach(({ data }) => {
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] >= ALPHA_THRESHOLD) {
+        const bin = binOf(data[i], data[i + 1], data[i + 2]);
+        counts[bin] += 1;
+        sums[bin * 3] += data[i];
+        sums[bin * 3 + 1] += data[i + 1];
+        sums[bin * 3 + 2] += data[i + 2];
+      }
+    }
+  });
+
+  const bins = [];
+  for (let bin = 0; bin < BINS; bin++) {
+    if (counts[bin] > 0) {
+      bins.push(bin);
+    }
+  }
+  bins.sort((a, b) => counts[b] - counts[a]);
+
+  const kept = bins.slice(0, maxColors);
+  const palette = new Uint8Array(kept.length * 3);
+  kept.forEach((bin, index) => {
+    palette[index * 3] = Math.round(sums[bin * 3] / counts[bin]);
+    palette[index * 3 + 1] = Math.round(sums[bin * 3 + 1] / counts[bin]);
+    palette[index * 3 + 2] = Math.round(sums[bin * 3 + 2] / counts[bin]);
+  });
+
+  return palette;
+}
+
+/**
+ * Finds the palette entry closest to a color, by squared euclidean distance in RGB space.
+ *
+ * @param {Uint8Array} palette - The palette as RGB triplets.
+ * @param {number} r - The red channel.
+ * @param {number} g - The green channel.
+ * @param {number} b - The blue channel.
+ * @returns {number} The index of the closest palette entry.
+ */
+function nearestColor(palette, r, g, b) {
+  let best = 0;
+  let bestDistance = Infinity;
+
+  for (let i = 0; i < palette.length; i += 3) {
+    const dr = palette[i] - r;
+    const dg = palette[i + 1] - g;
+    const db = palette[i + 2] - b;
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = i / 3;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Converts RGBA pixels into palette indices.
+ *
+ * Transparent pixels (alpha below 128) are mapped to `transparentIndex`; every other pixel is mapped to its nearest
+ * palette color, offset by `indexOffset`. Lookups are memoized per histogram bin, so the cost per pixel is constant
+ * after the first occurrence of a color.
+ *
+ * @param {Uint8ClampedArray} data - The RGBA pixels.
+ * @param {Uint8Array} palette - The palette as RGB triplets.
+ * @param {Object} [options={}] - Mapping options.
+ * @param {number} [options.indexOffset=0] - Added to every palette index, e.g. to reserve index 0 for transparency.
+ * @param {number} [options.transparentIndex=0] - The index written for transparent pixels.
+ * @returns {Uint8Array} One palette index per pixel.
+ */
+function mapToPalette(data, palette, options = {}) {
+  const indexOffset = options.indexOffset || 0;
+  const transparentIndex = options.transparentIndex || 0;
+  const lookup = new Int16Array(BINS).fill(-1);
+  const indices = new Uint8Array(data.length / 4);
+
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    if (data[i + 3] < ALPHA_THRESHOLD) {
+      indices[p] = transparentIndex;
+    } else {
+      const bin = binOf(data[i], data[i + 1], data[i + 2]);
+      if (lookup[bin] === -1) {
+        lookup[bin] =
+          nearestColor(palette, data[i], data[i + 1], data[i + 2]) +
+          indexOffset;
+      }
+      indices[p] = lookup[bin];
+    }
+  }
+
+  return indices;
+}
+
+module.exports = {
+  buildPalette,
+  mapToPalette,
+};
@@ -0,0 +1,203 @@
+const { abortable } = require("./abort");
+
+let worker = null;
+let workerFailed = false;
+let svgDecodingFailed = false;
+let nextMessageId = 0;
+const pendingMessages = new Map();
+
+/**
+ * The code of the rasterization worker.
+ *
+ * It is never called in the page: its source is turned into a Blob URL so the worker can be started without a separate
+ * file to deploy, which is why it must not reference anything outside its own body. For every message it decodes the
+ * transferred SVG markup, unless the page sent an already decoded ImageBitmap, draws the image onto an OffscreenCanvas
+ * of the requested size, over the background color if any, encodes the canvas and posts the resulting Blob back under
+ * the id of the request. When the worker cannot decode the SVG, it answers with `undecodable` instead.
+ */
+function workerMain() {
+  self.onmessage = async (event) => {
+    const { id, svg, bitmap, width, height, backgroundColor, type, quality } =
+      event.data;
+
+    let image = bitmap;
+    if (!image) {
+      try {
+        image = await createImageBitmap(
+          new Blob([svg], { type: "image/svg+xml" })
+        );
+      } catch (error) {
+        self.postMessage({ id, undecodable: true });
+        return;
+      }
+    }
+
+    try {
+      const canvas = new OffscreenCanvas(width, height);
+      const context = canvas.getContext("2d");
+      if (backgroundColor) {
+        context.fillStyle = backgroundColor;
+        context.fillRect(0, 0, width, height);
+      }
+      context.drawImage(image, 0, 0, width, height);
+      image.close();
+
+      const blob = await canvas.convertToBlob({ type, quality });
+      self.postMessage({ id, blob });
+    } catch (error) {
+      self.postMessage({ id, error: String(error && error.message) });
+    }
+  };
+}
+
+/**
+ * Checks whether rendering can be moved to a worker in the current environment.
+ *
+ * This needs workers, `createImageBitmap` and an `OffscreenCanvas` that can encode to a Blob. It turns false for good
+ * once the worker failed to start, for example because a Content Security Policy forbids `blob:` workers.
+ *
+ * @returns {boolean} True if `rasterizeInWorker` can be used.
+ */
+function isWorkerSupported() {
+  return (
+    !workerFailed &&
+    typeof Worker !== "undefined" &&
+    typeof createImageBitmap !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    typeof OffscreenCanvas.prototype.convertToBlob === "function"
+  );
+}
+
+/**
+ * Rejects every request waiting for the worker, after it crashed or could not be started.
+ *
+ * @param {Error} error - The error to reject with.
+ */
+function rejectPending(error) {
+  pendingMessages.forEach(({ reject }) => reject(error));
+  pendingMessages.clear();
+}
+
+/**
+ * Returns the shared rasterization worker, starting it on first use.
+ *
+ * @returns {Worker} The worker.
+ * @throws {Error} If the worker cannot be started.
+ */
+function getWorker() {
+  if (worker) {
+    return worker;
+  }
+
+  const source = `(${workerMain.toString()})();`;
+  const url = URL.createObjectURL(
+    new Blob([source], { type: "text/javascript" })
+  );
+
+  try {
+    worker = new Worker(url);
+  } catch (error) {
+    workerFailed = true;
+    throw error;
+  } finally {
+    // The worker holds on to its script once constructed, so the URL is not needed anymore.
+    URL.revokeObjectURL(url);
+  }
+
+  worker.onmessage = (event) => {
+    const { id, error } = event.data;
+    const pending = pendingMessages.get(id);
+    if (pending) {
+      pendingMessages.delete(id);
+      if (error != null) {
+        pending.reject(new Error(`Failed to rasterize in worker: ${error}`));
+      } else {
+        pending.resolve(event.data);
+      }
+    }
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    workerFailed = true;
+    worker.terminate();
+    worker = null;
+    rejectPending(new Error("The rasterization worker failed to start"));
+  };
+
+  return worker;
+}
+
+/**
+ * Sends one rasterization request to the worker and waits for its answer.
+ *
+ * @async
+ * @param {Object} source - The image to draw: `{ svg }` with the SVG markup as an ArrayBuffer, or `{ bitmap }`.
+ * @param {Transferable[]} transfer - The objects moved to the worker instead of copied.
+ * @param {Object} options - The rasterization options of `rasterizeInWorker`.
+ * @returns {Promise<{blob?: Blob, undecodable?: boolean}>} A promise that resolves to the answer of the worker.
+ */
+function postToWorker(source, transfer, options) {
+  const target = getWorker();
+  const id = nextMessageId;
+  nextMessageId += 1;
+
+  const result = new Promise((resolve, reject) => {
+    pendingMessages.set(id, { resolve, reject });
+    target.postMessage(
+      {
+        ...source,
+        id,
+        width: options.width,
+        height: options.height,
+        backgroundColor: options.backgroundColor,
+        type: options.type,
+        quality: options.quality,
+      },
+      transfer
+    );
+  });
+
+  return abortable(result, options.signal);
+}
+
+/**
+ * Decodes, draws and encodes a SVG image on an OffscreenCanvas in a worker.
+ *
+ * The SVG markup, with its embedded fonts and images, is transferred to the worker as an ArrayBuffer, so decoding,
+ * drawing and encoding, the most expensive steps of a large render, do not block the main thread. Browsers that cannot
+ * decode SVG images in workers (the worker answers that it could not) get the image decoded on the main thread by
+ * `options.decodeImage` instead, and the resulting ImageBitmap is transferred to the worker for drawing and encoding;
+ * this is remembered, so later renders skip the attempt.
+ *
+ * @async
+ * @param {string} svg - The SVG markup, sized to the output pixels.
+ * @param {Object} options - The rasterization options.
+ * @param {number} options.width - The width of the canvas in pixels.
+ * @param {number} options.height - The height of the canvas in pixels.
+ * @param {string} options.type - The MIME type to encode to.
+ * @param {function(): Promise<ImageBitmap>} options.decodeImage - Decodes the SVG on the main thread, at the output size.
+ * @param {number} [options.quality] - The quality of lossy formats (0 to 1).
+ * @param {string} [options.backgroundColor] - A color painted behind the image.
+ * @param {AbortSignal} [options.signal] - A signal to stop waiting for the worker.
+ * @returns {Promise<Blob>} A promise that resolves to the encoded image.
+ * @throws {Error} If the worker cannot be started or fails to draw or encode the image.
+ */
+async function rasterizeInWorker(svg, options) {
+  if (!svgDecodingFailed) {
+    const buffer = new TextEncoder().encode(svg).buffer;
+    const answer = await postToWorker({ svg: buffer }, [buffer], options);
+    if (!answer.undecodable) {
+      return answer.blob;
+    }
+    svgDecodingFailed = true;
+  }
+
+  const bitmap = await options.decodeImage();
+  const answer = await postToWorker({ bitmap }, [bitmap], options);
+  return answer.blob;
+}
+
+module.exports = {
+  isWorkerSupported,
+  rasterizeInWorker,
+};
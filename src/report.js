@@ -0,0 +1,101 @@
+const { getLogger } = require("./logger");
+
+// Options key under which the report of the current render travels through the pipeline.
+const REPORT = Symbol("report");
+
+/**
+ * Returns the current time in milliseconds, with sub-millisecond precision where available.
+ *
+ * @returns {number} The current time.
+ */
+function now() {
+  return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
+
+/**
+ * Creates an empty debug report.
+ *
+ * @returns {Object} A report with zeroed counters and no stage timings.
+ */
+function createReport() {
+  return {
+    duration: 0,
+    stages: {},
+    nodesCloned: 0,
+    resourcesFetched: 0,
+    bytesEmbedded: 0,
+    cacheHits: 0,
+  };
+}
+
+/**
+ * Increments a counter of the report attached to the render options, if any.
+ *
+ * @param {Object} options - The render options.
+ * @param {string} counter - The report counter, e.g. `"nodesCloned"` or `"cacheHits"`.
+ * @param {number} [amount=1] - The amount to add.
+ */
+function count(options, counter, amount = 1) {
+  const report = options && options[REPORT];
+  if (report) {
+    report[counter] += amount;
+  }
+}
+
+/**
+ * Runs one stage of the render pipeline, measuring its duration.
+ *
+ * The duration is added to the stage's total in the report attached to the options (stages such as `images` can run
+ * several times, e.g. once per tile or frame) and logged at debug level.
+ *
+ * @async
+ * @param {Object} options - The render options.
+ * @param {string} stage - The name of the stage, e.g. `"clone"`, `"fonts"` or `"rasterize"`.
+ * @param {function(): Promise<*>|*} run - The work of the stage.
+ * @returns {Promise<*>} A promise that resolves to the result of the stage.
+ */
+async function measure(options, stage, run) {
+  const start = now();
+  const result = await run();
+  const elapsed = now() - start;
+
+  const report = options[REPORT];
+  if (report) {
+    report.stages[stage] = (report.stages[stage] || 0) + elapsed;
+  }
+  getLogger(options).debug(`${stage} took ${elapsed.toFixed(1)}ms`);
+
+  return result;
+}
+
+/**
+ * Wraps a public render function so it can return a debug report alongside its result.
+ *
+ * When called with `options.debug`, the wrapped function attaches a fresh report to the options, runs the render and
+ * resolves to `{ result, report }`. Calls made from inside the render keep adding to that same report, so only the
+ * outermost call returns one. Without `options.debug` the function behaves exactly like the original.
+ *
+ * @param {function(*, Object): Promise<*>} render - The render function, taking a node and options.
+ * @returns {function(*, Object): Promise<*>} The wrapped function.
+ */
+function withReport(render) {
+  return async (node, options = {}) => {
+    if (!options.debug || options[REPORT]) {
+      return render(node, options);
+    }
+
+    const report = createReport();
+    const start = now();
+    const result = await render(node, { ...options, [REPORT]: report });
+    report.duration = now() - start;
+
+    getLogger(options).info("Render report", report);
+    return { result, report };
+  };
+}
+
+module.exports = {
+  count,
+  measure,
+  withReport,
+};
@@ -0,0 +1,137 @@
+const { throwIfAborted } = require("./abort");
+
+// MIME types whose size depends on the encoding quality.
+const LOSSY_TYPES = ["image/jpeg", "image/webp", "image/avif"];
+
+// Number of encodings spent narrowing down the quality, after the first two.
+const QUALITY_STEPS = 6;
+
+// Largest number of downscaling rounds before giving up.
+const MAX_DOWNSCALES = 8;
+
+/**
+ * Draws a canvas into a new canvas, scaled by a factor with high-quality smoothing.
+ *
+ * @param {HTMLCanvasElement} canvas - The canvas to scale.
+ * @param {number} factor - The scale factor, below 1 to downscale.
+ * @returns {HTMLCanvasElement} The scaled canvas.
+ */
+function scaleCanvas(canvas, factor) {
+  const scaled = document.createElement("canvas");
+  scaled.width = Math.max(1, Math.round(canvas.width * factor));
+  scaled.height = Math.max(1, Math.round(canvas.height * factor));
+
+  const context = scaled.getContext("2d");
+  context.imageSmoothingQuality = "high";
+  context.drawImage(canvas, 0, 0, scaled.width, scaled.height);
+  return scaled;
+}
+
+/**
+ * Finds the highest quality at which a canvas encodes to at most `maxBytes`, by binary search.
+ *
+ * @async
+ * @param {HTMLCanvasElement} canvas - The canvas to encode.
+ * @param {{blob: Blob, quality: number}} lowest - An encoding known to fit, at the lowest quality.
+ * @param {number} high - The highest quality, known to be too large.
+ * @param {Object} options - The render options, with `maxBytes` and `signal`.
+ * @param {function(HTMLCanvasElement, number): Promise<Blob>} encode - Encodes a canvas at a quality.
+ * @returns {Promise<{blob: Blob, quality: number}>} A promise that resolves to the best fitting encoding.
+ */
+async function searchQuality(canvas, lowest, high, options, encode) {
+  let best = lowest;
+  let min = lowest.quality;
+  let max = high;
+  for (let i = 0; i < QUALITY_STEPS; i++) {
+    throwIfAborted(options.signal);
+    const quality = (min + max) / 2;
+    const blob = await encode(canvas, quality);
+    if (blob.size <= options.maxBytes) {
+      best = { blob, quality };
+      min = quality;
+    } else {
+      max = quality;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Encodes a canvas so the result fits into `options.maxBytes`.
+ *
+ * The canvas is first encoded at `options.quality` (or the best quality). When that is too large and the format is
+ * lossy (JPEG, WebP, AVIF), the highest quality down to `options.minQuality` that fits is found by binary search. When
+ * even the lowest quality is too large, or the format is lossless, the canvas is downscaled with `downscaleToFit` by
+ * the estimated factor and the search starts again; without it the encoding fails.
+ *
+ * @async
+ * @param {HTMLCanvasElement} canvas - The rendered canvas.
+ * @param {Object} options - The render options.
+ * @param {number} options.maxBytes - The largest accepted size of the encoded image, in bytes.
+ * @param {number} [options.quality=1] - The highest quality to use.
+ * @param {number} [options.minQuality=0.1] - The lowest quality to use before downscaling.
+ * @param {boolean} [options.downscaleToFit=false] - Whether to reduce the dimensions when the quality is not enough.
+ * @param {function(HTMLCanvasElement, number): Promise<Blob>} encode - Encodes a canvas at a quality.
+ * @returns {Promise<{result: Blob, quality: number|null, width: number, height: number}>} A promise that resolves to the
+ *          encoded image with the quality it was encoded at (`null` for lossless formats) and its dimensions.
+ * @throws {RangeError} If the image cannot be made to fit.
+ */
+async function encodeWithinBytes(canvas, options, encode) {
+  const maxQuality = options.quality || 1;
+  const minQuality = Math.min(
+    maxQuality,
+    options.minQuality != null ? options.minQuality : 0.1
+  );
+
+  let current = canvas;
+  for (let round = 0; round <= MAX_DOWNSCALES; round++) {
+    throwIfAborted(options.signal);
+    const blob = await encode(current, maxQuality);
+    const lossy = LOSSY_TYPES.includes(blob.type);
+    const done = (result, quality) => ({
+      result,
+      quality: lossy ? quality : null,
+      width: current.width,
+      height: current.height,
+    });
+
+    if (blob.size <= options.maxBytes) {
+      return done(blob, maxQuality);
+    }
+
+    let smallest = blob;
+    if (lossy && minQuality < maxQuality) {
+      smallest = await encode(current, minQuality);
+      if (smallest.size <= options.maxBytes) {
+        const best = await searchQuality(
+          current,
+          { blob: smallest, quality: minQuality },
+          maxQuality,
+          options,
+          encode
+        );
+        return done(best.blob, best.quality);
+      }
+    }
+
+    if (
+      !options.downscaleToFit ||
+      (current.width <= 1 && current.height <= 1)
+    ) {
+      break;
+    }
+
+    // The encoded size grows roughly with the number of pixels.
+    const factor = Math.min(0.9, Math.sqrt(options.maxBytes / smallest.size));
+    current = scaleCanvas(current, factor);
+  }
+
+  throw new RangeError(
+    `The image could not be encoded within ${options.maxBytes} bytes`
+  );
+}
+
+module.exports = {
+  encodeWithinBytes,
+};
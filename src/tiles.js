@@ -0,0 +1,139 @@
+const { createImage, svgToDataURL } = require("./util");
+const { throwIfAborted } = require("./abort");
+
+/**
+ * Splits an output image into a grid of tiles no larger than a given size.
+ *
+ * The returned manifest describes the full output size and every tile's position and size in output pixels, in
+ * row-major order. The last column and row hold the remainder and may be smaller than `tileSize`.
+ *
+ * @param {number} width - The width of the full output in pixels.
+ * @param {number} height - The height of the full output in pixels.
+ * @param {number} tileSize - The maximum width and height of a tile in pixels.
+ * @returns {{width: number, height: number, tileSize: number, columns: number, rows: number, tiles: Array<Object>}}
+ *          The tile manifest.
+ */
+function computeTiles(width, height, tileSize) {
+  const columns = Math.max(1, Math.ceil(width / tileSize));
+  const rows = Math.max(1, Math.ceil(height / tileSize));
+  const tiles = [];
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const x = column * tileSize;
+      const y = row * tileSize;
+      tiles.push({
+        column,
+        row,
+        x,
+        y,
+        width: Math.min(tileSize, width - x),
+        height: Math.min(tileSize, height - y),
+      });
+    }
+  }
+
+  return { width, height, tileSize, columns, rows, tiles };
+}
+
+/**
+ * Lowers a pixel ratio so that an output of the given CSS size stays within a maximum canvas side.
+ *
+ * Tiles are stitched into one canvas, which has to be allocated at its final size: resizing a canvas clears it, so the
+ * size has to be settled before anything is drawn rather than by shrinking the stitched result.
+ *
+ * @param {number} width - The width of the output in CSS pixels.
+ * @param {number} height - The height of the output in CSS pixels.
+ * @param {number} ratio - The requested pixel ratio.
+ * @param {number} limit - The largest canvas width or height in pixels.
+ * @returns {number} The requested ratio, or a lower one for which the larger side of the output equals `limit`.
+ */
+function fitPixelRatio(width, height, ratio, limit) {
+  const largest = Math.max(width, height) * ratio;
+  return largest > limit ? ratio * (limit / largest) : ratio;
+}
+
+/**
+ * Rasterizes an SVG tile by tile, shifting the SVG viewBox over the content for each tile.
+ *
+ * Instead of drawing one huge SVG image onto one huge canvas, the SVG root is resized to the area of a single tile and
+ * its viewBox is moved to that tile's position in the content, so each decoded image and each tile canvas stays below
+ * the browser's canvas size limit. The SVG content (the foreignObject and the cloned node) is shared by all tiles; only
+ * the root attributes change between serializations. Tiles are rendered one after another to keep memory usage bounded.
+ *
+ * Every tile in the manifest receives a `canvas` property holding its pixels.
+ *
+ * @async
+ * @param {SVGElement} svg - The SVG element wrapping the cloned node, as created by `createSvgElement`.
+ * @param {{x: number, y: number, width: number, height: number}} region - The captured region of the content in CSS
+ *        pixels, as resolved by `getCaptureRegion`.
+ * @param {Object} manifest - The tile manifest from `computeTiles`, in output pixels.
+ * @param {Object} options - The render options.
+ * @param {string} [options.backgroundColor] - A color painted behind each tile.
+ * @param {AbortSignal} [options.signal] - A signal to stop rendering before the next tile.
+ * @returns {Promise<Object>} A promise that resolves to the manifest, with a canvas attached to every tile.
+ */
+async function renderTiles(svg, region, manifest, options) {
+  const scaleX = manifest.width / region.width;
+  const scaleY = manifest.height / region.height;
+
+  for (let i = 0; i < manifest.tiles.length; i++) {
+    throwIfAborted(options.signal);
+    const tile = manifest.tiles[i];
+    const viewBox = {
+      x: region.x + tile.x / scaleX,
+      y: region.y + tile.y / scaleY,
+      width: tile.width / scaleX,
+      height: tile.height / scaleY,
+    };
+
+    svg.setAttribute("width", `${viewBox.width}`);
+    svg.setAttribute("height", `${viewBox.height}`);
+    svg.setAttribute(
+      "viewBox",
+      `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`
+    );
+
+    const img = await createImage(await svgToDataURL(svg), options.signal);
+    const canvas = document.createElement("canvas");
+    canvas.width = tile.width;
+    canvas.height = tile.height;
+
+    const context = canvas.getContext("2d");
+    if (options.backgroundColor) {
+      context.fillStyle = options.backgroundColor;
+      context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    context.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    tile.canvas = canvas;
+  }
+
+  return manifest;
+}
+
+/**
+ * Draws rendered tiles back into a single canvas.
+ *
+ * @param {Object} manifest - A tile manifest whose tiles have been rendered by `renderTiles`.
+ * @returns {HTMLCanvasElement} A canvas of the full output size containing every tile.
+ */
+function stitchTiles(manifest) {
+  const canvas = document.createElement("canvas");
+  canvas.width = manifest.width;
+  canvas.height = manifest.height;
+
+  const context = canvas.getContext("2d");
+  manifest.tiles.forEach((tile) => {
+    context.drawImage(tile.canvas, tile.x, tile.y);
+  });
+
+  return canvas;
+}
+
+module.exports = {
+  computeTiles,
+  fitPixelRatio,
+  renderTiles,
+  stitchTiles,
+};
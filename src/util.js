@@ -1,8 +1,12 @@
+const { createAbortError, throwIfAborted } = require("./abort");
+const { getNodeWindow } = require("./environment");
+
 /**
  * Resolves a URL relative to a base URL.
  *
  * @param {string} url - The URL to resolve.
  * @param {string} [baseUrl=null] - The base URL to resolve against. If not provided, the current document's base URL will be used.
+ * @param {Document} [doc=document] - The document whose protocol and base URL apply.
  * @returns {string} The resolved URL.
  *
  * @example
@@ -30,7 +34,7 @@
  * resolveUrl("path/to/file.html");
  * // Returns: "http://example.com/path/to/file.html" (assuming current document's base URL is "http://example.com/")
  */
-function resolveUrl(url, baseUrl = null) {
+function resolveUrl(url, baseUrl = null, doc = document) {
   // url is absolute already
   if (url.match(/^[a-z]+:\/\//i)) {
     return url;
@@ -38,7 +42,7 @@ function resolveUrl(url, baseUrl = null) {
 
   // url is absolute already, without protocol
   if (url.match(/^\/\//)) {
-    return window.location.protocol + url;
+    return doc.location.protocol + url;
   }
 
   // dataURI, mailto:, tel:, etc.
@@ -46,12 +50,12 @@ function resolveUrl(url, baseUrl = null) {
     return url;
   }
 
-  const doc = document.implementation.createHTMLDocument();
-  const base = doc.createElement("base");
-  const a = doc.createElement("a");
+  const resolver = doc.implementation.createHTMLDocument();
+  const base = resolver.createElement("base");
+  const a = resolver.createElement("a");
 
-  doc.head.appendChild(base);
-  doc.body.appendChild(a);
+  resolver.head.appendChild(base);
+  resolver.body.appendChild(a);
 
   if (baseUrl) {
     base.href = baseUrl;
@@ -116,7 +120,7 @@ function toArray(arrayLike) {
  * @returns {number} The computed value of the style property in pixels.
  */
 function px(node, styleProperty) {
-  const win = node.ownerDocument.defaultView || window;
+  const win = getNodeWindow(node);
   const val = win.getComputedStyle(node).getPropertyValue(styleProperty);
   return val ? parseFloat(val.replace("px", "")) : 0;
 }
@@ -124,23 +128,94 @@ function px(node, styleProperty) {
 /**
  * Retrieves the width of a node, including borders.
  * @param {Node} node - The node to retrieve the width from.
+ * @param {boolean} [full=false] - Whether to measure the whole scrollable content instead of the visible box.
  * @returns {number} The width of the node in pixels.
  */
-function getNodeWidth(node) {
+function getNodeWidth(node, full = false) {
   const leftBorder = px(node, "border-left-width");
   const rightBorder = px(node, "border-right-width");
-  return node.clientWidth + leftBorder + rightBorder;
+  const width = full
+    ? Math.max(node.clientWidth, node.scrollWidth)
+    : node.clientWidth;
+  return width + leftBorder + rightBorder;
 }
 
 /**
  * Retrieves the height of a node, including borders.
  * @param {Node} node - The node to retrieve the height from.
+ * @param {boolean} [full=false] - Whether to measure the whole scrollable content instead of the visible box.
  * @returns {number} The height of the node in pixels.
  */
-function getNodeHeight(node) {
+function getNodeHeight(node, full = false) {
   const topBorder = px(node, "border-top-width");
   const bottomBorder = px(node, "border-bottom-width");
-  return node.clientHeight + topBorder + bottomBorder;
+  const height = full
+    ? Math.max(node.clientHeight, node.scrollHeight)
+    : node.clientHeight;
+  return height + topBorder + bottomBorder;
+}
+
+/**
+ * Measures how much a node grows when its scrolling descendants are expanded to show their whole content.
+ *
+ * With `captureMode: "full"`, every descendant that clips overflowing content is expanded in the clone (see
+ * `expandScrollContent`), which pushes the content after it further down or right. The node's own `scrollWidth` and
+ * `scrollHeight` do not include that content, since it is hidden inside the descendants. On each axis, an expanded
+ * element grows its container by its own overflow plus the growth of its content, and the container grows by the
+ * largest such amount once the expanded elements placed entirely before each one are added up, so stacked scroll
+ * containers add up while side-by-side ones do not.
+ *
+ * @param {Element} node - The node being captured.
+ * @returns {{width: number, height: number}} The growth of the node in CSS pixels.
+ */
+function getScrollExpansion(node) {
+  if (!node.querySelectorAll) {
+    return { width: 0, height: 0 };
+  }
+
+  const win = getNodeWindow(node);
+  const expanded = toArray(node.querySelectorAll("*"))
+    .map((element) => {
+      const style = win.getComputedStyle(element);
+      const overflow = (axis, scrollSize, clientSize) =>
+        style.getPropertyValue(`overflow-${axis}`) === "visible"
+          ? 0
+          : Math.max(0, scrollSize - clientSize);
+      return {
+        element,
+        rect: element.getBoundingClientRect(),
+        width: overflow("x", element.scrollWidth, element.clientWidth),
+        height: overflow("y", element.scrollHeight, element.clientHeight),
+      };
+    })
+    .filter((item) => item.width > 0 || item.height > 0);
+
+  const containerOf = (item) => {
+    for (let el = item.element.parentNode; el && el !== node; ) {
+      if (expanded.some((other) => other.element === el)) {
+        return el;
+      }
+      el = el.parentNode;
+    }
+    return node;
+  };
+
+  const growth = (container, axis, start, end) => {
+    const inside = expanded.filter((item) => containerOf(item) === container);
+    const total = (item) => item[axis] + growth(item.element, axis, start, end);
+
+    return inside.reduce((largest, item) => {
+      const pushed = inside
+        .filter((other) => other.rect[end] <= item.rect[start])
+        .reduce((sum, other) => sum + total(other), total(item));
+      return Math.max(largest, pushed);
+    }, 0);
+  };
+
+  return {
+    width: growth(node, "width", "left", "right"),
+    height: growth(node, "height", "top", "bottom"),
+  };
 }
 
 /**
@@ -149,15 +224,59 @@ function getNodeHeight(node) {
  * @param {Object} [options={}] - Additional options for retrieving the size.
  * @param {number} [options.width] - The width of the image. If not provided, the width will be retrieved from the node.
  * @param {number} [options.height] - The height of the image. If not provided, the height will be retrieved from the node.
+ * @param {string} [options.captureMode="visible"] - With `"full"`, the node is measured with its whole scrollable content,
+ *        including the content of the scrolling descendants that the clone expands.
  * @returns {{width: number, height: number}} An object containing the width and height of the image.
  */
 function getImageSize(targetNode, options = {}) {
-  const width = options.width || getNodeWidth(targetNode);
-  const height = options.height || getNodeHeight(targetNode);
+  const full = options.captureMode === "full";
+  const expansion =
+    full && !(options.width && options.height)
+      ? getScrollExpansion(targetNode)
+      : { width: 0, height: 0 };
+  const width =
+    options.width || getNodeWidth(targetNode, full) + expansion.width;
+  const height =
+    options.height || getNodeHeight(targetNode, full) + expansion.height;
 
   return { width, height };
 }
 
+/**
+ * Resolves the region of a node that is captured, in CSS pixels relative to the node's top-left corner.
+ *
+ * Without `options.clip` this is the whole node. A clip rectangle limits the SVG viewBox, and therefore every canvas
+ * drawn from it, to that part of the node, so capturing a small part of a large node costs no more memory than the
+ * part itself. The rectangle may extend past the node, in which case the outside area stays transparent.
+ *
+ * @param {Node} targetNode - The node being captured.
+ * @param {Object} [options={}] - The render options.
+ * @param {{x: number, y: number, width: number, height: number}} [options.clip] - The rectangle to capture.
+ * @returns {{x: number, y: number, width: number, height: number}} The captured region.
+ * @throws {RangeError} If the clip rectangle is not a positive, finite size.
+ */
+function getCaptureRegion(targetNode, options = {}) {
+  const { clip } = options;
+  if (!clip) {
+    return { x: 0, y: 0, ...getImageSize(targetNode, options) };
+  }
+
+  const x = clip.x || 0;
+  const y = clip.y || 0;
+  const { width, height } = clip;
+  if (
+    ![x, y, width, height].every(Number.isFinite) ||
+    width <= 0 ||
+    height <= 0
+  ) {
+    throw new RangeError(
+      "The clip rectangle needs finite x and y and a positive width and height"
+    );
+  }
+
+  return { x, y, width, height };
+}
+
 /**
  * Retrieves the device pixel ratio.
  * @returns {number} The device pixel ratio.
@@ -191,29 +310,24 @@ const canvasDimensionLimit = 16384;
 /**
  * Checks and adjusts the dimensions of a canvas if they exceed the maximum canvas size limit.
  * @param {HTMLCanvasElement} canvas - The canvas to check and adjust.
+ * @param {number} [limit=16384] - The maximum width and height of the canvas in pixels.
  */
-function checkCanvasDimensions(canvas) {
-  if (
-    canvas.width > canvasDimensionLimit ||
-    canvas.height > canvasDimensionLimit
-  ) {
-    if (
-      canvas.width > canvasDimensionLimit &&
-      canvas.height > canvasDimensionLimit
-    ) {
+function checkCanvasDimensions(canvas, limit = canvasDimensionLimit) {
+  if (canvas.width > limit || canvas.height > limit) {
+    if (canvas.width > limit && canvas.height > limit) {
       if (canvas.width > canvas.height) {
-        canvas.height *= canvasDimensionLimit / canvas.width;
-        canvas.width = canvasDimensionLimit;
+        canvas.height *= limit / canvas.width;
+        canvas.width = limit;
       } else {
-        canvas.width *= canvasDimensionLimit / canvas.height;
-        canvas.height = canvasDimensionLimit;
+        canvas.width *= limit / canvas.height;
+        canvas.height = limit;
       }
-    } else if (canvas.width > canvasDimensionLimit) {
-      canvas.height *= canvasDimensionLimit / canvas.width;
-      canvas.width = canvasDimensionLimit;
+    } else if (canvas.width > limit) {
+      canvas.height *= limit / canvas.width;
+      canvas.width = limit;
     } else {
-      canvas.width *= canvasDimensionLimit / canvas.height;
-      canvas.height = canvasDimensionLimit;
+      canvas.width *= limit / canvas.height;
+      canvas.height = limit;
     }
   }
 }
@@ -263,21 +377,49 @@ function canvasToBlob(canvas, options = {}) {
 
 /**
  * Creates an image element from a URL.
+ *
+ * When the signal is aborted before the image has loaded, loading is stopped and the promise rejects with an AbortError.
+ *
  * @param {string} url - The URL of the image.
+ * @param {AbortSignal} [signal] - A signal to stop loading the image.
  * @returns {Promise<HTMLImageElement>} A promise that resolves to the created image element.
  */
-function createImage(url) {
+function createImage(url, signal) {
   return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+
     const img = new Image();
-    img.decode = () => resolve(img);
-    img.onload = () => resolve(img);
-    img.onerror = reject;
+    const onAbort = () => {
+      img.onload = null;
+      img.onerror = null;
+      img.src = "";
+      reject(createAbortError());
+    };
+    const settle = (callback) => (value) => {
+      signal?.removeEventListener("abort", onAbort);
+      callback(value);
+    };
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+    img.decode = settle(() => resolve(img));
+    img.onload = settle(() => resolve(img));
+    img.onerror = settle(reject);
     img.crossOrigin = "anonymous";
     img.decoding = "async";
     img.src = url;
   });
 }
 
+/**
+ * Serializes an SVG element into SVG markup, with the serializer of the element's own window.
+ * @param {SVGElement} svg - The SVG element to serialize.
+ * @returns {string} The SVG markup.
+ */
+function serializeSvg(svg) {
+  const { XMLSerializer } = getNodeWindow(svg);
+  return new XMLSerializer().serializeToString(svg);
+}
+
 /**
  * Converts an SVG element to a data URL.
  * @param {SVGElement} svg - The SVG element to convert.
@@ -285,68 +427,139 @@ function createImage(url) {
  */
 async function svgToDataURL(svg) {
   return Promise.resolve()
-    .then(() => new XMLSerializer().serializeToString(svg))
+    .then(() => serializeSvg(svg))
     .then(encodeURIComponent)
     .then((html) => `data:image/svg+xml;charset=utf-8,${html}`);
 }
 
 /**
- * Converts a DOM node to a data URL by rendering it inside an SVG foreignObject.
- * @param {Node} node - The DOM node to convert.
- * @param {number} width - The width of the SVG.
- * @param {number} height - The height of the SVG.
- * @returns {Promise<string>} A promise that resolves to the data URL of the rendered node.
+ * Wraps a DOM node into an SVG element through a foreignObject.
+ *
+ * The foreignObject always holds the whole node; a region (see `getCaptureRegion`) only moves the viewBox, so the SVG
+ * shows just that part of it.
+ *
+ * @param {Node} node - The DOM node to wrap.
+ * @param {number} width - The width of the node.
+ * @param {number} height - The height of the node.
+ * @param {{x: number, y: number, width: number, height: number}} [region] - The part of the node to show. Defaults to the whole node.
+ * @returns {SVGElement} The SVG element containing the node.
  */
-async function nodeToDataURL(node, width, height) {
+function createSvgElement(
+  node,
+  width,
+  height,
+  region = { x: 0, y: 0, width, height }
+) {
+  const doc = node.ownerDocument;
   const xmlns = "http://www.w3.org/2000/svg";
-  const svg = document.createElementNS(xmlns, "svg");
-  const foreignObject = document.createElementNS(xmlns, "foreignObject");
-
-  svg.setAttribute("width", `${width}`);
-  svg.setAttribute("height", `${height}`);
-  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  const svg = doc.createElementNS(xmlns, "svg");
+  const foreignObject = doc.createElementNS(xmlns, "foreignObject");
+
+  svg.setAttribute("width", `${region.width}`);
+  svg.setAttribute("height", `${region.height}`);
+  svg.setAttribute(
+    "viewBox",
+    `${region.x} ${region.y} ${region.width} ${region.height}`
+  );
 
-  foreignObject.setAttribute("width", "100%");
-  foreignObject.setAttribute("height", "100%");
+  foreignObject.setAttribute("width", `${width}`);
+  foreignObject.setAttribute("height", `${height}`);
   foreignObject.setAttribute("x", "0");
   foreignObject.setAttribute("y", "0");
   foreignObject.setAttribute("externalResourcesRequired", "true");
 
   svg.appendChild(foreignObject);
   foreignObject.appendChild(node);
-  return svgToDataURL(svg);
+  return svg;
+}
+
+/**
+ * Converts a DOM node to a data URL by rendering it inside an SVG foreignObject.
+ * @param {Node} node - The DOM node to convert.
+ * @param {number} width - The width of the node.
+ * @param {number} height - The height of the node.
+ * @param {{x: number, y: number, width: number, height: number}} [region] - The part of the node to show. Defaults to the whole node.
+ * @returns {Promise<string>} A promise that resolves to the data URL of the rendered node.
+ */
+async function nodeToDataURL(node, width, height, region) {
+  return svgToDataURL(createSvgElement(node, width, height, region));
 }
 
 /**
  * Checks if a node is an instance of a specific element type.
+ *
+ * Besides `instanceof`, the constructor names along the prototype chain are compared, so nodes from another window (an
+ * iframe, or a jsdom document in Node) are recognized too. The type can be given by name, e.g. `"HTMLImageElement"`,
+ * which works even where no such global constructor exists.
+ *
  * @param {Node} node - The node to check.
- * @param {Function} instance - The element constructor to compare against.
+ * @param {Function|string} instance - The element constructor, or its name, to compare against.
  * @returns {boolean} True if the node is an instance of the specified element type, false otherwise.
  */
 function isInstanceOfElement(node, instance) {
-  if (node instanceof instance) return true;
+  if (typeof instance === "function" && node instanceof instance) return true;
 
   const nodePrototype = Object.getPrototypeOf(node);
 
   if (nodePrototype === null) return false;
 
+  const name = typeof instance === "string" ? instance : instance.name;
   return (
-    nodePrototype.constructor.name === instance.name ||
+    nodePrototype.constructor.name === name ||
     isInstanceOfElement(nodePrototype, instance)
   );
 }
 
+/**
+ * Returns the document loaded by an iframe, when the page may access it.
+ *
+ * @param {HTMLIFrameElement} iframe - The iframe.
+ * @returns {Document|null} The iframe's document, or `null` if it is cross-origin or has no body yet.
+ */
+function getFrameDocument(iframe) {
+  try {
+    const doc = iframe.contentDocument;
+    return doc && doc.body ? doc : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Finds the documents of the same-origin iframes in a node, including the iframes nested in them.
+ *
+ * @param {Node} node - The node to search, itself included.
+ * @returns {Document[]} The accessible iframe documents, in document order.
+ */
+function getFrameDocuments(node) {
+  const iframes = isInstanceOfElement(node, "HTMLIFrameElement") ? [node] : [];
+  if (node.querySelectorAll) {
+    iframes.push(...toArray(node.querySelectorAll("iframe")));
+  }
+
+  return iframes
+    .map(getFrameDocument)
+    .filter(Boolean)
+    .flatMap((doc) => [doc, ...getFrameDocuments(doc)]);
+}
+
 module.exports = {
   resolveUrl,
   uuid,
   delay,
   toArray,
   getImageSize,
+  getCaptureRegion,
   getPixelRatio,
+  canvasDimensionLimit,
   checkCanvasDimensions,
   canvasToBlob,
   createImage,
+  serializeSvg,
   svgToDataURL,
+  createSvgElement,
   nodeToDataURL,
   isInstanceOfElement,
+  getFrameDocument,
+  getFrameDocuments,
 };
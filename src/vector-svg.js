@@ -0,0 +1,1185 @@
+const { getNodeWindow } = require("./environment");
+const { throwIfAborted } = require("./abort");
+const { isDataUrl, resourceToDataURL } = require("./dataurl");
+const { getMimeType } = require("./mimes");
+const { getChildNodes } = require("./clone-node");
+const { splitCSS } = require("./minify");
+const { createImage, isInstanceOfElement, uuid } = require("./util");
+
+const xmlns = "http://www.w3.org/2000/svg";
+
+// Namespaces of the prefixed attributes, which older SVG editors require instead of plain `href`.
+const attributeNamespaces = {
+  "xlink:href": "http://www.w3.org/1999/xlink",
+  "xml:space": "http://www.w3.org/XML/1998/namespace",
+};
+
+const TEXT_NODE = 3;
+const ELEMENT_NODE = 1;
+
+const SIDES = ["top", "right", "bottom", "left"];
+const CORNERS = ["top-left", "top-right", "bottom-right", "bottom-left"];
+
+// Ascent of a font as a fraction of its content height, when it cannot be measured with a canvas.
+const DEFAULT_ASCENT_RATIO = 0.8;
+
+// `preserveAspectRatio` of an image for each `object-fit` value.
+const objectFits = {
+  fill: "none",
+  contain: "xMidYMid meet",
+  cover: "xMidYMid slice",
+  none: "xMidYMid meet",
+  "scale-down": "xMidYMid meet",
+};
+
+/**
+ * Rounds a coordinate to three decimals, so the markup stays short.
+ *
+ * @param {number} value - The coordinate.
+ * @returns {number} The rounded coordinate.
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Creates an SVG element with attributes, skipping the attributes whose value is `null` or `undefined`.
+ *
+ * @param {Object} context - The vector render context.
+ * @param {string} name - The tag name, e.g. `"rect"`.
+ * @param {Object} [attributes={}] - The attributes; numbers are rounded.
+ * @returns {SVGElement} The element.
+ */
+function createElement(context, name, attributes = {}) {
+  const element = context.doc.createElementNS(xmlns, name);
+  Object.keys(attributes).forEach((key) => {
+    const value = attributes[key];
+    if (value != null) {
+      element.setAttributeNS(
+        attributeNamespaces[key] || null,
+        key,
+        typeof value === "number" ? `${round(value)}` : value
+      );
+    }
+  });
+  return element;
+}
+
+/**
+ * Splits a CSS color into an opaque color and its alpha, because `fill-opacity` and `stop-opacity` are understood by
+ * more SVG editors than `rgba()` colors.
+ *
+ * @param {string} value - The computed color, e.g. `"rgba(0, 0, 0, 0.5)"`.
+ * @returns {{color: string, opacity: number}} The color and its opacity, 0 for `transparent`.
+ */
+function parseColor(value) {
+  const color = (value || "").trim();
+  if (!color || color === "transparent") {
+    return { color: "none", opacity: 0 };
+  }
+
+  const match = /^rgba?\((.*)\)$/.exec(color);
+  if (!match) {
+    return { color, opacity: 1 };
+  }
+
+  const [r, g, b, a] = match[1].split(/[\s,/]+/).filter(Boolean);
+  const opacity = a == null ? 1 : parseFloat(a) / (a.endsWith("%") ? 100 : 1);
+  return { color: `rgb(${r},${g},${b})`, opacity };
+}
+
+/**
+ * Returns the attributes that paint a shape with a CSS color.
+ *
+ * @param {string} value - The computed color.
+ * @param {string} [property="fill"] - `"fill"` or `"stroke"`.
+ * @returns {Object|null} The paint attributes, or `null` for a transparent color.
+ */
+function paint(value, property = "fill") {
+  const { color, opacity } = parseColor(value);
+  if (opacity <= 0) {
+    return null;
+  }
+  return {
+    [property]: color,
+    [`${property}-opacity`]: opacity < 1 ? opacity : null,
+  };
+}
+
+/**
+ * Resolves a CSS length or percentage in pixels.
+ *
+ * @param {string} value - The length, e.g. `"10px"` or `"50%"`.
+ * @param {number} reference - The length a percentage refers to.
+ * @returns {number} The length in pixels, 0 if it cannot be parsed.
+ */
+function toPixels(value, reference) {
+  const number = parseFloat(value) || 0;
+  return String(value).trim().endsWith("%")
+    ? (number * reference) / 100
+    : number;
+}
+
+/**
+ * Returns the box of an element relative to the captured node, in CSS pixels.
+ *
+ * @param {Object} context - The vector render context.
+ * @param {Element} element - The element.
+ * @returns {{x: number, y: number, width: number, height: number}} The border box of the element.
+ */
+function getBox(context, element) {
+  const rect = element.getBoundingClientRect();
+  return {
+    x: rect.left - context.origin.x,
+    y: rect.top - context.origin.y,
+    width: rect.width,
+    height: rect.height,
+  };
+}
+
+/**
+ * Shrinks a box by an inset on each side.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} box - The box.
+ * @param {number[]} inset - The inset of the top, right, bottom and left sides.
+ * @returns {{x: number, y: number, width: number, height: number}} The inner box.
+ */
+function insetBox(box, [top, right, bottom, left]) {
+  return {
+    x: box.x + left,
+    y: box.y + top,
+    width: Math.max(0, box.width - left - right),
+    height: Math.max(0, box.height - top - bottom),
+  };
+}
+
+/**
+ * Reads the width of each border side of an element.
+ *
+ * @param {CSSStyleDeclaration} style - The computed style of the element.
+ * @returns {number[]} The top, right, bottom and left border widths.
+ */
+function getBorderWidths(style) {
+  return SIDES.map(
+    (side) => parseFloat(style.getPropertyValue(`border-${side}-width`)) || 0
+  );
+}
+
+/**
+ * Reads the padding of each side of an element.
+ *
+ * @param {CSSStyleDeclaration} style - The computed style of the element.
+ * @returns {number[]} The top, right, bottom and left paddings.
+ */
+function getPaddings(style) {
+  return SIDES.map(
+    (side) => parseFloat(style.getPropertyValue(`padding-${side}`)) || 0
+  );
+}
+
+/**
+ * Returns the padding or content box of an element from its border box.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} box - The border box.
+ * @param {CSSStyleDeclaration} style - The computed style of the element.
+ * @param {string} edge - `"border-box"`, `"padding-box"` or `"content-box"`.
+ * @returns {{x: number, y: number, width: number, height: number}} The requested box.
+ */
+function getEdgeBox(box, style, edge) {
+  if (edge === "padding-box" || edge === "content-box") {
+    const borders = getBorderWidths(style);
+    const inset =
+      edge === "content-box"
+        ? getPaddings(style).map((padding, i) => padding + borders[i])
+        : borders;
+    return insetBox(box, inset);
+  }
+  return box;
+}
+
+/**
+ * Reads the corner radii of an element, scaled down the way CSS does when adjacent radii overlap.
+ *
+ * @param {CSSStyleDeclaration} style - The computed style of the element.
+ * @param {{width: number, height: number}} box - The border box of the element.
+ * @returns {Array<{x: number, y: number}>} The top-left, top-right, bottom-right and bottom-left radii.
+ */
+function getRadii(style, box) {
+  const radii = CORNERS.map((corner) => {
+    const [x, y = x] = style
+      .getPropertyValue(`border-${corner}-radius`)
+      .trim()
+      .split(/\s+/);
+    return { x: toPixels(x, box.width), y: toPixels(y, box.height) };
+  });
+
+  const [tl, tr, br, bl] = radii;
+  const factor = Math.min(
+    1,
+    box.width / (tl.x + tr.x) || 1,
+    box.width / (bl.x + br.x) || 1,
+    box.height / (tl.y + bl.y) || 1,
+    box.height / (tr.y + br.y) || 1
+  );
+  return radii.map(({ x, y }) => ({ x: x * factor, y: y * factor }));
+}
+
+/**
+ * Shrinks corner radii for a box inset by the given amounts, as for the padding box inside the borders.
+ *
+ * @param {Array<{x: number, y: number}>} radii - The top-left, top-right, bottom-right and bottom-left radii.
+ * @param {number[]} inset - The inset of the top, right, bottom and left sides.
+ * @returns {Array<{x: number, y: number}>} The inner radii.
+ */
+function insetRadii(radii, [top, right, bottom, left]) {
+  const horizontal = [left, right, right, left];
+  const vertical = [top, top, bottom, bottom];
+  return radii.map(({ x, y }, i) => ({
+    x: Math.max(0, x - horizontal[i]),
+    y: Math.max(0, y - vertical[i]),
+  }));
+}
+
+/**
+ * Creates the shape of a box with rounded corners: a `rect`, with `rx`/`ry` when all corners are alike, or a `path`
+ * when they differ.
+ *
+ * @param {Object} context - The vector render context.
+ * @param {{x: number, y: number, width: number, height: number}} box - The box.
+ * @param {Array<{x: number, y: number}>} radii - The top-left, top-right, bottom-right and bottom-left radii.
+ * @param {Object} [attributes={}] - More attributes of the shape.
+ * @returns {SVGElement} The shape.
+ */
+function createBoxShape(context, box, radii, attributes = {}) {
+  const [tl, tr, br, bl] = radii;
+  const uniform = radii.every(({ x, y }) => x === tl.x && y === tl.y);
+  if (uniform) {
+    return createElement(context, "rect", {
+      x: box.x,
+      y: box.y,
+      width: box.width,
+      height: box.height,
+      rx: tl.x || null,
+      ry: tl.y || null,
+      ...attributes,
+    });
+  }
+
+  const { x, y, width: w, height: h } = box;
+  const n = round;
+  const d = [
+    `M${n(x + tl.x)} ${n(y)}`,
+    `H${n(x + w - tr.x)}`,
+    `A${n(tr.x)} ${n(tr.y)} 0 0 1 ${n(x + w)} ${n(y + tr.y)}`,
+    `V${n(y + h - br.y)}`,
+    `A${n(br.x)} ${n(br.y)} 0 0 1 ${n(x + w - br.x)} ${n(y + h)}`,
+    `H${n(x + bl.x)}`,
+    `A${n(bl.x)} ${n(bl.y)} 0 0 1 ${n(x)} ${n(y + h - bl.y)}`,
+    `V${n(y + tl.y)}`,
+    `A${n(tl.x)} ${n(tl.y)} 0 0 1 ${n(x + tl.x)} ${n(y)}`,
+    "Z",
+  ].join("");
+  return createElement(context, "path", { d, ...attributes });
+}
+
+/**
+ * Defines a clip path for a box with rounded corners and returns the `url()` referencing it.
+ *
+ * @param {Object} context - The vector render context.
+ * @param {{x: number, y: number, width: number, height: number}} box - The box to clip to.
+ * @param {Array<{x: number, y: number}>} radii - The corner radii of the box.
+ * @returns {string} The value of a `clip-path` attribute.
+ */
+function defineClipPath(context, box, radii) {
+  const id = uuid();
+  const clipPath = createElement(context, "clipPath", { id });
+  clipPath.appendChild(createBoxShape(context, box, radii));
+  context.defs.appendChild(clipPath);
+  return `url(#${id})`;
+}
+
+/**
+ * Parses a CSS color stop list into SVG gradient stops.
+ *
+ * Stops without a position are spread evenly between their neighbours, as in CSS. Pixel positions are relative to the
+ * length of the gradient line.
+ *
+ * @param {string[]} args - The color stops, e.g. `["rgb(255, 0, 0) 10%", "blue"]`.
+ * @param {number} length - The length of the gradient line in pixels.
+ * @returns {Array<{offset: number, color: string}>} The stops, with offsets between 0 and 1.
+ */
+function parseColorStops(args, length) {
+  const stops = [];
+  args.forEach((arg) => {
+    const match =
+      /^(.*?)(?:\s+(-?[\d.]+(?:%|px)))?(?:\s+(-?[\d.]+(?:%|px)))?$/.exec(arg);
+    const color = match[1].trim();
+    // A lone length is an interpolation hint, which SVG has no equivalent for.
+    if (!color || /^-?[\d.]/.test(color)) {
+      return;
+    }
+    [match[2], match[3]]
+      .filter((position, i) => i === 0 || position)
+      .forEach((position) => {
+        stops.push({
+          color,
+          offset: position ? toPixels(position, length) / length : null,
+        });
+      });
+  });
+
+  if (!stops.length) {
+    return stops;
+  }
+  if (stops[0].offset == null) stops[0].offset = 0;
+  if (stops[stops.length - 1].offset == null) {
+    stops[stops.length - 1].offset = 1;
+  }
+
+  for (let i = 1; i < stops.length; i++) {
+    if (stops[i].offset == null) {
+      const next = stops.findIndex((s, j) => j > i && s.offset != null);
+      const start = stops[i - 1].offset;
+      const step = (stops[next].offset - start) / (next - i + 1);
+      for (let j = i; j < next; j++) {
+        stops[j].offset = start + step * (j - i + 1);
+      }
+    }
+    // Stops never go back along the line.
+    stops[i].offset = Math.max(stops[i].offset, stops[i - 1].offset);
+  }
+
+  return stops;
+}
+
+/**
+ * Resolves the CSS angle of a linear gradient, in degrees clockwise from "to top".
+ *
+ * @param {string|undefined} direction - The direction argument, e.g. `"45deg"` or `"to top right"`.
+ * @param {{width: number, height: number}} box - The box the gradient fills.
+ * @returns {number} The angle in degrees.
+ */
+function getGradientAngle(direction, box) {
+  if (!direction) {
+    return 180;
+  }
+
+  const angle = /^(-?[\d.]+)(deg|rad|turn|grad)$/.exec(direction);
+  if (angle) {
+    const value = parseFloat(angle[1]);
+    const units = { deg: 1, rad: 180 / Math.PI, turn: 360, grad: 0.9 };
+    return value * units[angle[2]];
+  }
+
+  const words = direction.replace(/^to\s+/, "").split(/\s+/);
+  const corner = (Math.atan2(box.height, box.width) * 180) / Math.PI;
+  const vertical = words.includes("top")
+    ? "top"
+    : words.includes("bottom")
+    ? "bottom"
+    : null;
+  const horizontal = words.includes("left")
+    ? "left"
+    : words.includes("right")
+    ? "right"
+    : null;
+
+  if (vertical && horizontal) {
+    const angles = {
+      "top-right": corner,
+      "bottom-right": 180 - corner,
+      "bottom-left": 180 + corner,
+      "top-left": 360 - corner,
+    };
+    return angles[`${vertical}-${horizontal}`];
+  }
+  return (
+    { top: 0, right: 90, bottom: 180, left: 270 }[vertical || horizontal] ?? 180
+  );
+}
+
+/**
+ * Resolves a CSS position, such as the center of a radial gradient, in a box.
+ *
+ * @param {string|undefined} position - The position, e.g. `"30% 40%"` or `"left top"`.
+ * @param {{x: number, y: number, width: number, height: number}} box - The box.
+ * @returns {{x: number, y: number}} The position in the coordinates of the SVG.
+ */
+function resolvePosition(position, box) {
+  const keywords = { left: 0, top: 0, center: 50, right: 100, bottom: 100 };
+  let [x = "center", y = "center"] = (position || "").split(/\s+/);
+  if (x === "top" || x === "bottom" || y === "left" || y === "right") {
+    [x, y] = [y, x];
+  }
+  const resolve = (value, length) =>
+    value in keywords
+      ? (keywords[value] * length) / 100
+      : toPixels(value, length);
+  return {
+    x: box.x + resolve(x, box.width),
+    y: box.y + resolve(y, box.height),
+  };
+}
+
+/**
+ * Defines an SVG gradient from a CSS `linear-gradient()` or `radial-gradient()` and returns the `url()` referencing it.
+ *
+ * Linear gradients keep their angle and stops exactly. Radial gradients are drawn as a farthest-corner circle or
+ * ellipse around their center; explicit sizes are not reproduced. Repeating and conic gradients are not supported.
+ *
+ * @param {Object} context - The vector render context.
+ * @param {string} value - The gradient, as a computed `background-image` layer.
+ * @param {{x: number, y: number, width: number, height: number}} box - The box the gradient fills.
+ * @returns {string|null} The value of a `fill` attribute, or `null` if the gradient is not supported.
+ */
+function defineGradient(context, value, box) {
+  const match = /^(linear|radial)-gradient\(([\s\S]*)\)$/.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const args = splitCSS(match[2], ",").map((arg) => arg.trim());
+  const configured =
+    /^(to\s|-?[\d.]+(deg|rad|turn|grad)$|circle|ellipse|closest-|farthest-|at\s)/.test(
+      args[0]
+    );
+  const config = configured ? args.shift() : undefined;
+  const id = uuid();
+  let gradient;
+  let length;
+
+  if (match[1] === "linear") {
+    const angle = (getGradientAngle(config, box) * Math.PI) / 180;
+    const sin = Math.sin(angle);
+    const cos = Math.cos(angle);
+    length = Math.abs(box.width * sin) + Math.abs(box.height * cos);
+    const cx = box.x + box.width / 2;
+    const cy = box.y + box.height / 2;
+    gradient = createElement(context, "linearGradient", {
+      id,
+      gradientUnits: "userSpaceOnUse",
+      x1: cx - (sin * length) / 2,
+      y1: cy + (cos * length) / 2,
+      x2: cx + (sin * length) / 2,
+      y2: cy - (cos * length) / 2,
+    });
+  } else {
+    const center = resolvePosition(
+      config && config.includes("at ")
+        ? config.slice(config.indexOf("at ") + 3)
+        : undefined,
+      box
+    );
+    const dx = Math.max(center.x - box.x, box.x + box.width - center.x);
+    const dy = Math.max(center.y - box.y, box.y + box.height - center.y);
+    const circle = config && /^circle|\scircle/.test(config);
+    const rx = circle ? Math.hypot(dx, dy) : dx * Math.SQRT2;
+    const ry = circle ? rx : dy * Math.SQRT2;
+    length = rx;
+    gradient = createElement(context, "radialGradient", {
+      id,
+      gradientUnits: "userSpaceOnUse",
+      cx: center.x,
+      cy: center.y,
+      r: rx,
+      gradientTransform:
+        rx && ry !== rx
+          ? `translate(${round(center.x)} ${round(center.y)}) scale(1 ${round(
+              ry / rx
+            )}) translate(${round(-center.x)} ${round(-center.y)})`
+          : null,
+    });
+  }
+
+  parseColorStops(args, length || 1).forEach((stop) => {
+    const { color, opacity } = parseColor(stop.color);
+    gradient.appendChild(
+      createElement(context, "stop", {
+        offset: stop.offset,
+        "stop-color": opacity > 0 ? color : "#000",
+        "stop-opacity": opacity < 1 ? opacity : null,
+      })
+    );
+  });
+
+  context.defs.appendChild(gradient);
+  return `url(#${id})`;
+}
+
+/**
+ * Loads an image as a data URL with its natural size.
+ *
+ * URLs go through `resourceToDataURL`, like every other image of the render, so they share its cache, timeout, signal
+ * and placeholder handling.
+ *
+ * @async
+ * @param {Object} context - The vector render context.
+ * @param {string} url - The URL of the image.
+ * @returns {Promise<{href: string, width: number, height: number}|null>} A promise that resolves to the image, or `null`
+ *          if it could not be loaded.
+ */
+async function loadImage(context, url) {
+  const { options } = context;
+  const href = isDataUrl(url)
+    ? url
+    : await resourceToDataURL(url, getMimeType(url), options);
+  if (!href) {
+    return null;
+  }
+
+  try {
+    const image = await createImage(href, options.signal);
+    return { href, width: image.naturalWidth, height: image.naturalHeight };
+  } catch (error) {
+    throwIfAborted(options.signal);
+    return null;
+  }
+}
+
+/**
+ * Resolves the size of a background image from `background-size`.
+ *
+ * @param {string} size - The computed `background-size` of the layer.
+ * @param {{width: number, height: number}} image - The natural size of the image.
+ * @param {{width: number, height: number}} area - The background positioning area.
+ * @returns {{width: number, height: number}} The size the image is drawn at.
+ */
+function getBackgroundSize(size, image, area) {
+  if (size === "cover" || size === "contain") {
+    const scale = (size === "cover" ? Math.max : Math.min)(
+      area.width / image.width,
+      area.height / image.height
+    );
+    return { width: image.width * scale, height: image.height * scale };
+  }
+
+  const [w = "auto", h = "auto"] = size.split(/\s+/);
+  const ratio = image.width / image.height || 1;
+  let width = w === "auto" ? null : toPixels(w, area.width);
+  let height = h === "auto" ? null : toPixels(h, area.height);
+  if (width == null && height == null) {
+    ({ width, height } = image);
+  } else if (width == null) {
+    width = height * ratio;
+  } else if (height == null) {
+    height = width / ratio;
+  }
+  return { width, height };
+}
+
+/**
+ * Draws one `url()` layer of a background: a single `image`, or a `pattern` when the image repeats.
+ *
+ * @async
+ * @param {Object} context - The vector render context.
+ * @param {SVGElement} parent - The element to draw into.
+ * @param {string} url - The URL of the image.
+ * @param {{x: number, y: number, width: number, height: number}} area - The background positioning area.
+ * @param {{x: number, y: number, width: number, height: number}} clipBox - The background painting area.
+ * @param {Object} layer - The computed `background-size`, `background-position` and `background-repeat` of the layer.
+ * @returns {Promise<void>}
+ */
+async function drawBackgroundImage(context, parent, url, area, clipBox, layer) {
+  const image = await loadImage(context, url);
+  if (!image || !image.width || !image.height) {
+    return;
+  }
+
+  const size = getBackgroundSize(layer.size, image, area);
+  const [px = "0%", py = "0%"] = layer.position.split(/\s+/);
+  const x = area.x + toPixels(px, area.width - size.width);
+  const y = area.y + toPixels(py, area.height - size.height);
+  const href = {
+    "xlink:href": image.href,
+    width: size.width,
+    height: size.height,
+    preserveAspectRatio: "none",
+  };
+
+  if (layer.repeat === "no-repeat" || layer.repeat === "no-repeat no-repeat") {
+    parent.appendChild(createElement(context, "image", { x, y, ...href }));
+    return;
+  }
+
+  const id = uuid();
+  const pattern = createElement(context, "pattern", {
+    id,
+    patternUnits: "userSpaceOnUse",
+    x,
+    y,
+    width: size.width,
+    height: size.height,
+  });
+  pattern.appendChild(createElement(context, "image", href));
+  context.defs.appendChild(pattern);
+  parent.appendChild(
+    createElement(context, "rect", {
+      x: clipBox.x,
+      y: clipBox.y,
+      width: clipBox.width,
+      height: clipBox.height,
+      fill: `url(#${id})`,
+    })
+  );
+}
+
+/**
+ * Draws the background of an element: its color, then its image layers from the bottom one up.
+ *
+ * The background is clipped to the rounded border box. Gradients become SVG gradients, `url()` images become `image`
+ * elements or patterns.
+ *
+ * @async
+ * @param {Object} context - The vector render context.
+ * @param {SVGElement} parent - The element to draw into.
+ * @param {CSSStyleDeclaration} style - The computed style of the element.
+ * @param {{x: number, y: number, width: number, height: number}} box - The border box of the element.
+ * @param {Array<{x: number, y: number}>} radii - The corner radii of the border box.
+ * @returns {Promise<void>}
+ */
+async function drawBackground(context, parent, style, box, radii) {
+  const clipBox = getEdgeBox(
+    box,
+    style,
+    style.getPropertyValue("background-clip")
+  );
+  const clipRadii = insetRadii(radii, [
+    clipBox.y - box.y,
+    box.x + box.width - clipBox.x - clipBox.width,
+    box.y + box.height - clipBox.y - clipBox.height,
+    clipBox.x - box.x,
+  ]);
+
+  const color = paint(style.getPropertyValue("background-color"));
+  if (color) {
+    parent.appendChild(createBoxShape(context, clipBox, clipRadii, color));
+  }
+
+  const image = style.getPropertyValue("background-image");
+  if (!image || image === "none") {
+    return;
+  }
+
+  const group = clipRadii.some(({ x, y }) => x || y)
+    ? createElement(context, "g", {
+        "clip-path": defineClipPath(context, clipBox, clipRadii),
+      })
+    : parent;
+  const area = getEdgeBox(
+    box,
+    style,
+    style.getPropertyValue("background-origin") || "padding-box"
+  );
+  const layerValue = (property, i) => {
+    const values = splitCSS(style.getPropertyValue(property), ",");
+    return values[i % values.length].trim();
+  };
+
+  const layers = splitCSS(image, ",").map((layer) => layer.trim());
+  for (let i = layers.length - 1; i >= 0; i--) {
+    const url = /^url\((['"]?)(.*)\1\)$/.exec(layers[i]);
+    if (url) {
+      await drawBackgroundImage(context, group, url[2], area, clipBox, {
+        size: layerValue("background-size", i),
+        position: layerValue("background-position", i),
+        repeat: layerValue("background-repeat", i),
+      });
+    } else {
+      const fill = defineGradient(context, layers[i], area);
+      if (fill) {
+        group.appendChild(
+          createElement(context, "rect", {
+            x: clipBox.x,
+            y: clipBox.y,
+            width: clipBox.width,
+            height: clipBox.height,
+            fill,
+          })
+        );
+      }
+    }
+  }
+
+  if (group !== parent && group.childNodes.length) {
+    parent.appendChild(group);
+  }
+}
+
+/**
+ * Draws the borders of an element.
+ *
+ * When all four sides match, the border is a single stroked shape that follows the rounded corners, dashed or dotted
+ * as in CSS. Otherwise every visible side is drawn as its own trapezoid, without rounded corners.
+ *
+ * @param {Object} context - The vector render context.
+ * @param {SVGElement} parent - The element to draw into.
+ * @param {CSSStyleDeclaration} style - The computed style of the element.
+ * @param {{x: number, y: number, width: number, height: number}} box - The border box of the element.
+ * @param {Array<{x: number, y: number}>} radii - The corner radii of the border box.
+ */
+function drawBorders(context, parent, style, box, radii) {
+  const widths = getBorderWidths(style);
+  const sides = SIDES.map((side, i) => ({
+    width: widths[i],
+    style: style.getPropertyValue(`border-${side}-style`),
+    color: style.getPropertyValue(`border-${side}-color`),
+  }));
+  const visible = sides.map(
+    (side) =>
+      side.width > 0 &&
+      side.style !== "none" &&
+      side.style !== "hidden" &&
+      paint(side.color) !== null
+  );
+  if (!visible.some(Boolean)) {
+    return;
+  }
+
+  const [first] = sides;
+  const uniform = sides.every(
+    (side, i) =>
+      visible[i] &&
+      side.width === first.width &&
+      side.style === first.style &&
+      side.color === first.color
+  );
+
+  if (uniform) {
+    const w = first.width;
+    const dashes = {
+      dashed: `${round(w * 3)} ${round(w * 3)}`,
+      dotted: `0 ${round(w * 2)}`,
+    };
+    parent.appendChild(
+      createBoxShape(
+        context,
+        insetBox(box, [w / 2, w / 2, w / 2, w / 2]),
+        insetRadii(radii, [w / 2, w / 2, w / 2, w / 2]),
+        {
+          fill: "none",
+          ...paint(first.color, "stroke"),
+          "stroke-width": w,
+          "stroke-dasharray": dashes[first.style] || null,
+          "stroke-linecap": first.style === "dotted" ? "round" : null,
+        }
+      )
+    );
+    return;
+  }
+
+  const outer = box;
+  const inner = insetBox(box, widths);
+  const corners = (b) => [
+    [b.x, b.y],
+    [b.x + b.width, b.y],
+    [b.x + b.width, b.y + b.height],
+    [b.x, b.y + b.height],
+  ];
+  const o = corners(outer);
+  const n = corners(inner);
+  sides.forEach((side, i) => {
+    if (!visible[i]) {
+      return;
+    }
+    const j = (i + 1) % 4;
+    const points = [o[i], o[j], n[j], n[i]]
+      .map(([x, y]) => `${round(x)},${round(y)}`)
+      .join(" ");
+    parent.appendChild(
+      createElement(context, "polygon", { points, ...paint(side.color) })
+    );
+  });
+}
+
+/**
+ * Draws a replaced element (an image, a canvas or an inline SVG) into its content box.
+ *
+ * @async
+ * @param {Object} context - The vector render context.
+ * @param {SVGElement} parent - The element to draw into.
+ * @param {Element} element - The replaced element.
+ * @param {CSSStyleDeclaration} style - The computed style of the element.
+ * @param {{x: number, y: number, width: number, height: number}} box - The border box of the element.
+ * @param {Array<{x: number, y: number}>} radii - The corner radii of the border box.
+ * @returns {Promise<void>}
+ */
+async function drawReplaced(context, parent, element, style, box, radii) {
+  const content = getEdgeBox(box, style, "content-box");
+  const inset = getBorderWidths(style).map(
+    (border, i) => border + getPaddings(style)[i]
+  );
+  const contentRadii = insetRadii(radii, inset);
+  const clip = contentRadii.some(({ x, y }) => x || y)
+    ? defineClipPath(context, content, contentRadii)
+    : null;
+  const bounds = {
+    x: content.x,
+    y: content.y,
+    width: content.width,
+    height: content.height,
+  };
+
+  if (isInstanceOfElement(element, "SVGSVGElement")) {
+    const svg = element.cloneNode(true);
+    Object.keys(bounds).forEach((key) => svg.setAttribute(key, bounds[key]));
+    const group = createElement(context, "g", { "clip-path": clip });
+    group.appendChild(context.doc.importNode(svg, true));
+    parent.appendChild(group);
+    return;
+  }
+
+  let href = null;
+  if (isInstanceOfElement(element, "HTMLCanvasElement")) {
+    try {
+      href = element.toDataURL();
+    } catch (error) {
+      // A tainted canvas cannot be read; it is left out.
+    }
+  } else {
+    const image = await loadImage(context, element.currentSrc || element.src);
+    href = image && image.href;
+  }
+  if (!href) {
+    return;
+  }
+
+  parent.appendChild(
+    createElement(context, "image", {
+      ...bounds,
+      "xlink:href": href,
+      preserveAspectRatio:
+        objectFits[style.getPropertyValue("object-fit")] || "none",
+      "clip-path": clip,
+    })
+  );
+}
+
+/**
+ * Measures how far the baseline of a font is from the top of its content area, as a fraction of the content height.
+ *
+ * @param {Object} context - The vector render context.
+ * @param {string} font - The CSS font, e.g. `"italic 700 16px Inter"`.
+ * @returns {number} The ratio of the ascent to the content height.
+ */
+function getAscentRatio(context, font) {
+  if (!(font in context.ascentRatios)) {
+    let ratio = DEFAULT_ASCENT_RATIO;
+    try {
+      const canvasContext = context.doc
+        .createElement("canvas")
+        .getContext("2d");
+      canvasContext.font = font;
+      const metrics = canvasContext.measureText("Hg");
+      const ascent = metrics.fontBoundingBoxAscent;
+      const descent = metrics.fontBoundingBoxDescent;
+      if (ascent + descent > 0) {
+        ratio = ascent / (ascent + descent);
+      }
+    } catch (error) {
+      // Without a canvas, the typical ratio of Latin fonts is used.
+    }
+    context.ascentRatios[font] = ratio;
+  }
+  return context.ascentRatios[font];
+}
+
+/**
+ * Applies `text-transform` to text, since the DOM holds the untransformed text.
+ *
+ * @param {string} text - The text.
+ * @param {string} transform - The computed `text-transform`.
+ * @returns {string} The transformed text.
+ */
+function transformText(text, transform) {
+  if (transform === "uppercase") return text.toUpperCase();
+  if (transform === "lowercase") return text.toLowerCase();
+  if (transform === "capitalize") {
+    return text.replace(
+      /(^|\s)(\S)/g,
+      (m, space, char) => `${space}${char.toUpperCase()}`
+    );
+  }
+  return text;
+}
+
+/**
+ * Splits a text node into the lines it is laid out on.
+ *
+ * Every word is measured with a Range; consecutive words on the same row form a line, which starts at the left edge of
+ * its first word.
+ *
+ * @param {Object} context - The vector render context.
+ * @param {Text} textNode - The text node.
+ * @returns {Array<{text: string, x: number, top: number, height: number}>} The lines, in the SVG coordinates.
+ */
+function getTextLines(context, textNode) {
+  const text = textNode.nodeValue;
+  const range = context.doc.createRange();
+  const lines = [];
+  const words = /\S+/g;
+  let match;
+
+  while ((match = words.exec(text))) {
+    range.setStart(textNode, match.index);
+    range.setEnd(textNode, match.index + match[0].length);
+    const rect = range.getClientRects()[0];
+    if (!rect || (!rect.width && !rect.height)) {
+      continue;
+    }
+
+    const end = match.index + match[0].length;
+    const line = lines[lines.length - 1];
+    if (
+      line &&
+      Math.abs(rect.top - line.rect.top) < line.rect.height / 2 &&
+      rect.left >= line.right - 1
+    ) {
+      line.end = end;
+      line.right = rect.right;
+    } else {
+      lines.push({ rect, start: match.index, end, right: rect.right });
+    }
+  }
+
+  return lines.map((line) => ({
+    text: text.slice(line.start, line.end),
+    x: line.rect.left - context.origin.x,
+    top: line.rect.top - context.origin.y,
+    height: line.rect.height,
+  }));
+}
+
+/**
+ * Draws a text node as a `text` element with one `tspan` per laid-out line, keeping it selectable and editable.
+ *
+ * @param {Object} context - The vector render context.
+ * @param {SVGElement} parent - The element to draw into.
+ * @param {Text} textNode - The text node.
+ * @param {CSSStyleDeclaration} style - The computed style of the text's parent element.
+ */
+function drawText(context, parent, textNode, style) {
+  if (!textNode.nodeValue.trim()) {
+    return;
+  }
+  const fill = paint(style.getPropertyValue("color"));
+  const lines = getTextLines(context, textNode);
+  if (!fill || !lines.length) {
+    return;
+  }
+
+  const get = (property) => style.getPropertyValue(property);
+  const font = [
+    get("font-style"),
+    get("font-weight"),
+    get("font-size"),
+    get("font-family"),
+  ].join(" ");
+  const ratio = getAscentRatio(context, font);
+  const whiteSpace = get("white-space");
+  const preserve =
+    whiteSpace.startsWith("pre") || whiteSpace === "break-spaces";
+  const decoration = (get("text-decoration-line") || get("text-decoration"))
+    .split(/\s+/)
+    .filter((line) => ["underline", "overline", "line-through"].includes(line))
+    .join(" ");
+  const spacing = (property) =>
+    get(property) && get(property) !== "normal" ? get(property) : null;
+
+  const text = createElement(context, "text", {
+    "font-family": get("font-family"),
+    "font-size": get("font-size"),
+    "font-weight": get("font-weight") !== "400" ? get("font-weight") : null,
+    "font-style": get("font-style") !== "normal" ? get("font-style") : null,
+    "letter-spacing": spacing("letter-spacing"),
+    "word-spacing": spacing("word-spacing"),
+    "text-decoration": decoration || null,
+    "xml:space": preserve ? "preserve" : null,
+    ...fill,
+  });
+
+  lines.forEach((line) => {
+    const content = transformText(
+      preserve ? line.text : line.text.replace(/\s+/g, " "),
+      get("text-transform")
+    );
+    const tspan = createElement(context, "tspan", {
+      x: line.x,
+      y: line.top + line.height * ratio,
+    });
+    tspan.textContent = content;
+    text.appendChild(tspan);
+  });
+
+  parent.appendChild(text);
+}
+
+/**
+ * Tells whether an element clips its content, so its children are drawn inside a clip path.
+ *
+ * @param {CSSStyleDeclaration} style - The computed style of the element.
+ * @returns {boolean} True if the content is clipped on either axis.
+ */
+function clipsContent(style) {
+  return ["overflow-x", "overflow-y"].some(
+    (property) => style.getPropertyValue(property) !== "visible"
+  );
+}
+
+/**
+ * Draws an element and its descendants as native SVG shapes.
+ *
+ * Every element paints its background and borders, then its content: replaced elements become `image` (or a nested
+ * `svg`), text nodes become `text`, and child elements are drawn recursively, in document order. Translucent elements
+ * become groups with an `opacity`, and elements that clip their overflow draw their content through a `clipPath` of
+ * their padding box.
+ *
+ * @async
+ * @param {Object} context - The vector render context.
+ * @param {SVGElement} parent - The element to draw into.
+ * @param {Element} element - The element to draw.
+ * @param {boolean} isRoot - Whether this is the captured node, which is never filtered out.
+ * @returns {Promise<void>}
+ */
+async function drawElement(context, parent, element, isRoot) {
+  const { options } = context;
+  throwIfAborted(options.signal);
+  if (!isRoot && options.filter && !options.filter(element)) {
+    return;
+  }
+
+  const style = context.win.getComputedStyle(element);
+  if (style.getPropertyValue("display") === "none") {
+    return;
+  }
+
+  const box = getBox(context, element);
+  const radii = getRadii(style, box);
+  const opacity = parseFloat(style.getPropertyValue("opacity"));
+  let group = parent;
+  if (opacity < 1) {
+    group = createElement(context, "g", { opacity });
+    parent.appendChild(group);
+  }
+
+  const visible = style.getPropertyValue("visibility") !== "hidden";
+  if (visible) {
+    await drawBackground(context, group, style, box, radii);
+    drawBorders(context, group, style, box, radii);
+  }
+
+  if (
+    ["HTMLImageElement", "HTMLCanvasElement", "SVGSVGElement"].some((type) =>
+      isInstanceOfElement(element, type)
+    )
+  ) {
+    if (visible) {
+      await drawReplaced(context, group, element, style, box, radii);
+    }
+    return;
+  }
+  // The content of iframes is laid out in their own viewport.
+  if (isInstanceOfElement(element, "HTMLIFrameElement")) {
+    return;
+  }
+
+  let content = group;
+  if (clipsContent(style)) {
+    const borders = getBorderWidths(style);
+    content = createElement(context, "g", {
+      "clip-path": defineClipPath(
+        context,
+        insetBox(box, borders),
+        insetRadii(radii, borders)
+      ),
+    });
+    group.appendChild(content);
+  }
+
+  for (const child of getChildNodes(element)) {
+    if (child.nodeType === TEXT_NODE) {
+      if (visible) {
+        drawText(context, content, child, style);
+      }
+    } else if (child.nodeType === ELEMENT_NODE) {
+      await drawElement(context, content, child, false);
+    }
+  }
+
+  if (content !== group && !content.childNodes.length) {
+    content.remove();
+  }
+}
+
+/**
+ * Converts a DOM node into a native vector SVG, made of `rect`, `path`, `text`, `image` and gradient elements instead of
+ * a `foreignObject`.
+ *
+ * The node is walked in the page, where its layout boxes are known: every element becomes its background (colors,
+ * linear and radial gradients, images), borders (with rounded corners) and content, with overflow clipped by clip
+ * paths; text is positioned line by line from the browser's own line breaks. The result opens in tools that cannot
+ * render HTML, such as vector editors and PDF converters, and stays editable there. Web fonts are embedded in a
+ * `style` element unless `options.skipFonts` is set.
+ *
+ * The conversion covers the box model and text, not all of CSS: box and text shadows, filters, transforms other than
+ * their bounding box, pseudo-elements, form control values, `z-index` reordering and the content of iframes are not
+ * reproduced. Use `toSvg` when fidelity matters more than portability.
+ *
+ * @async
+ * @param {Element} node - The DOM node to convert, attached to a rendered document.
+ * @param {{x: number, y: number, width: number, height: number}} region - The part of the node to show.
+ * @param {Object} options - The render options.
+ * @param {string} [fontCSS] - The `@font-face` rules of the web fonts to embed.
+ * @returns {Promise<SVGElement>} A promise that resolves to the SVG element.
+ */
+async function nodeToVectorSvg(node, region, options, fontCSS) {
+  const doc = node.ownerDocument;
+  const rect = node.getBoundingClientRect();
+  const svg = doc.createElementNS(xmlns, "svg");
+  const context = {
+    doc,
+    win: getNodeWindow(node, options),
+    origin: { x: rect.left, y: rect.top },
+    defs: doc.createElementNS(xmlns, "defs"),
+    ascentRatios: {},
+    options,
+  };
+
+  svg.setAttributeNS(
+    "http://www.w3.org/2000/xmlns/",
+    "xmlns:xlink",
+    attributeNamespaces["xlink:href"]
+  );
+  svg.setAttribute("width", `${region.width}`);
+  svg.setAttribute("height", `${region.height}`);
+  svg.setAttribute(
+    "viewBox",
+    `${region.x} ${region.y} ${region.width} ${region.height}`
+  );
+  svg.appendChild(context.defs);
+
+  if (fontCSS) {
+    const style = doc.createElementNS(xmlns, "style");
+    style.appendChild(doc.createTextNode(fontCSS));
+    context.defs.appendChild(style);
+  }
+
+  if (options.backgroundColor) {
+    svg.appendChild(
+      createElement(context, "rect", {
+        ...region,
+        ...paint(options.backgroundColor),
+      })
+    );
+  }
+
+  await drawElement(context, svg, node, true);
+
+  if (!context.defs.childNodes.length) {
+    context.defs.remove();
+  }
+  return svg;
+}
+
+module.exports = {
+  nodeToVectorSvg,
+};
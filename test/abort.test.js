@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  abortable,
+  isAbortError,
+  throwIfAborted,
+  createAbortError,
+  withTimeout,
+} = require("../src/abort");
+
+const never = new Promise(() => {});
+
+test("throwIfAborted throws an AbortError only once the signal is aborted", () => {
+  const controller = new AbortController();
+
+  throwIfAborted(undefined);
+  throwIfAborted(controller.signal);
+  controller.abort();
+  assert.throws(
+    () => throwIfAborted(controller.signal),
+    (error) => error instanceof DOMException && isAbortError(error)
+  );
+});
+
+test("abortable settles like the promise when the signal is not aborted", async () => {
+  const controller = new AbortController();
+
+  assert.equal(await abortable(Promise.resolve(1), controller.signal), 1);
+  await assert.rejects(
+    abortable(Promise.reject(new Error("failed")), controller.signal),
+    /failed/
+  );
+});
+
+test("abortable returns the promise itself without a signal", () => {
+  const promise = Promise.resolve();
+
+  assert.equal(abortable(promise), promise);
+});
+
+test("abortable rejects with an AbortError as soon as the signal is aborted", async () => {
+  const controller = new AbortController();
+  const waiting = abortable(never, controller.signal);
+
+  controller.abort();
+  await assert.rejects(waiting, { name: "AbortError" });
+});
+
+test("abortable rejects right away with an already aborted signal", async () => {
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(abortable(Promise.resolve(1), controller.signal), {
+    name: "AbortError",
+  });
+});
+
+test("isAbortError recognizes AbortErrors only", () => {
+  assert.equal(isAbortError(createAbortError()), true);
+  assert.equal(isAbortError(new Error("failed")), false);
+  assert.equal(isAbortError(null), false);
+});
+
+test("withTimeout runs the work with the caller's signal when there is no timeout", async () => {
+  const controller = new AbortController();
+
+  assert.equal(
+    await withTimeout(controller.signal, 0, "unused", (signal) => signal),
+    controller.signal
+  );
+});
+
+test("withTimeout rejects with a TimeoutError and aborts the work at the time limit", async () => {
+  let workSignal;
+  await assert.rejects(
+    withTimeout(undefined, 10, "Too slow", (signal) => {
+      workSignal = signal;
+      return never;
+    }),
+    (error) => error.name === "TimeoutError" && error.message === "Too slow"
+  );
+  assert.equal(workSignal.aborted, true);
+});
+
+test("withTimeout settles like the work when it finishes in time", async () => {
+  assert.equal(await withTimeout(undefined, 1000, "unused", async () => 1), 1);
+  await assert.rejects(
+    withTimeout(undefined, 1000, "unused", async () => {
+      throw new Error("failed");
+    }),
+    /failed/
+  );
+});
+
+test("withTimeout passes the caller's abort on to the work", async () => {
+  const controller = new AbortController();
+  let workSignal;
+  const result = withTimeout(controller.signal, 1000, "unused", (signal) => {
+    workSignal = signal;
+    throwIfAborted(signal);
+    return new Promise((resolve, reject) =>
+      signal.addEventListener("abort", () => reject(createAbortError()))
+    );
+  });
+
+  controller.abort();
+  await assert.rejects(result, { name: "AbortError" });
+  assert.equal(workSignal.aborted, true);
+});
@@ -0,0 +1,135 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runInOrder, createFontCSSCache } = require("../src/batch");
+
+const collect = async (iterator) => {
+  const outcomes = [];
+  for await (const outcome of iterator) {
+    outcomes.push(outcome);
+  }
+  return outcomes;
+};
+
+const defer = () => {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+};
+
+test("runInOrder yields outcomes in input order, whatever order tasks settle in", async () => {
+  const delays = [30, 5, 15, 0];
+  const outcomes = await collect(
+    runInOrder(
+      ["a", "b", "c", "d"],
+      (item, index) =>
+        new Promise((resolve) =>
+          setTimeout(() => resolve(item + index), delays[index])
+        ),
+      2
+    )
+  );
+
+  assert.deepEqual(outcomes, [
+    { index: 0, item: "a", result: "a0" },
+    { index: 1, item: "b", result: "b1" },
+    { index: 2, item: "c", result: "c2" },
+    { index: 3, item: "d", result: "d3" },
+  ]);
+});
+
+test("runInOrder keeps at most `concurrency` tasks running", async () => {
+  let running = 0;
+  let peak = 0;
+  await collect(
+    runInOrder(
+      [1, 2, 3, 4, 5, 6],
+      async () => {
+        running += 1;
+        peak = Math.max(peak, running);
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        running -= 1;
+      },
+      3
+    )
+  );
+
+  assert.equal(peak, 3);
+});
+
+test("runInOrder reports failures without stopping the other tasks", async () => {
+  const error = new Error("boom");
+  const outcomes = await collect(
+    runInOrder([1, 2, 3], (item) => {
+      if (item === 2) {
+        throw error;
+      }
+      return item * 2;
+    })
+  );
+
+  assert.deepEqual(outcomes, [
+    { index: 0, item: 1, result: 2 },
+    { index: 1, item: 2, error },
+    { index: 2, item: 3, result: 6 },
+  ]);
+});
+
+const createNode = (ownerDocument) => ({
+  ownerDocument,
+  querySelectorAll: () => [],
+});
+
+test("createFontCSSCache computes the CSS once per document and shares it", async () => {
+  const pending = defer();
+  const calls = [];
+  const getFontCSS = createFontCSSCache((node) => {
+    calls.push(node);
+    return pending.promise;
+  }, {});
+  const page = {};
+  const other = {};
+
+  const first = getFontCSS(createNode(page));
+  const second = getFontCSS(createNode(page));
+  const third = getFontCSS(createNode(other));
+  pending.resolve("@font-face {}");
+
+  assert.deepEqual(await Promise.all([first, second, third]), [
+    "@font-face {}",
+    "@font-face {}",
+    "@font-face {}",
+  ]);
+  assert.equal(calls.length, 2);
+});
+
+test("createFontCSSCache retries a document after a failure", async () => {
+  let attempts = 0;
+  const getFontCSS = createFontCSSCache(async () => {
+    attempts += 1;
+    if (attempts === 1) {
+      throw new Error("network");
+    }
+    return "css";
+  }, {});
+  const page = {};
+
+  await assert.rejects(getFontCSS(createNode(page)), /network/);
+  assert.equal(await getFontCSS(createNode(page)), "css");
+  assert.equal(await getFontCSS(createNode(page)), "css");
+  assert.equal(attempts, 2);
+});
+
+test("createFontCSSCache uses the caller's fontEmbedCSS and skipFonts", async () => {
+  const unused = () => assert.fail("computed the font CSS");
+
+  assert.equal(
+    await createFontCSSCache(unused, { fontEmbedCSS: "given" })(createNode({})),
+    "given"
+  );
+  assert.equal(
+    await createFontCSSCache(unused, { skipFonts: true })(createNode({})),
+    ""
+  );
+});
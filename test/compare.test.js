@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffPixels } = require("../src/compare");
+
+const white = [255, 255, 255, 255];
+const black = [0, 0, 0, 255];
+
+const createImage = (width, height, colorAt) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(colorAt(x, y), (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+};
+
+const pixelAt = (image, x, y) => {
+  const offset = (y * image.width + x) * 4;
+  return Array.from(image.data.subarray(offset, offset + 4));
+};
+
+// Black on the left half, white on the right half.
+const edge = createImage(10, 10, (x) => (x < 5 ? black : white));
+
+test("diffPixels finds no mismatch between identical images", () => {
+  const result = diffPixels(edge, edge);
+
+  assert.equal(result.mismatchedPixels, 0);
+  assert.equal(result.width, 10);
+  assert.equal(result.height, 10);
+  assert.equal(result.diff.data.length, 10 * 10 * 4);
+});
+
+test("diffPixels ignores differences below the threshold", () => {
+  const faint = createImage(10, 10, (x) => (x < 5 ? [8, 8, 8, 255] : white));
+
+  assert.equal(diffPixels(edge, faint).mismatchedPixels, 0);
+  assert.equal(diffPixels(edge, faint, { threshold: 0 }).mismatchedPixels, 50);
+});
+
+test("diffPixels compares transparent pixels as blended with white", () => {
+  const transparent = createImage(10, 10, (x) =>
+    x < 5 ? black : [0, 0, 0, 0]
+  );
+
+  assert.equal(diffPixels(edge, transparent).mismatchedPixels, 0);
+});
+
+test("diffPixels marks changed pixels in red", () => {
+  const changed = createImage(10, 10, (x, y) =>
+    x === 7 && y === 7 ? [255, 0, 0, 255] : x < 5 ? black : white
+  );
+  const result = diffPixels(edge, changed);
+
+  assert.equal(result.mismatchedPixels, 1);
+  assert.deepEqual(pixelAt(result.diff, 7, 7), [255, 0, 0, 255]);
+});
+
+test("diffPixels ignores anti-aliased edges unless antialiasing is disabled", () => {
+  const smoothed = createImage(10, 10, (x) =>
+    x < 5 ? black : x === 5 ? [128, 128, 128, 255] : white
+  );
+  const result = diffPixels(edge, smoothed);
+
+  assert.equal(result.mismatchedPixels, 0);
+  assert.deepEqual(pixelAt(result.diff, 5, 0), [255, 255, 0, 255]);
+  assert.equal(
+    diffPixels(edge, smoothed, { antialiasing: false }).mismatchedPixels,
+    10
+  );
+});
+
+test("diffPixels compares images of different sizes over the larger size", () => {
+  const wider = createImage(12, 11, (x) => (x < 5 ? black : white));
+  const result = diffPixels(edge, wider);
+
+  assert.equal(result.width, 12);
+  assert.equal(result.height, 11);
+  assert.equal(result.mismatchedPixels, 12 * 11 - 10 * 10);
+});
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { resourceToDataURL } = require("../src/dataurl");
+
+const createResponse = (url, status = 200) => ({
+  url,
+  status,
+  headers: { get: () => "image/png" },
+  blob: async () => new Blob(["png"], { type: "image/png" }),
+});
+
+const createFetch = (respond) => {
+  const calls = [];
+  const fetch = (url, init) => {
+    calls.push({ url, init });
+    return respond(url, init);
+  };
+  return { fetch, calls };
+};
+
+const pngDataURL = `data:image/png;base64,${btoa("png")}`;
+
+test("resourceToDataURL shares a pending fetch and caches its result", async () => {
+  let release;
+  const gate = new Promise((resolve) => {
+    release = resolve;
+  });
+  const { fetch, calls } = createFetch(async (url) => {
+    await gate;
+    return createResponse(url);
+  });
+  const options = { environment: { fetch } };
+  const url = "https://example.com/shared.png";
+
+  const first = resourceToDataURL(url, "image/png", options);
+  const second = resourceToDataURL(url, "image/png", options);
+  release();
+
+  assert.deepEqual(await Promise.all([first, second]), [
+    pngDataURL,
+    pngDataURL,
+  ]);
+  assert.equal(await resourceToDataURL(url, "image/png", options), pngDataURL);
+  assert.equal(calls.length, 1);
+});
+
+test("resourceToDataURL returns the placeholder for a failed fetch and retries it later", async () => {
+  let status = 404;
+  const { fetch, calls } = createFetch(async (url) =>
+    createResponse(url, status)
+  );
+  const options = {
+    environment: { fetch },
+    imagePlaceholder: "data:image/png;base64,",
+  };
+  const url = "https://example.com/missing.png";
+
+  assert.equal(
+    await resourceToDataURL(url, "image/png", options),
+    "data:image/png;base64,"
+  );
+  status = 200;
+  assert.equal(await resourceToDataURL(url, "image/png", options), pngDataURL);
+  assert.equal(calls.length, 2);
+});
+
+test("resourceToDataURL aborts a fetch that exceeds resourceTimeout", async () => {
+  const { fetch, calls } = createFetch(
+    (url, init) =>
+      new Promise((resolve, reject) =>
+        init.signal.addEventListener("abort", () =>
+          reject(new DOMException("aborted", "AbortError"))
+        )
+      )
+  );
+  const options = { environment: { fetch }, resourceTimeout: 10 };
+
+  assert.equal(
+    await resourceToDataURL("https://example.com/slow.png", "image/png", {
+      ...options,
+      imagePlaceholder: "placeholder",
+    }),
+    "placeholder"
+  );
+  assert.equal(calls[0].init.signal.aborted, true);
+});
+
+test("resourceToDataURL fetches again for a render whose shared fetch was aborted by another", async () => {
+  const { fetch, calls } = createFetch(
+    (url, init) =>
+      new Promise((resolve, reject) => {
+        if (calls.length > 1) {
+          resolve(createResponse(url));
+        }
+        init.signal?.addEventListener("abort", () =>
+          reject(new DOMException("aborted", "AbortError"))
+        );
+      })
+  );
+  const controller = new AbortController();
+  const url = "https://example.com/aborted.png";
+
+  const aborted = resourceToDataURL(url, "image/png", {
+    environment: { fetch },
+    signal: controller.signal,
+  });
+  const waiting = resourceToDataURL(url, "image/png", {
+    environment: { fetch },
+  });
+  controller.abort();
+
+  await assert.rejects(aborted, { name: "AbortError" });
+  assert.equal(await waiting, pngDataURL);
+  assert.equal(calls.length, 2);
+});
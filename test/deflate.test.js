@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("node:zlib");
+const { deflate } = require("../src/deflate");
+
+const createBytes = (length) => {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    bytes[i] = (i * 7) % 251;
+  }
+  return bytes;
+};
+
+test("deflate produces a zlib stream with the Compression Streams API", async () => {
+  const bytes = createBytes(1000);
+  const stream = await deflate(bytes);
+
+  assert.deepEqual(new Uint8Array(zlib.inflateSync(stream)), bytes);
+});
+
+test("deflate falls back to stored blocks without the Compression Streams API", async (t) => {
+  const { CompressionStream } = globalThis;
+  t.after(() => {
+    globalThis.CompressionStream = CompressionStream;
+  });
+  delete globalThis.CompressionStream;
+
+  // More than one stored block, which holds at most 65535 bytes.
+  const bytes = createBytes(70000);
+  const stream = await deflate(bytes);
+
+  assert.equal(stream.length, 2 + 2 * 5 + bytes.length + 4);
+  assert.deepEqual(new Uint8Array(zlib.inflateSync(stream)), bytes);
+  assert.deepEqual(
+    new Uint8Array(zlib.inflateSync(await deflate(new Uint8Array(0)))),
+    new Uint8Array(0)
+  );
+});
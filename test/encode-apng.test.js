@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("node:zlib");
+const { encodeAPNG } = require("../src/encode-apng");
+const { PNG_SIGNATURE, crc32 } = require("../src/png");
+
+/**
+ * Splits a PNG file into its chunks, checking their CRCs.
+ *
+ * @param {Uint8Array} bytes - The PNG file.
+ * @returns {Array<{type: string, data: Uint8Array}>} The chunks.
+ */
+function readChunks(bytes) {
+  assert.deepEqual(bytes.subarray(0, 8), PNG_SIGNATURE);
+  const view = new DataView(bytes.buffer);
+  const chunks = [];
+  for (let offset = 8; offset < bytes.length; ) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    assert.equal(
+      view.getUint32(offset + 8 + length),
+      crc32(bytes, offset + 4, offset + 8 + length)
+    );
+    chunks.push({
+      type,
+      data: bytes.subarray(offset + 8, offset + 8 + length),
+    });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+/**
+ * Inflates PNG image data and removes the filter byte of every scanline.
+ *
+ * @param {Uint8Array} data - The compressed image data.
+ * @param {number} width - The image width.
+ * @returns {number[]} The RGBA pixels.
+ */
+function readPixels(data, width) {
+  const raw = zlib.inflateSync(data);
+  const pixels = [];
+  for (let offset = 0; offset < raw.length; offset += width * 4 + 1) {
+    assert.equal(raw[offset], 0);
+    pixels.push(...raw.subarray(offset + 1, offset + 1 + width * 4));
+  }
+  return pixels;
+}
+
+test("encodeAPNG writes the animation and frame chunks in sequence", async () => {
+  const first = [255, 0, 0, 255, 0, 255, 0, 128];
+  const second = [0, 0, 255, 255, 0, 0, 0, 0];
+  const frames = [
+    { data: new Uint8ClampedArray(first), delay: 100 },
+    { data: new Uint8ClampedArray(second), delay: 250 },
+  ];
+  const chunks = readChunks(await encodeAPNG(frames, 2, 1, { loop: 2 }));
+
+  assert.deepEqual(
+    chunks.map((chunk) => chunk.type),
+    ["IHDR", "acTL", "fcTL", "IDAT", "fcTL", "fdAT", "IEND"]
+  );
+
+  const header = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset);
+  assert.equal(header.getUint32(0), 2);
+  assert.equal(header.getUint32(4), 1);
+  assert.equal(chunks[0].data[8], 8);
+  assert.equal(chunks[0].data[9], 6);
+
+  const animation = new DataView(
+    chunks[1].data.buffer,
+    chunks[1].data.byteOffset
+  );
+  assert.equal(animation.getUint32(0), 2);
+  assert.equal(animation.getUint32(4), 2);
+
+  const firstControl = new DataView(
+    chunks[2].data.buffer,
+    chunks[2].data.byteOffset
+  );
+  const secondControl = new DataView(
+    chunks[4].data.buffer,
+    chunks[4].data.byteOffset
+  );
+  const frameData = new DataView(
+    chunks[5].data.buffer,
+    chunks[5].data.byteOffset
+  );
+  assert.equal(firstControl.getUint32(0), 0);
+  assert.equal(secondControl.getUint32(0), 1);
+  assert.equal(frameData.getUint32(0), 2);
+  assert.equal(firstControl.getUint16(20) / firstControl.getUint16(22), 0.1);
+  assert.equal(secondControl.getUint16(20) / secondControl.getUint16(22), 0.25);
+
+  assert.deepEqual(readPixels(chunks[3].data, 2), first);
+  assert.deepEqual(readPixels(chunks[5].data.subarray(4), 2), second);
+});
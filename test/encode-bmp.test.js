@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { encodeBMP } = require("../src/encode-bmp");
+
+test("encodeBMP writes a top-down 32-bit bitmap with an alpha mask", () => {
+  const data = new Uint8ClampedArray([
+    255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 255, 0, 10, 20, 30, 40,
+  ]);
+  const bytes = encodeBMP({ width: 2, height: 2, data });
+  const view = new DataView(bytes.buffer);
+
+  assert.equal(String.fromCharCode(bytes[0], bytes[1]), "BM");
+  assert.equal(view.getUint32(2, true), bytes.length);
+  assert.equal(view.getUint32(10, true), 14 + 108);
+  assert.equal(view.getUint32(14, true), 108);
+  assert.equal(view.getInt32(18, true), 2);
+  assert.equal(view.getInt32(22, true), -2);
+  assert.equal(view.getUint16(28, true), 32);
+  assert.equal(view.getUint32(66, true), 0xff000000);
+  assert.equal(bytes.length, 14 + 108 + 16);
+});
+
+test("encodeBMP stores the pixels as BGRA in row order", () => {
+  const data = new Uint8ClampedArray([1, 2, 3, 4, 5, 6, 7, 8]);
+  const bytes = encodeBMP({ width: 2, height: 1, data });
+
+  assert.deepEqual(Array.from(bytes.subarray(122)), [3, 2, 1, 4, 7, 6, 5, 8]);
+});
@@ -0,0 +1,172 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { encodeGIF } = require("../src/encode-gif");
+
+/**
+ * Reads the length-prefixed sub-blocks starting at an offset.
+ *
+ * @param {Uint8Array} bytes - The GIF file.
+ * @param {number} offset - The offset of the first sub-block.
+ * @returns {{data: Uint8Array, end: number}} The joined sub-blocks and the offset after the block terminator.
+ */
+function readSubBlocks(bytes, offset) {
+  const parts = [];
+  while (bytes[offset] !== 0) {
+    parts.push(...bytes.subarray(offset + 1, offset + 1 + bytes[offset]));
+    offset += bytes[offset] + 1;
+  }
+  return { data: Uint8Array.from(parts), end: offset + 1 };
+}
+
+/**
+ * Decodes GIF LZW image data, independently of the encoder.
+ *
+ * @param {Uint8Array} data - The joined sub-blocks.
+ * @param {number} minCodeSize - The LZW minimum code size.
+ * @returns {number[]} The decoded palette indices.
+ */
+function lzwDecode(data, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let codeSize;
+  let table;
+  let previous;
+
+  const reset = () => {
+    codeSize = minCodeSize + 1;
+    table = [];
+    for (let i = 0; i < clearCode; i++) {
+      table.push([i]);
+    }
+    table.push(null, null);
+    previous = null;
+  };
+  reset();
+
+  let bit = 0;
+  for (;;) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bit++) {
+      code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+    }
+
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === endCode) {
+      return output;
+    }
+
+    const entry = table[code] || previous.concat(previous[0]);
+    output.push(...entry);
+    if (previous && table.length < 4096) {
+      table.push(previous.concat(entry[0]));
+    }
+    previous = entry;
+    if (table.length === 1 << codeSize && codeSize < 12) {
+      codeSize += 1;
+    }
+  }
+}
+
+/**
+ * Parses the parts of a GIF file needed to check the encoder.
+ *
+ * @param {Uint8Array} bytes - The GIF file.
+ * @returns {Object} The header fields, the loop count, and the delay and pixel colors of every frame.
+ */
+function parseGIF(bytes) {
+  const view = new DataView(bytes.buffer);
+  const gif = {
+    signature: String.fromCharCode(...bytes.subarray(0, 6)),
+    width: view.getUint16(6, true),
+    height: view.getUint16(8, true),
+    frames: [],
+  };
+  const tableSize = 3 * (1 << ((bytes[10] & 7) + 1));
+  const table = bytes.subarray(13, 13 + tableSize);
+
+  let offset = 13 + tableSize;
+  let control;
+  while (bytes[offset] !== 0x3b) {
+    if (bytes[offset] === 0x21) {
+      const label = bytes[offset + 1];
+      const { data, end } = readSubBlocks(bytes, offset + 2);
+      if (label === 0xff) {
+        gif.loop = data[12] | (data[13] << 8);
+      } else if (label === 0xf9) {
+        control = {
+          delay: data[1] | (data[2] << 8),
+          transparentIndex: data[3],
+        };
+      }
+      offset = end;
+    } else if (bytes[offset] === 0x2c) {
+      const { data, end } = readSubBlocks(bytes, offset + 11);
+      const indices = lzwDecode(data, bytes[offset + 10]);
+      gif.frames.push({
+        ...control,
+        pixels: indices.map((index) =>
+          index === control.transparentIndex
+            ? null
+            : Array.from(table.subarray(index * 3, index * 3 + 3))
+        ),
+      });
+      offset = end;
+    } else {
+      throw new Error(`Unexpected block 0x${bytes[offset].toString(16)}`);
+    }
+  }
+
+  return gif;
+}
+
+test("encodeGIF writes an animated GIF89a that decodes to the frames", () => {
+  const red = [255, 0, 0, 255];
+  const blue = [0, 0, 255, 255];
+  const clear = [0, 0, 0, 0];
+  const frames = [
+    { data: new Uint8ClampedArray([red, blue, clear, red].flat()), delay: 100 },
+    { data: new Uint8ClampedArray([blue, blue, red, clear].flat()), delay: 5 },
+  ];
+  const gif = parseGIF(encodeGIF(frames, 2, 2, { loop: 3 }));
+
+  assert.equal(gif.signature, "GIF89a");
+  assert.equal(gif.width, 2);
+  assert.equal(gif.height, 2);
+  assert.equal(gif.loop, 3);
+  assert.equal(gif.frames.length, 2);
+  assert.equal(gif.frames[0].delay, 10);
+  // Delays are at least 2 hundredths of a second, as viewers slow down shorter ones.
+  assert.equal(gif.frames[1].delay, 2);
+
+  const toColor = (pixel) => (pixel[3] ? pixel.slice(0, 3) : null);
+  assert.deepEqual(gif.frames[0].pixels, [red, blue, clear, red].map(toColor));
+  assert.deepEqual(gif.frames[1].pixels, [blue, blue, red, clear].map(toColor));
+});
+
+test("encodeGIF restarts the LZW dictionary when it is full", () => {
+  // 200 colors that fall into distinct histogram bins, in an order that keeps the dictionary growing.
+  const width = 120;
+  const height = 100;
+  const colors = Array.from({ length: 200 }, (_, i) => [
+    (i % 32) * 8,
+    Math.floor(i / 32) * 8,
+    64,
+  ]);
+  const data = new Uint8ClampedArray(width * height * 4);
+  const expected = [];
+  let seed = 1;
+  for (let p = 0; p < width * height; p++) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    const color = colors[seed % colors.length];
+    data.set([...color, 255], p * 4);
+    expected.push(color);
+  }
+
+  const gif = parseGIF(encodeGIF([{ data, delay: 40 }], width, height));
+
+  assert.deepEqual(gif.frames[0].pixels, expected);
+});
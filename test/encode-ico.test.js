@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { encodeICO } = require("../src/encode-ico");
+
+test("encodeICO writes a directory entry per image followed by the payloads", () => {
+  const small = { width: 16, height: 16, data: new Uint8Array([1, 2, 3]) };
+  const large = { width: 256, height: 256, data: new Uint8Array([4, 5]) };
+  const bytes = encodeICO([small, large]);
+  const view = new DataView(bytes.buffer);
+
+  assert.equal(view.getUint16(0, true), 0);
+  assert.equal(view.getUint16(2, true), 1);
+  assert.equal(view.getUint16(4, true), 2);
+
+  const headerSize = 6 + 16 * 2;
+  assert.equal(bytes[6], 16);
+  assert.equal(view.getUint32(6 + 8, true), 3);
+  assert.equal(view.getUint32(6 + 12, true), headerSize);
+
+  // 256 pixels are written as 0
+  assert.equal(bytes[22], 0);
+  assert.equal(bytes[23], 0);
+  assert.equal(view.getUint32(22 + 8, true), 2);
+  assert.equal(view.getUint32(22 + 12, true), headerSize + 3);
+
+  assert.deepEqual(Array.from(bytes.subarray(headerSize)), [1, 2, 3, 4, 5]);
+});
+
+test("encodeICO rejects empty icons and images over 256 pixels", () => {
+  assert.throws(() => encodeICO([]), RangeError);
+  assert.throws(
+    () => encodeICO([{ width: 257, height: 16, data: new Uint8Array(1) }]),
+    RangeError
+  );
+});
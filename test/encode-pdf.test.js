@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("node:zlib");
+const { encodePDF, canvasToPdfImage } = require("../src/encode-pdf");
+
+const toText = (bytes) => Buffer.from(bytes).toString("latin1");
+
+const createCanvas = (width, height, data) => ({
+  width,
+  height,
+  getContext: () => ({
+    getImageData: () => ({ width, height, data }),
+  }),
+});
+
+test("encodePDF writes a cross-reference table pointing at every object", () => {
+  const image = {
+    width: 1,
+    height: 1,
+    filter: "FlateDecode",
+    data: new Uint8Array(zlib.deflateSync(Buffer.from([255, 0, 0]))),
+  };
+  const page = {
+    width: 100,
+    height: 200,
+    images: [{ x: 0, y: 0, width: 100, height: 200, image }],
+  };
+  const text = toText(encodePDF([page, page]));
+
+  assert.ok(text.startsWith("%PDF-1.4\n"));
+  assert.ok(text.endsWith("%%EOF\n"));
+  assert.match(text, /\/Type \/Pages \/Kids \[\d+ 0 R \d+ 0 R\] \/Count 2/);
+  assert.match(text, /\/MediaBox \[0 0 100 200\]/);
+
+  const startxref = Number(text.match(/startxref\n(\d+)\n/)[1]);
+  assert.ok(text.startsWith("xref\n", startxref));
+
+  const [, count] = text.slice(startxref).match(/^xref\n0 (\d+)\n/);
+  const entries = text.slice(startxref).match(/^\d{10} 00000 n $/gm);
+  assert.equal(entries.length, Number(count) - 1);
+  entries.forEach((entry, index) => {
+    assert.ok(
+      text.startsWith(`${index + 1} 0 obj\n`, Number(entry.slice(0, 10)))
+    );
+  });
+});
+
+test("encodePDF stores image data unchanged with its length", () => {
+  const data = new Uint8Array([1, 2, 3, 4, 5]);
+  const image = { width: 1, height: 1, filter: "DCTDecode", data };
+  const text = toText(
+    encodePDF([
+      {
+        width: 10,
+        height: 10,
+        images: [{ x: 1, y: 2, width: 3, height: 4, image }],
+      },
+    ])
+  );
+
+  assert.match(
+    text,
+    /\/Filter \/DCTDecode \/Length 5 >>\nstream\n\x01\x02\x03\x04\x05\nendstream/
+  );
+  assert.match(text, /q 3 0 0 4 1 2 cm \/Im0 Do Q/);
+});
+
+test("canvasToPdfImage stores lossless RGB and a soft mask only for transparent canvases", async () => {
+  const opaque = await canvasToPdfImage(
+    createCanvas(2, 1, new Uint8ClampedArray([1, 2, 3, 255, 4, 5, 6, 255])),
+    { imageFormat: "png" }
+  );
+  assert.equal(opaque.filter, "FlateDecode");
+  assert.deepEqual(
+    Array.from(zlib.inflateSync(opaque.data)),
+    [1, 2, 3, 4, 5, 6]
+  );
+  assert.equal(opaque.smask, undefined);
+
+  const transparent = await canvasToPdfImage(
+    createCanvas(2, 1, new Uint8ClampedArray([1, 2, 3, 0, 4, 5, 6, 128])),
+    { imageFormat: "png" }
+  );
+  assert.deepEqual(
+    Array.from(zlib.inflateSync(transparent.smask.data)),
+    [0, 128]
+  );
+});
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const encoders = require("../src/encoders");
+
+const canvas = { width: 1, height: 1 };
+
+const createEncoder = (name, supported = true) => ({
+  isSupported: () => supported,
+  encode: async () => name,
+});
+
+test("the most recently registered supported encoder wins", async () => {
+  encoders.registerEncoder("image/x-first", createEncoder("old"));
+  encoders.registerEncoder("image/x-first", createEncoder("new"));
+  encoders.registerEncoder("image/x-first", createEncoder("broken", false));
+
+  assert.equal(
+    await encoders.encodeCanvas(canvas, { type: "image/x-first" }),
+    "new"
+  );
+});
+
+test("a fallback encoder is only used when no other one is supported", async () => {
+  const native = createEncoder("native");
+  encoders.registerEncoder("image/x-fallback", native);
+  encoders.registerEncoder("image/x-fallback", createEncoder("fallback"), {
+    fallback: true,
+  });
+  assert.equal(
+    await encoders.encodeCanvas(canvas, { type: "image/x-fallback" }),
+    "native"
+  );
+
+  native.isSupported = () => false;
+  assert.equal(
+    await encoders.encodeCanvas(canvas, { type: "image/x-fallback" }),
+    "fallback"
+  );
+});
+
+test("isTypeSupported and registerEncoder validate their input", () => {
+  assert.equal(encoders.isTypeSupported("image/x-unknown"), false);
+  encoders.registerEncoder("IMAGE/X-CASE", createEncoder("case"));
+  assert.equal(encoders.isTypeSupported("image/x-case"), true);
+
+  assert.throws(
+    () => encoders.registerEncoder("", createEncoder("")),
+    TypeError
+  );
+  assert.throws(() => encoders.registerEncoder("image/x-none", {}), TypeError);
+});
@@ -0,0 +1,208 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  requestFrameRender,
+  serveRenderRequests,
+} = require("../src/iframe-bridge");
+
+const PARENT_ORIGIN = "https://app.example.com";
+const FRAME_ORIGIN = "https://widgets.example.com";
+
+/**
+ * Creates a fake window whose `postMessage` delivers a message event, asynchronously, from another window.
+ *
+ * @param {string} senderOrigin - The origin the messages are received from.
+ * @returns {EventTarget} The window, with the target origins of the posted messages in `targetOrigins`.
+ */
+function createWindow(senderOrigin) {
+  const win = new EventTarget();
+  win.targetOrigins = [];
+  win.postMessage = (data, targetOrigin) => {
+    win.targetOrigins.push(targetOrigin);
+    setTimeout(() => {
+      const event = new Event("message");
+      Object.assign(event, { data, origin: senderOrigin, source: win.peer });
+      win.dispatchEvent(event);
+    });
+  };
+  return win;
+}
+
+/**
+ * Creates a parent window and an iframe showing a window of another origin, which can message each other.
+ *
+ * @param {string} [parentOrigin] - The origin of the parent page.
+ * @returns {{parent: EventTarget, frame: EventTarget, iframe: Object}} The windows and the iframe element.
+ */
+function createFrame(parentOrigin = PARENT_ORIGIN) {
+  const parent = createWindow(FRAME_ORIGIN);
+  const frame = createWindow(parentOrigin);
+  parent.peer = frame;
+  frame.peer = parent;
+
+  const iframe = {
+    contentWindow: frame,
+    src: `${FRAME_ORIGIN}/widget.html`,
+    clientWidth: 300,
+    clientHeight: 150,
+    ownerDocument: { defaultView: parent, baseURI: `${PARENT_ORIGIN}/` },
+  };
+  return { parent, frame, iframe };
+}
+
+const createLogger = () => {
+  const warnings = [];
+  return { warnings, warn: (message) => warnings.push(message) };
+};
+
+test("requestFrameRender resolves to the image rendered by the iframe", async () => {
+  const { parent, frame, iframe } = createFrame();
+  const requests = [];
+  const stop = serveRenderRequests(
+    async (request) => {
+      requests.push(request);
+      return "data:image/png;base64,AA==";
+    },
+    { allowedOrigins: [PARENT_ORIGIN], environment: { window: frame } }
+  );
+
+  const dataUrl = await requestFrameRender(iframe, {
+    iframeBridge: true,
+    pixelRatio: 2,
+  });
+  stop();
+
+  assert.equal(dataUrl, "data:image/png;base64,AA==");
+  assert.deepEqual(requests, [{ width: 300, height: 150, pixelRatio: 2 }]);
+  assert.deepEqual(frame.targetOrigins, [FRAME_ORIGIN]);
+  assert.deepEqual(parent.targetOrigins, [PARENT_ORIGIN]);
+});
+
+test("requestFrameRender rejects with the error the iframe failed with", async () => {
+  const { frame, iframe } = createFrame();
+  const stop = serveRenderRequests(
+    async () => {
+      throw new Error("boom");
+    },
+    { allowedOrigins: ["*"], environment: { window: frame } }
+  );
+
+  await assert.rejects(
+    requestFrameRender(iframe, { iframeBridge: true, pixelRatio: 1 }),
+    {
+      message: "The iframe could not render itself: boom",
+    }
+  );
+  stop();
+});
+
+test("serveRenderRequests ignores disallowed origins, so the request times out", async () => {
+  const { frame, iframe } = createFrame();
+  const logger = createLogger();
+  const stop = serveRenderRequests(async () => "data:,", {
+    allowedOrigins: ["https://other.example.com"],
+    environment: { window: frame },
+    logger,
+  });
+
+  await assert.rejects(
+    requestFrameRender(iframe, {
+      iframeBridge: { timeout: 20 },
+      pixelRatio: 1,
+    }),
+    { name: "TimeoutError" }
+  );
+  stop();
+  assert.deepEqual(logger.warnings, [
+    `Ignored a render request from the disallowed origin ${PARENT_ORIGIN}`,
+  ]);
+});
+
+test("serveRenderRequests answers the opaque origin only with allowOpaqueOrigins", async () => {
+  const refused = createFrame("null");
+  const logger = createLogger();
+  const stopRefused = serveRenderRequests(async () => "data:,", {
+    allowedOrigins: ["*"],
+    environment: { window: refused.frame },
+    logger,
+  });
+  await assert.rejects(
+    requestFrameRender(refused.iframe, {
+      iframeBridge: { timeout: 20 },
+      pixelRatio: 1,
+    }),
+    { name: "TimeoutError" }
+  );
+  stopRefused();
+  assert.equal(logger.warnings.length, 1);
+  assert.deepEqual(refused.parent.targetOrigins, []);
+
+  const allowed = createFrame("null");
+  const stopAllowed = serveRenderRequests(async () => "data:,", {
+    allowedOrigins: [PARENT_ORIGIN],
+    allowOpaqueOrigins: true,
+    environment: { window: allowed.frame },
+  });
+  assert.equal(
+    await requestFrameRender(allowed.iframe, {
+      iframeBridge: true,
+      pixelRatio: 1,
+    }),
+    "data:,"
+  );
+  stopAllowed();
+  assert.deepEqual(allowed.parent.targetOrigins, ["*"]);
+});
+
+test("serveRenderRequests refuses requests of another protocol version", async () => {
+  const { parent, frame } = createFrame();
+  const answers = [];
+  parent.addEventListener("message", (event) => answers.push(event.data));
+  const stop = serveRenderRequests(async () => "data:,", {
+    allowedOrigins: ["*"],
+    environment: { window: frame },
+  });
+
+  frame.postMessage(
+    { protocol: "html-to-image:iframe", version: 2, type: "render", id: "a" },
+    FRAME_ORIGIN
+  );
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  stop();
+
+  assert.equal(answers.length, 1);
+  assert.equal(answers[0].id, "a");
+  assert.equal(answers[0].error, "Unsupported render protocol version 2");
+});
+
+test("requestFrameRender stops waiting when the signal is aborted", async () => {
+  const { iframe } = createFrame();
+  const controller = new AbortController();
+  const pending = requestFrameRender(iframe, {
+    iframeBridge: true,
+    pixelRatio: 1,
+    signal: controller.signal,
+  });
+  controller.abort();
+
+  await assert.rejects(pending, { name: "AbortError" });
+});
+
+test("serveRenderRequests needs the allowed origins and can be stopped", async () => {
+  assert.throws(() => serveRenderRequests(async () => "data:,", {}), TypeError);
+
+  const { frame, iframe } = createFrame();
+  const stop = serveRenderRequests(async () => "data:,", {
+    allowedOrigins: ["*"],
+    environment: { window: frame },
+  });
+  stop();
+
+  await assert.rejects(
+    requestFrameRender(iframe, {
+      iframeBridge: { timeout: 20 },
+      pixelRatio: 1,
+    }),
+    { name: "TimeoutError" }
+  );
+});
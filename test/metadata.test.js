@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  writeMetadata,
+  writePngMetadata,
+  writeJpegMetadata,
+} = require("../src/metadata");
+const { PNG_SIGNATURE, createChunk, concatBytes } = require("../src/png");
+
+const png = concatBytes([
+  PNG_SIGNATURE,
+  createChunk("IHDR", new Uint8Array(13)),
+  createChunk("pHYs", new Uint8Array(9)),
+  createChunk("IDAT", new Uint8Array([1, 2, 3])),
+  createChunk("IEND"),
+]);
+
+const readChunks = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    chunks.push({
+      type: String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)),
+      data: bytes.subarray(offset + 8, offset + 8 + length),
+    });
+    offset += 12 + length;
+  }
+  return chunks;
+};
+
+const jfif = [
+  0xff, 0xe0, 0, 16, 0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0,
+];
+// SOI, JFIF APP0, a quantization table, then the scan and EOI.
+const soi = [0xff, 0xd8];
+const table = [0xff, 0xdb, 0, 3, 9];
+const scan = [0xff, 0xda, 0, 2, 1, 2, 3, 0xff, 0xd9];
+const jpeg = new Uint8Array([...soi, ...jfif, ...table, ...scan]);
+
+const readSegments = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const segments = [];
+  let offset = 2;
+  while (bytes[offset + 1] !== 0xda) {
+    const length = view.getUint16(offset + 2);
+    segments.push({
+      marker: bytes[offset + 1],
+      data: bytes.subarray(offset + 4, offset + 2 + length),
+    });
+    offset += 2 + length;
+  }
+  return { segments, rest: Array.from(bytes.subarray(offset)) };
+};
+
+const text = (bytes) => Buffer.from(bytes).toString("latin1");
+
+test("writePngMetadata replaces pHYs after the header and adds text before IEND", () => {
+  const chunks = readChunks(
+    writePngMetadata(png, 254, { Author: "Ann", Title: "Žluť" })
+  );
+
+  assert.deepEqual(
+    chunks.map((chunk) => chunk.type),
+    ["IHDR", "pHYs", "IDAT", "tEXt", "iTXt", "IEND"]
+  );
+  const phys = new DataView(chunks[1].data.buffer, chunks[1].data.byteOffset);
+  assert.equal(phys.getUint32(0), 10000);
+  assert.equal(phys.getUint32(4), 10000);
+  assert.equal(chunks[1].data[8], 1);
+  assert.equal(text(chunks[3].data), "Author\0Ann");
+  assert.equal(
+    Buffer.from(chunks[4].data.subarray(10)).toString("utf8"),
+    "Žluť"
+  );
+});
+
+test("writePngMetadata keeps the existing pHYs without a resolution", () => {
+  const chunks = readChunks(writePngMetadata(png, null, { Source: "s" }));
+
+  assert.deepEqual(
+    chunks.map((chunk) => chunk.type),
+    ["IHDR", "pHYs", "IDAT", "tEXt", "IEND"]
+  );
+  assert.deepEqual(Array.from(chunks[1].data), new Array(9).fill(0));
+});
+
+test("writePngMetadata rejects other files and invalid keywords", () => {
+  assert.throws(() => writePngMetadata(jpeg, 96, {}), /not a PNG/);
+  assert.throws(() => writePngMetadata(png, null, { "": "x" }), RangeError);
+});
+
+test("writeJpegMetadata keeps JFIF first and replaces its density", () => {
+  const { segments, rest } = readSegments(
+    writeJpegMetadata(jpeg, 300, { Author: "Ann", Source: "s" })
+  );
+
+  assert.deepEqual(
+    segments.map((segment) => segment.marker),
+    [0xe0, 0xe1, 0xfe, 0xdb]
+  );
+  assert.equal(text(segments[0].data.subarray(0, 5)), "JFIF\0");
+  assert.equal(segments[0].data[7], 1);
+  assert.equal(
+    new DataView(
+      segments[0].data.buffer,
+      segments[0].data.byteOffset
+    ).getUint16(8),
+    300
+  );
+  assert.equal(text(segments[1].data.subarray(0, 6)), "Exif\0\0");
+  assert.ok(text(segments[1].data).includes("Ann\0"));
+  assert.equal(text(segments[2].data), "Source: s");
+  assert.deepEqual(rest, scan);
+});
+
+test("writeJpegMetadata inserts after an existing JFIF segment without a resolution", () => {
+  const { segments } = readSegments(
+    writeJpegMetadata(jpeg, null, { copyright: "ACME" })
+  );
+
+  assert.deepEqual(
+    segments.map((segment) => segment.marker),
+    [0xe0, 0xe1, 0xdb]
+  );
+  assert.deepEqual(Array.from(segments[0].data), jfif.slice(4));
+});
+
+test("writeJpegMetadata rejects other files", () => {
+  assert.throws(() => writeJpegMetadata(png, 96, {}), /not a JPEG/);
+});
+
+test("writeMetadata returns other formats and renders without metadata unchanged", async () => {
+  const blob = new Blob([png], { type: "image/png" });
+  assert.equal(await writeMetadata(blob, {}, 1), blob);
+
+  const webp = new Blob(["x"], { type: "image/webp" });
+  assert.equal(await writeMetadata(webp, { dpi: 300 }, 1), webp);
+
+  const written = await writeMetadata(blob, { dpi: "auto" }, 2);
+  const phys = readChunks(new Uint8Array(await written.arrayBuffer()))[1];
+  assert.equal(
+    new DataView(phys.data.buffer, phys.data.byteOffset).getUint32(0),
+    Math.round(192 / 0.0254)
+  );
+});
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { splitCSS } = require("../src/minify");
+
+test("splitCSS splits declarations at the separator", () => {
+  assert.deepEqual(splitCSS("color: red; margin: 0", ";"), [
+    "color: red",
+    " margin: 0",
+  ]);
+  assert.deepEqual(splitCSS("", ";"), [""]);
+});
+
+test("splitCSS ignores separators inside parentheses, quotes and escapes", () => {
+  const background = 'background: url("data:image/png;base64,AA==")';
+  assert.deepEqual(splitCSS(`${background};color:red`, ";"), [
+    background,
+    "color:red",
+  ]);
+  assert.deepEqual(
+    splitCSS("background: url(data:image/png;base64,AA==)", ";"),
+    ["background: url(data:image/png;base64,AA==)"]
+  );
+  assert.deepEqual(splitCSS("content: ';';x:y", ";"), ["content: ';'", "x:y"]);
+  assert.deepEqual(splitCSS("content: '\\'';x:y", ";"), [
+    "content: '\\''",
+    "x:y",
+  ]);
+  assert.deepEqual(splitCSS("a\\;b;c", ";"), ["a\\;b", "c"]);
+});
+
+test("splitCSS keeps the remaining separators in the last part", () => {
+  assert.deepEqual(splitCSS("background: url(a.png) 0 0:1", ":", 2), [
+    "background",
+    " url(a.png) 0 0:1",
+  ]);
+});
@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getOverlayCenters } = require("../src/overlay");
+
+const area = { width: 200, height: 100 };
+const size = { width: 40, height: 20 };
+
+test("getOverlayCenters places an overlay at a named position inside the margin", () => {
+  assert.deepEqual(getOverlayCenters({}, size, area), [{ x: 164, y: 74 }]);
+  assert.deepEqual(
+    getOverlayCenters({ position: "top-left", margin: 0 }, size, area),
+    [{ x: 20, y: 10 }]
+  );
+  assert.deepEqual(getOverlayCenters({ position: "center" }, size, area), [
+    { x: 100, y: 50 },
+  ]);
+});
+
+test("getOverlayCenters places an overlay's top-left corner at a point", () => {
+  assert.deepEqual(
+    getOverlayCenters({ position: { x: 30, y: 5 } }, size, area),
+    [{ x: 50, y: 15 }]
+  );
+});
+
+test("getOverlayCenters rejects an unknown position", () => {
+  assert.throws(
+    () => getOverlayCenters({ position: "middle" }, size, area),
+    RangeError
+  );
+});
+
+test("getOverlayCenters tiles the canvas with a margin of copies around it", () => {
+  const centers = getOverlayCenters({ tile: true, spacing: 10 }, size, area);
+  const xs = [...new Set(centers.map((center) => center.x))];
+  const ys = [...new Set(centers.map((center) => center.y))];
+
+  assert.deepEqual(xs, [-25, 25, 75, 125, 175, 225]);
+  assert.deepEqual(ys, [-15, 15, 45, 75, 105]);
+  assert.equal(centers.length, xs.length * ys.length);
+});
+
+test("getOverlayCenters spreads out tiled grids that would be too dense", () => {
+  const centers = getOverlayCenters(
+    { tile: true, spacing: 0 },
+    { width: 0, height: 0 },
+    { width: 100000, height: 100000 }
+  );
+
+  assert.ok(centers.length <= 10000);
+  assert.ok(centers.length > 5000);
+  const last = centers[centers.length - 1];
+  assert.ok(last.x >= 100000 && last.y >= 100000);
+});
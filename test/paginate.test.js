@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const paginate = require("../src/paginate");
+
+test("resolvePageSize applies the orientation to named and explicit sizes", () => {
+  assert.deepEqual(paginate.resolvePageSize({}), {
+    width: 595.28,
+    height: 841.89,
+  });
+  assert.deepEqual(
+    paginate.resolvePageSize({ pageSize: "Letter", orientation: "landscape" }),
+    { width: 792, height: 612 }
+  );
+  assert.deepEqual(paginate.resolvePageSize({ pageSize: [300, 100] }), {
+    width: 100,
+    height: 300,
+  });
+  assert.throws(
+    () => paginate.resolvePageSize({ pageSize: "b5" }),
+    /Unknown page size/
+  );
+});
+
+test("resolveMargins accepts one number or individual sides", () => {
+  assert.deepEqual(paginate.resolveMargins(), {
+    top: 0,
+    right: 0,
+    bottom: 0,
+    left: 0,
+  });
+  assert.deepEqual(paginate.resolveMargins(10), {
+    top: 10,
+    right: 10,
+    bottom: 10,
+    left: 10,
+  });
+  assert.deepEqual(paginate.resolveMargins({ top: 5, left: 2 }), {
+    top: 5,
+    right: 0,
+    bottom: 0,
+    left: 2,
+  });
+});
+
+test("computePageSlices fills pages and moves breaks above avoided ranges", () => {
+  assert.deepEqual(paginate.computePageSlices(250, 100), [
+    { top: 0, bottom: 100 },
+    { top: 100, bottom: 200 },
+    { top: 200, bottom: 250 },
+  ]);
+  assert.deepEqual(
+    paginate.computePageSlices(250, 100, [{ top: 80, bottom: 120 }]),
+    [
+      { top: 0, bottom: 80 },
+      { top: 80, bottom: 180 },
+      { top: 180, bottom: 250 },
+    ]
+  );
+});
+
+test("computePageSlices cuts ranges taller than a page to make progress", () => {
+  assert.deepEqual(
+    paginate.computePageSlices(300, 100, [{ top: 0, bottom: 250 }]),
+    [
+      { top: 0, bottom: 100 },
+      { top: 100, bottom: 200 },
+      { top: 200, bottom: 300 },
+    ]
+  );
+});
+
+test("resolveContentArea rejects margins that leave no room for content", () => {
+  assert.deepEqual(
+    paginate.resolveContentArea({ pageSize: [200, 300], margins: 20 }),
+    {
+      page: { width: 200, height: 300 },
+      margins: { top: 20, right: 20, bottom: 20, left: 20 },
+      width: 160,
+      height: 260,
+    }
+  );
+  assert.throws(
+    () => paginate.resolveContentArea({ pageSize: [200, 300], margins: 100 }),
+    RangeError
+  );
+  assert.throws(
+    () =>
+      paginate.resolveContentArea({
+        pageSize: [200, 300],
+        margins: { top: 200, bottom: 120 },
+      }),
+    RangeError
+  );
+});
+
+test("computePageSlices rejects an empty page", () => {
+  assert.throws(() => paginate.computePageSlices(100, 0), RangeError);
+  assert.throws(() => paginate.computePageSlices(100, -5), RangeError);
+  assert.throws(() => paginate.computePageSlices(100, NaN), RangeError);
+});
@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const plugins = require("../src/plugins");
+
+test("applyHook runs registered plugins, then options.plugins, passing the value along", async (t) => {
+  const calls = [];
+  plugins.registerPlugin({
+    name: "registered",
+    afterClone(value) {
+      calls.push(["registered", value]);
+      return value + 1;
+    },
+  });
+  t.after(() => plugins.unregisterPlugin("registered"));
+
+  const options = {
+    plugins: [
+      {
+        name: "in-place",
+        afterClone(value) {
+          calls.push(["in-place", value]);
+        },
+      },
+      {
+        name: "async",
+        async afterClone(value, context) {
+          calls.push(["async", value]);
+          assert.equal(context.options, options);
+          return value * 10;
+        },
+      },
+      { name: "other-hook", beforeEmbed: () => assert.fail("wrong hook") },
+    ],
+  };
+
+  assert.equal(await plugins.applyHook("afterClone", 1, { options }), 20);
+  assert.deepEqual(calls, [
+    ["registered", 1],
+    ["in-place", 2],
+    ["async", 2],
+  ]);
+  assert.equal(plugins.hasHook("afterClone", options), true);
+  assert.equal(plugins.hasHook("afterRasterize", options), false);
+});
+
+test("applyHook lets onCloneNode drop a node and skips the later plugins", async () => {
+  const options = {
+    plugins: [
+      { name: "drop", onCloneNode: () => null },
+      { name: "later", onCloneNode: () => assert.fail("ran after a drop") },
+    ],
+  };
+
+  assert.equal(await plugins.applyHook("onCloneNode", {}, { options }), null);
+});
+
+test("applyHook rejects null from the other hooks, naming the plugin", async () => {
+  const options = {
+    plugins: [{ name: "broken", afterRasterize: async () => null }],
+  };
+
+  await assert.rejects(
+    plugins.applyHook("afterRasterize", {}, { options }),
+    (error) =>
+      error instanceof Error &&
+      error.message.includes('"broken"') &&
+      error.message.includes("afterRasterize")
+  );
+});
+
+test("registerPlugin requires a name and replaces plugins of the same name", async (t) => {
+  assert.throws(() => plugins.registerPlugin({}), TypeError);
+
+  plugins.registerPlugin({ name: "twice", afterEmbed: () => "first" });
+  plugins.registerPlugin({ name: "twice", afterEmbed: () => "second" });
+  t.after(() => plugins.unregisterPlugin("twice"));
+
+  assert.equal(
+    await plugins.applyHook("afterEmbed", "value", { options: {} }),
+    "second"
+  );
+  assert.equal(plugins.unregisterPlugin("missing"), false);
+});
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { crc32, createChunk, concatBytes } = require("../src/png");
+
+const ascii = (text) => Uint8Array.from(text, (c) => c.charCodeAt(0));
+
+test("crc32 matches the CRC-32 check value", () => {
+  assert.equal(crc32(ascii("123456789")), 0xcbf43926);
+  assert.equal(crc32(ascii("xx123456789"), 2), 0xcbf43926);
+});
+
+test("createChunk writes the length, type, data and CRC of a chunk", () => {
+  assert.deepEqual(
+    Array.from(createChunk("IEND")),
+    [0, 0, 0, 0, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82]
+  );
+
+  const chunk = createChunk("tEXt", ascii("a\0b"));
+  const view = new DataView(chunk.buffer);
+  assert.equal(view.getUint32(0), 3);
+  assert.deepEqual(Array.from(chunk.subarray(8, 11)), [0x61, 0, 0x62]);
+  assert.equal(view.getUint32(11), crc32(chunk, 4, 11));
+});
+
+test("concatBytes joins byte arrays in order", () => {
+  assert.deepEqual(
+    Array.from(
+      concatBytes([
+        new Uint8Array([1]),
+        new Uint8Array(0),
+        new Uint8Array([2, 3]),
+      ])
+    ),
+    [1, 2, 3]
+  );
+});
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildPalette, mapToPalette } = require("../src/quantize");
+
+const pixels = (...colors) => new Uint8ClampedArray(colors.flat());
+
+test("buildPalette keeps the exact colors of a frame with few colors", () => {
+  const data = pixels(
+    [255, 0, 0, 255],
+    [255, 0, 0, 255],
+    [0, 0, 255, 255],
+    [0, 255, 0, 0]
+  );
+  const palette = buildPalette([{ data }]);
+
+  // Most frequent first; the transparent pixel is not counted.
+  assert.deepEqual(Array.from(palette), [255, 0, 0, 0, 0, 255]);
+});
+
+test("buildPalette keeps the most frequent colors across frames", () => {
+  const frames = [
+    { data: pixels([10, 10, 10, 255], [200, 0, 0, 255]) },
+    { data: pixels([200, 0, 0, 255], [0, 0, 200, 255], [200, 0, 0, 255]) },
+  ];
+
+  assert.deepEqual(Array.from(buildPalette(frames, 1)), [200, 0, 0]);
+});
+
+test("buildPalette averages the colors that share a histogram bin", () => {
+  const data = pixels([100, 100, 100, 255], [102, 102, 102, 255]);
+
+  assert.deepEqual(Array.from(buildPalette([{ data }])), [101, 101, 101]);
+});
+
+test("mapToPalette maps pixels to the nearest color and transparent pixels to the transparent index", () => {
+  const palette = new Uint8Array([0, 0, 0, 255, 255, 255]);
+  const data = pixels(
+    [20, 20, 20, 255],
+    [240, 250, 230, 255],
+    [255, 255, 255, 10]
+  );
+
+  assert.deepEqual(Array.from(mapToPalette(data, palette)), [0, 1, 0]);
+  assert.deepEqual(
+    Array.from(
+      mapToPalette(data, palette, { indexOffset: 1, transparentIndex: 0 })
+    ),
+    [1, 2, 0]
+  );
+});
@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { encodeWithinBytes } = require("../src/target-size");
+
+const createCanvas = (width, height) => ({
+  width,
+  height,
+  getContext: () => ({ drawImage() {} }),
+});
+
+/**
+ * Creates an encoder whose output size is proportional to the pixel count and, for lossy types, to the quality.
+ *
+ * @param {string} type - The MIME type of the encoded blobs.
+ * @param {number} bytesPerPixel - The size of one pixel at the best quality.
+ * @returns {function(Object, number): Promise<Blob>} The encoder, recording the qualities it was called with.
+ */
+const createEncoder = (type, bytesPerPixel) => {
+  const encode = async (canvas, quality) => {
+    encode.qualities.push(quality);
+    const lossy = type !== "image/png";
+    const size = Math.round(
+      canvas.width * canvas.height * bytesPerPixel * (lossy ? quality : 1)
+    );
+    return new Blob([new Uint8Array(size)], { type });
+  };
+  encode.qualities = [];
+  return encode;
+};
+
+test("encodeWithinBytes keeps the best quality when it already fits", async () => {
+  const encode = createEncoder("image/jpeg", 1);
+  const result = await encodeWithinBytes(
+    createCanvas(10, 10),
+    { maxBytes: 100 },
+    encode
+  );
+
+  assert.equal(result.quality, 1);
+  assert.equal(result.result.size, 100);
+  assert.deepEqual(encode.qualities, [1]);
+});
+
+test("encodeWithinBytes searches the highest quality that fits", async () => {
+  const encode = createEncoder("image/webp", 10);
+  const result = await encodeWithinBytes(
+    createCanvas(10, 10),
+    { maxBytes: 500, quality: 0.9, minQuality: 0.2 },
+    encode
+  );
+
+  assert.ok(result.result.size <= 500);
+  assert.ok(result.quality <= 0.5);
+  // Six halvings of the 0.2 to 0.9 range narrow the quality down to about 0.01.
+  assert.ok(result.quality > 0.5 - 0.7 / 64);
+  assert.equal(result.width, 10);
+  assert.ok(
+    encode.qualities.every((quality) => quality >= 0.2 && quality <= 0.9)
+  );
+});
+
+test("encodeWithinBytes fails when neither the quality nor downscaling can be used", async () => {
+  await assert.rejects(
+    encodeWithinBytes(
+      createCanvas(10, 10),
+      { maxBytes: 50 },
+      createEncoder("image/png", 1)
+    ),
+    RangeError
+  );
+  await assert.rejects(
+    encodeWithinBytes(
+      createCanvas(10, 10),
+      { maxBytes: 5, minQuality: 0.1 },
+      createEncoder("image/jpeg", 1)
+    ),
+    RangeError
+  );
+});
+
+test("encodeWithinBytes downscales lossless images with downscaleToFit", async (t) => {
+  const { document } = global;
+  t.after(() => {
+    global.document = document;
+  });
+  global.document = { createElement: () => createCanvas(0, 0) };
+
+  const result = await encodeWithinBytes(
+    createCanvas(100, 100),
+    { maxBytes: 2500, downscaleToFit: true },
+    createEncoder("image/png", 1)
+  );
+
+  assert.equal(result.quality, null);
+  assert.ok(result.result.size <= 2500);
+  assert.ok(result.width < 100 && result.width >= 40);
+  assert.equal(result.width, result.height);
+});
+
+test("encodeWithinBytes stops when the signal is aborted", async () => {
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(
+    encodeWithinBytes(
+      createCanvas(10, 10),
+      { maxBytes: 100, signal: controller.signal },
+      createEncoder("image/jpeg", 1)
+    ),
+    { name: "AbortError" }
+  );
+});
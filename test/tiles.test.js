@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const tiles = require("../src/tiles");
+
+/**
+ * Creates a fake canvas that records the images drawn on it and fails if it is resized afterwards, which would clear it.
+ *
+ * @returns {Object} The canvas, with its drawn images in `draws`.
+ */
+function createCanvas() {
+  let width = 0;
+  let height = 0;
+  const canvas = {
+    draws: [],
+    getContext: () => ({
+      drawImage: (image, x, y) => canvas.draws.push({ image, x, y }),
+    }),
+  };
+  const resize = (set) => (value) => {
+    assert.equal(
+      canvas.draws.length,
+      0,
+      "the canvas was resized after drawing"
+    );
+    set(value);
+  };
+  Object.defineProperty(canvas, "width", {
+    get: () => width,
+    set: resize((value) => (width = value)),
+  });
+  Object.defineProperty(canvas, "height", {
+    get: () => height,
+    set: resize((value) => (height = value)),
+  });
+  return canvas;
+}
+
+test("computeTiles covers the output with tiles of at most tileSize", () => {
+  const manifest = tiles.computeTiles(250, 120, 100);
+
+  assert.equal(manifest.columns, 3);
+  assert.equal(manifest.rows, 2);
+  assert.equal(manifest.tiles.length, 6);
+  assert.deepEqual(manifest.tiles[2], {
+    column: 2,
+    row: 0,
+    x: 200,
+    y: 0,
+    width: 50,
+    height: 100,
+  });
+  assert.deepEqual(manifest.tiles[5], {
+    column: 2,
+    row: 1,
+    x: 200,
+    y: 100,
+    width: 50,
+    height: 20,
+  });
+  assert.equal(
+    manifest.tiles.reduce((area, tile) => area + tile.width * tile.height, 0),
+    250 * 120
+  );
+});
+
+test("computeTiles returns a single tile for small outputs", () => {
+  assert.deepEqual(tiles.computeTiles(10, 5, 100).tiles, [
+    { column: 0, row: 0, x: 0, y: 0, width: 10, height: 5 },
+  ]);
+});
+
+test("fitPixelRatio keeps ratios within the limit and lowers the others", () => {
+  assert.equal(tiles.fitPixelRatio(1000, 500, 2, 32767), 2);
+  assert.equal(tiles.fitPixelRatio(20000, 500, 2, 32767), 32767 / 20000);
+  assert.equal(tiles.fitPixelRatio(500, 40000, 1, 32767), 32767 / 40000);
+});
+
+test("tiles stitched beyond the canvas limit are rendered at a size that fits", (t) => {
+  const { document } = global;
+  t.after(() => {
+    global.document = document;
+  });
+  global.document = { createElement: createCanvas };
+
+  const limit = 32767;
+  const ratio = tiles.fitPixelRatio(50000, 3000, 2, limit);
+  const manifest = tiles.computeTiles(
+    Math.round(50000 * ratio),
+    Math.round(3000 * ratio),
+    16384
+  );
+  manifest.tiles.forEach((tile) => {
+    tile.canvas = { width: tile.width, height: tile.height };
+  });
+  const canvas = tiles.stitchTiles(manifest);
+
+  assert.equal(canvas.width, limit);
+  assert.equal(canvas.height, Math.round(3000 * ratio));
+  assert.equal(canvas.draws.length, manifest.tiles.length);
+  canvas.draws.forEach(({ image, x, y }, index) => {
+    assert.equal(image, manifest.tiles[index].canvas);
+    assert.equal(x, manifest.tiles[index].x);
+    assert.equal(y, manifest.tiles[index].y);
+    assert.ok(x + image.width <= canvas.width);
+    assert.ok(y + image.height <= canvas.height);
+  });
+});
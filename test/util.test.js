@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getImageSize } = require("../src/util");
+
+/**
+ * Creates a fake element tree laid out from the given boxes, with computed `overflow` and border values.
+ *
+ * @param {Object} box - The element: its `rect` (`top`, `left`, `width`, `height`), its `client` and `scroll` sizes,
+ *        its `overflow` and its `children`.
+ * @param {Object} [win] - The shared fake window.
+ * @param {Object} [parent] - The parent element.
+ * @returns {Object} The element.
+ */
+function createElement(
+  box,
+  win = { getComputedStyle: (el) => el.style },
+  parent = null
+) {
+  const { rect, client = rect, scroll = client, overflow = "visible" } = box;
+  const element = {
+    parentNode: parent,
+    ownerDocument: { defaultView: win },
+    clientWidth: client.width,
+    clientHeight: client.height,
+    scrollWidth: scroll.width,
+    scrollHeight: scroll.height,
+    style: {
+      getPropertyValue: (name) => (name.startsWith("overflow") ? overflow : ""),
+    },
+    getBoundingClientRect: () => ({
+      top: rect.top,
+      left: rect.left,
+      bottom: rect.top + rect.height,
+      right: rect.left + rect.width,
+    }),
+  };
+  const children = (box.children || []).map((child) =>
+    createElement(child, win, element)
+  );
+  element.querySelectorAll = () =>
+    children.flatMap((child) => [child, ...child.querySelectorAll("*")]);
+  return element;
+}
+
+const scroller = (top, left, extra, children) => ({
+  rect: { top, left, width: 100, height: 100 },
+  scroll: {
+    width: 100 + (extra.width || 0),
+    height: 100 + (extra.height || 0),
+  },
+  overflow: "auto",
+  children,
+});
+
+const root = (children) => ({
+  rect: { top: 0, left: 0, width: 200, height: 300 },
+  children,
+});
+
+test("getImageSize measures the visible box by default", () => {
+  const node = createElement(root([scroller(0, 0, { height: 400 })]));
+
+  assert.deepEqual(getImageSize(node), { width: 200, height: 300 });
+});
+
+test("getImageSize with captureMode full adds the content of a scrolling child of a non-scrolling root", () => {
+  const node = createElement(
+    root([scroller(0, 0, { height: 400, width: 50 })])
+  );
+
+  assert.deepEqual(getImageSize(node, { captureMode: "full" }), {
+    width: 250,
+    height: 700,
+  });
+});
+
+test("getImageSize adds up stacked scroll containers but not side-by-side ones", () => {
+  const stacked = createElement(
+    root([scroller(0, 0, { height: 100 }), scroller(100, 0, { height: 50 })])
+  );
+  assert.equal(getImageSize(stacked, { captureMode: "full" }).height, 450);
+
+  const sideBySide = createElement(
+    root([scroller(0, 0, { height: 100 }), scroller(0, 100, { height: 50 })])
+  );
+  assert.equal(getImageSize(sideBySide, { captureMode: "full" }).height, 400);
+});
+
+test("getImageSize adds the content of nested scroll containers to their container", () => {
+  const node = createElement(
+    root([scroller(0, 0, { height: 100 }, [scroller(0, 0, { height: 30 })])])
+  );
+
+  assert.equal(getImageSize(node, { captureMode: "full" }).height, 430);
+});
+
+test("getImageSize keeps explicit dimensions", () => {
+  const node = createElement(root([scroller(0, 0, { height: 400 })]));
+
+  assert.deepEqual(
+    getImageSize(node, { captureMode: "full", width: 10, height: 20 }),
+    {
+      width: 10,
+      height: 20,
+    }
+  );
+});